@@ -4,25 +4,43 @@
 //
 // NOTE: This is a more general browser error capture solution.
 // For Structurizr DSL specific error capturing, use cursor-dsl-mcp.js instead.
+//
+// Pages can report errors with POST /error on PORT (default 8765, bound to 127.0.0.1).
+// MCP runs over stdio, or with --http over Streamable HTTP at /mcp on the same port
+// (--http-host/MCP_HTTP_HOST, --http-port/MCP_HTTP_PORT, MCP_AUTH_TOKEN; see mcp-http.js).
+// GET /errors queries the captured errors with the filters of queryErrors, GET /errors/stream
+// follows them live as Server-Sent Events (see error-stream.js).
 
-const { createServer } = require('http');
 const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
-const { SseServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
 const { z } = require('zod');
 const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
 const express = require('express');
+const { applyDslFix, undoDslFix } = require('./dsl-fixer');
+const { getPathMappings, mapDiagnosticPaths, resolveInsideDir } = require('./path-mapping');
+const { clearDslErrorLog, isDslErrorText, readDslErrorLog, recordDslErrors } = require('./dsl-errors');
+const { createLogStore } = require('./log-store');
+const { createRequestGuard, formatEndpointUrl, getHttpOptions, mountMcpEndpoint, startHttpServer } = require('./mcp-http');
+const { BROWSER_ERROR_TYPES, createBrowserErrorRecord, formatBrowserError, queryBrowserErrors } = require('./browser-errors');
+const { createErrorStream } = require('./error-stream');
+const { createSuggestionRegistry } = require('./suggestion-rules');
+const { addCodeFrames } = require('./code-frame');
 
 // Configuration
 const CONFIG = {
-  port: process.env.PORT || 8765,
+  port: process.env.PORT || 8765, // Port of /error and, with --http, the MCP endpoint (--http-port/MCP_HTTP_PORT override it)
   logDir: process.env.LOG_DIR || path.join(__dirname, 'logs'),
   debugPort: process.env.DEBUG_PORT || 9222,
   browserUserDataDir: process.env.BROWSER_USER_DATA_DIR || path.join(__dirname, 'chrome-data'),
   receiveErrorPort: process.env.RECEIVE_ERROR_PORT || 8080, // Port to receive errors from (matches your testing port)
-  dslLogFile: process.env.DSL_LOG_FILE || path.join(__dirname, 'logs', 'structurizr-dsl-errors.json')
+  dslLogFile: process.env.DSL_LOG_FILE || path.join(__dirname, 'logs', 'structurizr-dsl-errors.jsonl'),
+  workspaceDir: process.env.STRUCTURIZR_WORKSPACE_DIR || process.cwd(),
+  backupDir: process.env.DSL_BACKUP_DIR || path.join(__dirname, 'logs', 'backups'),
+  pathMappings: getPathMappings(),
+  // How often (ms) the DSL error log is checked for errors logged by other processes
+  logPollInterval: 1000
 };
 
 // Ensure log directory exists
@@ -30,276 +48,451 @@ if (!fs.existsSync(CONFIG.logDir)) {
   fs.mkdirSync(CONFIG.logDir, { recursive: true });
 }
 
+// Browser errors, one JSON record per line (fields in browser-errors.js), shared with the HTTP error endpoints
+const browserErrorStore = createLogStore(path.join(CONFIG.logDir, 'browser-errors.jsonl'));
+
+// Last time each DSL error (by fingerprint) was seen when it went on the stream
+const streamedDslErrors = new Map();
+
+// Live stream of captured browser and DSL errors, its replay buffer seeded from the logs
+const errorStream = createErrorStream({ history: readStreamHistory() });
+
+// Suggestion rules (built-in plus project-local rules file)
+const suggestionRules = createSuggestionRegistry({ workspaceDir: CONFIG.workspaceDir });
+
 // Active browser connections
 const connections = new Map();
 
-// Set up MCP server
-const mcp = new McpServer({
-  name: 'Browser Error Streaming',
-  version: '1.0.0',
-  description: 'Captures browser errors and streams them to Cursor IDE'
-});
+// Set up an MCP server with the browser error tools (one per HTTP session, stdio has just one)
+function createMcpServer() {
+  const mcp = new McpServer({
+    name: 'Browser Error Streaming',
+    version: '1.0.0',
+    description: 'Captures browser errors and streams them to Cursor IDE'
+  });
 
-// Browser launch tool
-mcp.tool(
-  'mcp_browser_error_streaming_launchBrowser',
-  {
-    url: z.string().describe('The URL to navigate to'),
-    headless: z.boolean().default(false).describe('Whether to run the browser in headless mode')
-  },
-  async ({ url, headless = false }) => {
-    try {
-      // Launch browser with debugging
-      const browser = await puppeteer.launch({
-        headless: headless ? 'new' : false,
-        args: [
-          `--remote-debugging-port=${CONFIG.debugPort}`,
-          `--user-data-dir=${CONFIG.browserUserDataDir}`
-        ]
-      });
-      
-      const pages = await browser.pages();
-      const page = pages[0];
-      await page.goto(url, { waitUntil: 'networkidle2' });
-      
-      // Set up error capturing
-      await setupErrorCapturing(browser, page);
-      
-      // Inject error reporting script to forward errors directly to the existing port 8080
-      await page.evaluate(() => {
-        // Override global error handler
-        window.addEventListener('error', function(event) {
-          console.log('Error event captured:', event);
-          const errorData = {
-            message: event.message,
-            filename: event.filename,
-            lineno: event.lineno,
-            colno: event.colno,
-            error: event.error ? event.error.stack : null,
-            timestamp: new Date().toISOString()
-          };
-          console.log('Error data:', errorData);
-          
-          // Create a custom event that can be captured by the application running on port 8080
-          const customEvent = new CustomEvent('browser-error', { 
-            detail: errorData,
-            bubbles: true,
-            cancelable: true
-          });
-          
-          // Dispatch the event on the document
-          document.dispatchEvent(customEvent);
-          
-          // Also log it to console for easier debugging
-          console.error('Browser error captured:', errorData.message);
-          
-          // Add the error to the DOM for visibility (creates a small floating error notice)
-          const errorNotice = document.createElement('div');
-          errorNotice.style.position = 'fixed';
-          errorNotice.style.bottom = '10px';
-          errorNotice.style.right = '10px';
-          errorNotice.style.backgroundColor = 'rgba(255, 0, 0, 0.8)';
-          errorNotice.style.color = 'white';
-          errorNotice.style.padding = '10px';
-          errorNotice.style.borderRadius = '5px';
-          errorNotice.style.zIndex = '9999';
-          errorNotice.style.maxWidth = '400px';
-          errorNotice.style.wordBreak = 'break-word';
-          errorNotice.textContent = `Error: ${errorData.message}`;
-          document.body.appendChild(errorNotice);
-          
-          // Remove the notice after 5 seconds
-          setTimeout(() => {
-            errorNotice.remove();
-          }, 5000);
-        }, true);
-        
-        // Also catch unhandled promise rejections
-        window.addEventListener('unhandledrejection', function(event) {
-          const errorData = {
-            message: `Unhandled Promise Rejection: ${event.reason}`,
-            error: event.reason ? (event.reason.stack || event.reason.toString()) : 'Unknown error',
-            timestamp: new Date().toISOString()
-          };
-          
-          console.error('Unhandled rejection:', errorData);
-          
-          // Create and dispatch custom event
-          const customEvent = new CustomEvent('browser-error', { 
-            detail: errorData,
-            bubbles: true,
-            cancelable: true
+  // Browser launch tool
+  mcp.tool(
+    'mcp_browser_error_streaming_launchBrowser',
+    {
+      url: z.string().describe('The URL to navigate to'),
+      headless: z.boolean().default(false).describe('Whether to run the browser in headless mode')
+    },
+    async ({ url, headless = false }) => {
+      try {
+        // Launch browser with debugging
+        const browser = await puppeteer.launch({
+          headless: headless ? 'new' : false,
+          args: [
+            `--remote-debugging-port=${CONFIG.debugPort}`,
+            `--user-data-dir=${CONFIG.browserUserDataDir}`
+          ]
+        });
+
+        const pages = await browser.pages();
+        const page = pages[0];
+        await page.goto(url, { waitUntil: 'networkidle2' });
+
+        // Set up error capturing
+        await setupErrorCapturing(browser, page);
+
+        // Inject error reporting script to forward errors directly to the existing port 8080
+        await page.evaluate(() => {
+          // Override global error handler
+          window.addEventListener('error', function(event) {
+            console.log('Error event captured:', event);
+            const errorData = {
+              message: event.message,
+              filename: event.filename,
+              lineno: event.lineno,
+              colno: event.colno,
+              error: event.error ? event.error.stack : null,
+              timestamp: new Date().toISOString()
+            };
+            console.log('Error data:', errorData);
+
+            // Create a custom event that can be captured by the application running on port 8080
+            const customEvent = new CustomEvent('browser-error', { 
+              detail: errorData,
+              bubbles: true,
+              cancelable: true
+            });
+
+            // Dispatch the event on the document
+            document.dispatchEvent(customEvent);
+
+            // Also log it to console for easier debugging
+            console.error('Browser error captured:', errorData.message);
+
+            // Add the error to the DOM for visibility (creates a small floating error notice)
+            const errorNotice = document.createElement('div');
+            errorNotice.style.position = 'fixed';
+            errorNotice.style.bottom = '10px';
+            errorNotice.style.right = '10px';
+            errorNotice.style.backgroundColor = 'rgba(255, 0, 0, 0.8)';
+            errorNotice.style.color = 'white';
+            errorNotice.style.padding = '10px';
+            errorNotice.style.borderRadius = '5px';
+            errorNotice.style.zIndex = '9999';
+            errorNotice.style.maxWidth = '400px';
+            errorNotice.style.wordBreak = 'break-word';
+            errorNotice.textContent = `Error: ${errorData.message}`;
+            document.body.appendChild(errorNotice);
+
+            // Remove the notice after 5 seconds
+            setTimeout(() => {
+              errorNotice.remove();
+            }, 5000);
+          }, true);
+
+          // Also catch unhandled promise rejections
+          window.addEventListener('unhandledrejection', function(event) {
+            const errorData = {
+              message: `Unhandled Promise Rejection: ${event.reason}`,
+              error: event.reason ? (event.reason.stack || event.reason.toString()) : 'Unknown error',
+              timestamp: new Date().toISOString()
+            };
+
+            console.error('Unhandled rejection:', errorData);
+
+            // Create and dispatch custom event
+            const customEvent = new CustomEvent('browser-error', { 
+              detail: errorData,
+              bubbles: true,
+              cancelable: true
+            });
+            document.dispatchEvent(customEvent);
           });
-          document.dispatchEvent(customEvent);
+
+          console.log('Error capturing initialized for browser errors');
         });
-        
-        console.log('Error capturing initialized for browser errors');
-      });
-      
-      return {
-        message: `Browser launched and navigated to ${url}`,
-        debugUrl: `http://localhost:${CONFIG.debugPort}`,
-        note: "Error reporting has been set up via custom events directly in the page",
-        browserId: browser.process().pid
-      };
-    } catch (error) {
-      console.error('Error launching browser:', error);
-      return {
-        error: `Failed to launch browser: ${error.message}`
-      };
+
+        return {
+          message: `Browser launched and navigated to ${url}`,
+          debugUrl: `http://localhost:${CONFIG.debugPort}`,
+          note: "Error reporting has been set up via custom events directly in the page",
+          browserId: browser.process().pid
+        };
+      } catch (error) {
+        console.error('Error launching browser:', error);
+        return {
+          error: `Failed to launch browser: ${error.message}`
+        };
+      }
     }
-  }
-);
-
-// Connect to browser tool
-mcp.tool(
-  'mcp_browser_error_streaming_connectToBrowser',
-  {
-    debugPort: z.number().default(CONFIG.debugPort).describe('The debugging port of the browser')
-  },
-  async ({ debugPort = CONFIG.debugPort }) => {
-    try {
-      // Connect to browser
-      const browser = await puppeteer.connect({
-        browserURL: `http://localhost:${debugPort}`,
-        defaultViewport: null
-      });
-      
-      const pages = await browser.pages();
-      if (pages.length === 0) {
+  );
+
+  // Connect to browser tool
+  mcp.tool(
+    'mcp_browser_error_streaming_connectToBrowser',
+    {
+      debugPort: z.number().default(CONFIG.debugPort).describe('The debugging port of the browser')
+    },
+    async ({ debugPort = CONFIG.debugPort }) => {
+      try {
+        // Connect to browser
+        const browser = await puppeteer.connect({
+          browserURL: `http://localhost:${debugPort}`,
+          defaultViewport: null
+        });
+
+        const pages = await browser.pages();
+        if (pages.length === 0) {
+          return {
+            error: 'No pages found in the browser'
+          };
+        }
+
+        // Set up error capturing for all pages
+        for (const page of pages) {
+          await setupErrorCapturing(browser, page);
+        }
+
+        return {
+          message: `Connected to browser on port ${debugPort}`,
+          pageCount: pages.length,
+          urls: await Promise.all(pages.map(page => page.url()))
+        };
+      } catch (error) {
+        console.error('Error connecting to browser:', error);
         return {
-          error: 'No pages found in the browser'
+          error: `Failed to connect to browser: ${error.message}`
         };
       }
-      
-      // Set up error capturing for all pages
-      for (const page of pages) {
-        await setupErrorCapturing(browser, page);
+    }
+  );
+
+  // Get recent errors tool
+  mcp.tool(
+    'mcp_browser_error_streaming_getRecentErrors',
+    {
+      count: z.number().default(10).describe('Number of recent errors to retrieve, newest first')
+    },
+    async ({ count = 10 }) => {
+      try {
+        const { errors } = queryBrowserErrors(browserErrorStore.read(), { limit: count });
+
+        return {
+          errors
+        };
+      } catch (error) {
+        console.error('Error retrieving errors:', error);
+        return {
+          error: `Failed to retrieve errors: ${error.message}`
+        };
       }
-      
-      return {
-        message: `Connected to browser on port ${debugPort}`,
-        pageCount: pages.length,
-        urls: await Promise.all(pages.map(page => page.url()))
-      };
-    } catch (error) {
-      console.error('Error connecting to browser:', error);
-      return {
-        error: `Failed to connect to browser: ${error.message}`
-      };
     }
-  }
-);
-
-// Get recent errors tool
-mcp.tool(
-  'mcp_browser_error_streaming_getRecentErrors',
-  {
-    count: z.number().default(10).describe('Number of recent errors to retrieve')
-  },
-  async ({ count = 10 }) => {
-    try {
-      const logFile = path.join(CONFIG.logDir, 'browser-errors.log');
-      if (!fs.existsSync(logFile)) {
+  );
+
+  // Query errors tool
+  mcp.tool(
+    'mcp_browser_error_streaming_queryErrors',
+    {
+      type: z.array(z.enum(BROWSER_ERROR_TYPES)).optional().describe('Error types to include: console, exception, network, page (default: all)'),
+      url: z.string().optional().describe('Page or source URL pattern, "*" as wildcard (e.g. "http://localhost:8080/*"), otherwise matched as a substring'),
+      since: z.string().optional().describe('Only errors at or after this time: ISO date or a duration ago such as 15m, 2h or 7d'),
+      until: z.string().optional().describe('Only errors at or before this time: ISO date or a duration ago'),
+      connectionId: z.string().optional().describe('Only errors captured by this browser connection'),
+      text: z.string().optional().describe('Words that must all appear in the message, stack or URLs (case-insensitive)'),
+      offset: z.number().int().min(0).default(0).describe('Number of matching errors to skip, for paging'),
+      limit: z.number().int().min(1).max(500).default(20).describe('Maximum number of errors to return')
+    },
+    async (filters) => {
+      try {
+        const result = queryBrowserErrors(browserErrorStore.read(), filters);
+        const range = result.errors.length > 0 ? `${result.offset + 1}-${result.offset + result.errors.length}` : 'none';
+        const lines = result.errors.map((error, index) => `${result.offset + index + 1}. ${formatBrowserError(error)}`);
+        const more = result.hasMore ? `\n\nMore errors match, continue with offset ${result.nextOffset}.` : '';
         return {
-          errors: []
+          content: [{
+            type: 'text',
+            text: `${result.total} matching browser error(s), showing ${range} (newest first):\n\n${lines.join('\n')}${more}\n\nDetailed result: ${JSON.stringify(result, null, 2)}`
+          }]
+        };
+      } catch (error) {
+        console.error('Error querying errors:', error);
+        return {
+          content: [{
+            type: 'text',
+            text: `Failed to query errors: ${error.message}`
+          }]
         };
       }
-      
-      // Read log file and get most recent errors
-      const content = fs.readFileSync(logFile, 'utf-8');
-      const errors = content.split('\n\n')
-        .filter(entry => entry.trim())
-        .map(entry => {
-          const [timestamp, ...errorLines] = entry.split('\n');
-          return {
-            timestamp,
-            message: errorLines.join('\n')
-          };
-        })
-        .slice(-count);
-      
-      return {
-        errors
-      };
-    } catch (error) {
-      console.error('Error retrieving errors:', error);
-      return {
-        error: `Failed to retrieve errors: ${error.message}`
-      };
     }
-  }
-);
+  );
 
-// Clear errors tool
-mcp.tool(
-  'mcp_browser_error_streaming_clearErrors',
-  {},
-  async () => {
-    try {
-      const logFile = path.join(CONFIG.logDir, 'browser-errors.log');
-      if (fs.existsSync(logFile)) {
-        fs.writeFileSync(logFile, '', 'utf-8');
+  // Clear errors tool
+  mcp.tool(
+    'mcp_browser_error_streaming_clearErrors',
+    {},
+    async () => {
+      try {
+        browserErrorStore.clear();
+
+        return {
+          message: 'Error log cleared'
+        };
+      } catch (error) {
+        console.error('Error clearing log:', error);
+        return {
+          error: `Failed to clear error log: ${error.message}`
+        };
       }
-      
-      return {
-        message: 'Error log cleared'
-      };
-    } catch (error) {
-      console.error('Error clearing log:', error);
-      return {
-        error: `Failed to clear error log: ${error.message}`
-      };
     }
-  }
-);
+  );
 
-// Check browser status tool
-mcp.tool(
-  'mcp_browser_error_streaming_checkBrowserStatus',
-  {},
-  async () => {
-    try {
-      const connectionStatus = Array.from(connections.entries()).map(([id, conn]) => ({
-        id,
-        url: conn.url,
-        connected: conn.connected
-      }));
-      
-      return {
-        activeConnections: connectionStatus,
-        count: connectionStatus.length
-      };
-    } catch (error) {
-      console.error('Error checking browser status:', error);
-      return {
-        error: `Failed to check browser status: ${error.message}`
-      };
+  // Check browser status tool
+  mcp.tool(
+    'mcp_browser_error_streaming_checkBrowserStatus',
+    {},
+    async () => {
+      try {
+        const connectionStatus = Array.from(connections.entries()).map(([id, conn]) => ({
+          id,
+          url: conn.url,
+          connected: conn.connected
+        }));
+
+        return {
+          activeConnections: connectionStatus,
+          count: connectionStatus.length
+        };
+      } catch (error) {
+        console.error('Error checking browser status:', error);
+        return {
+          error: `Failed to check browser status: ${error.message}`
+        };
+      }
     }
-  }
-);
-
-// Toggle error streaming tool
-mcp.tool(
-  'mcp_browser_error_streaming_toggleErrorStreaming',
-  {
-    enabled: z.boolean().default(true).describe('Whether to enable error streaming')
-  },
-  async ({ enabled = true }) => {
-    try {
-      globalErrorStreamingEnabled = enabled;
-      
-      return {
-        message: `Error streaming ${enabled ? 'enabled' : 'disabled'}`
-      };
-    } catch (error) {
-      console.error('Error toggling streaming:', error);
-      return {
-        error: `Failed to toggle error streaming: ${error.message}`
-      };
+  );
+
+  // Toggle error streaming tool
+  mcp.tool(
+    'mcp_browser_error_streaming_toggleErrorStreaming',
+    {
+      enabled: z.boolean().default(true).describe('Whether to enable error streaming')
+    },
+    async ({ enabled = true }) => {
+      try {
+        globalErrorStreamingEnabled = enabled;
+
+        return {
+          message: `Error streaming ${enabled ? 'enabled' : 'disabled'}`
+        };
+      } catch (error) {
+        console.error('Error toggling streaming:', error);
+        return {
+          error: `Failed to toggle error streaming: ${error.message}`
+        };
+      }
     }
-  }
-);
+  );
+
+  // Add DSL-specific MCP tools
+  mcp.tool(
+    'mcp_browser_error_streaming_getDslErrors',
+    {
+      count: z.number().default(10).describe('Number of recent DSL errors to retrieve'),
+      contextLines: z.number().int().min(0).max(50).default(3).describe('Lines of DSL to include before and after each error line'),
+      status: z.enum(['open', 'resolved', 'all']).default('open').describe('Which errors to return')
+    },
+    async ({ count = 10, contextLines = 3, status = 'open' }) => {
+      try {
+        // Read DSL errors, ordered by when they were last seen
+        const errors = readDslErrorLog(CONFIG.dslLogFile)
+          .filter(error => status === 'all' || error.status === status);
+
+        return {
+          errors: addCodeFrames(
+            errors.slice(-count).map(error => mapDiagnosticPaths(error, CONFIG.pathMappings)),
+            { contextLines }
+          )
+        };
+      } catch (error) {
+        console.error('Error retrieving DSL errors:', error);
+        return {
+          error: `Failed to retrieve DSL errors: ${error.message}`
+        };
+      }
+    }
+  );
+
+  mcp.tool(
+    'mcp_browser_error_streaming_clearDslErrors',
+    {},
+    async () => {
+      try {
+        clearDslErrorLog(CONFIG.dslLogFile);
+
+        return {
+          message: 'DSL error log cleared'
+        };
+      } catch (error) {
+        console.error('Error clearing DSL log:', error);
+        return {
+          error: `Failed to clear DSL error log: ${error.message}`
+        };
+      }
+    }
+  );
+
+  mcp.tool(
+    'mcp_browser_error_streaming_fixDslError',
+    {
+      line: z.number().describe('First line to replace'),
+      endLine: z.number().optional().describe('Last line to replace (defaults to line)'),
+      fix: z.string().describe('Replacement text, may span several lines. An empty string deletes the lines'),
+      file: z.string().optional().describe('DSL file to edit (defaults to workspace.dsl in the workspace directory)'),
+      dryRun: z.boolean().default(false).describe('Only return the diff preview without writing the file')
+    },
+    async ({ line, endLine, fix, file, dryRun = false }) => {
+      try {
+        const result = applyDslFix({
+          file: resolveInsideDir(CONFIG.workspaceDir, file || 'workspace.dsl'),
+          line,
+          endLine,
+          replacement: fix,
+          dryRun,
+          backupDir: CONFIG.backupDir
+        });
+
+        return {
+          message: result.applied
+            ? `Fix applied to ${result.file} (lines ${result.line}-${result.endLine})`
+            : `Dry run for ${result.file} (lines ${result.line}-${result.endLine}), no changes written`,
+          diff: result.diff,
+          backupPath: result.backupPath
+        };
+      } catch (error) {
+        console.error('Error applying DSL fix:', error);
+        return {
+          error: `Failed to apply DSL fix: ${error.message}`
+        };
+      }
+    }
+  );
+
+  mcp.tool(
+    'mcp_browser_error_streaming_undoDslFix',
+    {
+      file: z.string().optional().describe('Only undo the last fix made to this file')
+    },
+    async ({ file }) => {
+      try {
+        const restored = undoDslFix({
+          file: file ? resolveInsideDir(CONFIG.workspaceDir, file) : undefined,
+          backupDir: CONFIG.backupDir
+        });
+
+        if (!restored) {
+          return {
+            message: 'No DSL fix backups found to restore'
+          };
+        }
+
+        return {
+          message: `Restored ${restored.file} from backup taken at ${restored.timestamp}`,
+          restored
+        };
+      } catch (error) {
+        console.error('Error undoing DSL fix:', error);
+        return {
+          error: `Failed to undo DSL fix: ${error.message}`
+        };
+      }
+    }
+  );
+
+  // Special tool to manually process a Structurizr DSL error
+  mcp.tool(
+    'mcp_browser_error_streaming_processDslError',
+    {
+      errorText: z.string().describe('The DSL error text to process')
+    },
+    async ({ errorText }) => {
+      try {
+        const diagnostics = processDslError(errorText);
+        if (diagnostics.length > 0) {
+          return {
+            message: 'DSL error processed successfully',
+            errors: diagnostics
+          };
+        } else {
+          return {
+            error: 'Failed to parse DSL error format'
+          };
+        }
+      } catch (error) {
+        console.error('Error processing DSL error:', error);
+        return {
+          error: `Failed to process DSL error: ${error.message}`
+        };
+      }
+    }
+  );
+
+  return mcp;
+}
 
 // Set up error capturing for a browser page
 async function setupErrorCapturing(browser, page) {
@@ -328,12 +521,13 @@ async function setupErrorCapturing(browser, page) {
       const errorText = message.message.text;
       
       // Detect and process Structurizr DSL errors automatically
-      if (errorText && errorText.includes('workspace.dsl')) {
+      if (isDslErrorText(errorText)) {
         processDslError(errorText);
       }
       
       logError(connectionId, {
         type: 'console',
+        origin: 'cdp',
         message: errorText,
         url: message.message.url,
         line: message.message.line,
@@ -346,6 +540,7 @@ async function setupErrorCapturing(browser, page) {
   cdpSession.on('Runtime.exceptionThrown', exception => {
     logError(connectionId, {
       type: 'exception',
+      origin: 'cdp',
       message: exception.exceptionDetails.text,
       stack: exception.exceptionDetails.exception ? exception.exceptionDetails.exception.description : '',
       url: exception.exceptionDetails.url,
@@ -354,10 +549,19 @@ async function setupErrorCapturing(browser, page) {
     });
   });
   
+  // Request URLs by ID, Network.loadingFailed only names the request
+  const requestUrls = new Map();
+  cdpSession.on('Network.requestWillBeSent', event => requestUrls.set(event.requestId, event.request.url));
+  cdpSession.on('Network.loadingFinished', event => requestUrls.delete(event.requestId));
+
   // Listen for network errors
   cdpSession.on('Network.loadingFailed', failure => {
+    const url = requestUrls.get(failure.requestId);
+    requestUrls.delete(failure.requestId);
     logError(connectionId, {
       type: 'network',
+      origin: 'cdp',
+      url,
       message: `Network request failed: ${failure.errorText}`,
       resourceType: failure.type,
       requestId: failure.requestId
@@ -368,6 +572,7 @@ async function setupErrorCapturing(browser, page) {
   page.on('error', error => {
     logError(connectionId, {
       type: 'page',
+      origin: 'puppeteer',
       message: error.message,
       stack: error.stack
     });
@@ -378,6 +583,7 @@ async function setupErrorCapturing(browser, page) {
     if (message.type() === 'error') {
       logError(connectionId, {
         type: 'console',
+        origin: 'puppeteer',
         message: message.text(),
         location: message.location()
       });
@@ -406,36 +612,29 @@ function logError(connectionId, error) {
   }
   
   try {
-    // Format error message
     const timestamp = new Date().toISOString();
     const connection = connections.get(connectionId);
     const url = connection?.url || 'unknown';
     
-    let formattedError = `[${timestamp}] [${error.type.toUpperCase()}] [${url}]\n`;
-    
-    if (error.message) {
-      formattedError += `Message: ${error.message}\n`;
-    }
-    
-    if (error.url) {
-      formattedError += `URL: ${error.url}\n`;
-    }
-    
-    if (error.line) {
-      formattedError += `Location: Line ${error.line}, Column ${error.column}\n`;
-    }
-    
-    if (error.stack) {
-      formattedError += `Stack Trace:\n${error.stack}\n`;
-    }
-    
-    // Log to file
-    const logFile = path.join(CONFIG.logDir, 'browser-errors.log');
-    fs.appendFileSync(logFile, `${formattedError}\n`);
+    // Log to file and push to the live stream
+    const record = createBrowserErrorRecord({
+      timestamp,
+      connectionId,
+      pageUrl: url,
+      type: error.type,
+      origin: error.origin,
+      message: error.message,
+      sourceUrl: error.url,
+      line: error.line,
+      column: error.column,
+      location: error.location,
+      stack: error.stack,
+      resourceType: error.resourceType,
+      requestId: error.requestId
+    });
+    browserErrorStore.append([record]);
+    errorStream.publish('browser', record);
     
-    // Currently MCP doesn't have a direct emit functionality like socket.io
-    // We'll log the error to file for now, but in a real implementation
-    // you could use a custom event system or just return it in tool responses
     console.log('Error captured:', {
       timestamp,
       connectionId,
@@ -456,24 +655,6 @@ function logError(connectionId, error) {
   }
 }
 
-// Start MCP server with chosen transport (stdio or sse)
-// For running directly with Node.js (stdio)
-if (process.env.TRANSPORT === 'sse' || process.argv.includes('--sse')) {
-  // For running as an HTTP server (sse)
-  const httpServer = createServer();
-  const transport = new SseServerTransport({ server: httpServer });
-  mcp.connect(transport);
-  
-  httpServer.listen(CONFIG.port, () => {
-    console.log(`Browser Error Streaming MCP Server running on port ${CONFIG.port} with SSE transport`);
-  });
-} else {
-  // Default to stdio for direct use with Cursor
-  const transport = new StdioServerTransport();
-  mcp.connect(transport);
-  console.log(`Browser Error Streaming MCP Server running with stdio transport`);
-}
-
 // Close connections when server exits
 process.on('SIGINT', async () => {
   console.log('Shutting down...');
@@ -492,19 +673,12 @@ process.on('SIGINT', async () => {
   process.exit(0);
 });
 
+// HTTP server: POST /error for errors reported by pages, plus the MCP endpoint with --http
 const app = express();
-const logDir = path.join(__dirname, 'logs');
-const logFile = path.join(logDir, 'browser-errors.log');
-
-// Ensure log directory exists
-if (!fs.existsSync(logDir)) {
-  fs.mkdirSync(logDir, { recursive: true });
-}
-
 app.use(express.json());
 
-// Enable CORS
-app.use((req, res, next) => {
+// Enable CORS, for /error only so web pages can't call the MCP endpoint
+app.use('/error', (req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Headers', 'Content-Type');
   next();
@@ -512,203 +686,138 @@ app.use((req, res, next) => {
 
 app.post('/error', (req, res) => {
   const error = req.body;
-  const logEntry = `[${error.timestamp}] Error in ${error.filename}:${error.lineno}:${error.colno}\n${error.message}\n${error.error || ''}\n\n`;
-  
-  fs.appendFileSync(logFile, logEntry);
+  const record = createBrowserErrorRecord({
+    timestamp: error.timestamp || new Date().toISOString(),
+    type: 'exception',
+    origin: 'http',
+    message: error.message,
+    pageUrl: error.pageUrl || req.get('Referer'),
+    sourceUrl: error.filename,
+    line: error.lineno,
+    column: error.colno,
+    stack: error.error || undefined
+  });
+  browserErrorStore.append([record]);
+  errorStream.publish('browser', record);
   console.log('Error logged:', error.message);
   
   res.json({ success: true });
 });
 
-app.listen(8765, () => {
-  console.log('Error logging server running on port 8765');
-});
-
-// Process Structurizr DSL error
-function processDslError(errorText) {
-  console.log('Processing Structurizr DSL error:', errorText);
-  
-  // Extract file path, line number, and error details
-  const match = errorText.match(/workspace\.dsl: (.*?) at line (\d+) of ([^:]+):(.*)/);
-  
-  if (match) {
-    const [_, errorMessage, lineNumber, filePath, errorContext] = match;
-    
-    const dslError = {
-      timestamp: new Date().toISOString(),
-      type: 'DSL',
-      message: errorMessage.trim(),
-      filename: filePath.trim(),
-      line: parseInt(lineNumber, 10),
-      column: 1,
-      context: errorContext.trim(),
-      fullError: errorText
-    };
-    
-    // Log in vscode diagnostic-like format
-    const dslErrors = [];
-    if (fs.existsSync(CONFIG.dslLogFile)) {
-      try {
-        const existingErrors = JSON.parse(fs.readFileSync(CONFIG.dslLogFile, 'utf-8'));
-        dslErrors.push(...existingErrors);
-      } catch (e) {
-        console.error('Error reading existing DSL errors:', e);
-      }
-    }
-    
-    // Add new error
-    dslErrors.push({
-      source: 'Structurizr DSL',
-      severity: 'Error',
-      message: dslError.message,
-      file: dslError.filename,
-      line: dslError.line,
-      column: dslError.column,
-      code: 'dsl-syntax',
-      relatedInformation: [
-        {
-          message: `Context: ${dslError.context}`,
-          file: dslError.filename,
-          line: dslError.line,
-          column: dslError.column
-        }
-      ],
-      suggestion: getSuggestionForError(dslError.message, dslError.context),
-      timestamp: dslError.timestamp
-    });
-    
-    // Write to log file
-    fs.writeFileSync(CONFIG.dslLogFile, JSON.stringify(dslErrors, null, 2));
-    
-    console.log('DSL error processed and saved');
-    
-    return dslError;
-  } else {
-    console.log('Could not parse DSL error format');
-    return null;
-  }
+// Logged browser and DSL errors, oldest first, to seed the live stream's replay buffer
+function readStreamHistory() {
+  const time = ({ error }) => error.lastSeen || error.timestamp || '';
+  return [
+    ...browserErrorStore.read().map(error => ({ kind: 'browser', error })),
+    ...readDslErrorLog(CONFIG.dslLogFile).map(error => {
+      streamedDslErrors.set(error.fingerprint, error.lastSeen);
+      return { kind: 'dsl', error: mapDiagnosticPaths(error, CONFIG.pathMappings) };
+    })
+  ].sort((a, b) => time(a).localeCompare(time(b)));
 }
 
-// Generate a suggestion based on the error type
-function getSuggestionForError(message, context) {
-  if (message.includes('Unexpected tokens') && context.includes('dynamic')) {
-    return {
-      issue: "The dynamic view syntax is incorrect. It needs a container/component identifier AND key.",
-      fix: "Correct syntax: 'dynamic ContainerName ErrorHandlingFlow {'\nAlternatively: 'dynamic ComponentName ErrorHandlingFlow {'"
-    };
-  }
-  
-  if (message.includes('Unknown relationship') || message.includes('relationship')) {
-    return {
-      issue: "There's a relationship defined between components that doesn't exist or has incorrect syntax",
-      fix: "Check the relationship syntax and ensure both components exist: '<source> -> <destination> \"description\"'"
-    };
+// Put a logged DSL error on the stream unless this occurrence already is
+function publishDslError(error) {
+  const streamed = streamedDslErrors.get(error.fingerprint);
+  if (streamed !== undefined && streamed >= error.lastSeen) {
+    return;
   }
-  
-  // Generic suggestion
-  return {
-    issue: "Syntax error in the DSL file",
-    fix: "Check the documentation at https://structurizr.com/dsl for correct syntax"
-  };
+  streamedDslErrors.set(error.fingerprint, error.lastSeen);
+  errorStream.publish('dsl', mapDiagnosticPaths(error, CONFIG.pathMappings));
 }
 
-// Add DSL-specific MCP tools
-mcp.tool(
-  'mcp_browser_error_streaming_getDslErrors',
-  {
-    count: z.number().default(10).describe('Number of recent DSL errors to retrieve')
-  },
-  async ({ count = 10 }) => {
+/**
+ * The DSL error log is shared with the debugger MCP server, capture-errors.js
+ * and the watcher; poll it like the language server does so the errors they
+ * log reach the stream too.
+ */
+function followDslErrorLog() {
+  fs.watchFile(CONFIG.dslLogFile, { interval: CONFIG.logPollInterval }, () => {
     try {
-      if (!fs.existsSync(CONFIG.dslLogFile)) {
-        return {
-          errors: []
-        };
-      }
-      
-      // Read DSL errors
-      const errors = JSON.parse(fs.readFileSync(CONFIG.dslLogFile, 'utf-8'));
-      
-      return {
-        errors: errors.slice(-count)
-      };
+      readDslErrorLog(CONFIG.dslLogFile)
+        .filter(error => error.status === 'open')
+        .forEach(publishDslError);
     } catch (error) {
-      console.error('Error retrieving DSL errors:', error);
-      return {
-        error: `Failed to retrieve DSL errors: ${error.message}`
-      };
+      console.error('Error reading DSL error log:', error.message);
     }
+  });
+}
+
+// GET /errors: captured errors with the queryErrors filters as query parameters (type comma-separated)
+function handleErrorsQuery(req, res) {
+  try {
+    res.json(queryBrowserErrors(browserErrorStore.read(), req.query));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
   }
-);
+}
 
-mcp.tool(
-  'mcp_browser_error_streaming_clearDslErrors',
-  {},
-  async () => {
-    try {
-      if (fs.existsSync(CONFIG.dslLogFile)) {
-        fs.writeFileSync(CONFIG.dslLogFile, '[]', 'utf-8');
-      }
-      
-      return {
-        message: 'DSL error log cleared'
-      };
-    } catch (error) {
-      console.error('Error clearing DSL log:', error);
-      return {
-        error: `Failed to clear DSL error log: ${error.message}`
-      };
-    }
+/**
+ * Start MCP with the chosen transport and the HTTP server. Stdio is the
+ * default; --http (or TRANSPORT=http) serves MCP over Streamable HTTP on the
+ * same host and port as /error. --sse and TRANSPORT=sse select it too, it
+ * replaces the SDK's deprecated SSE transport.
+ */
+async function startServer() {
+  const legacySse = process.env.TRANSPORT === 'sse' || process.argv.includes('--sse');
+  const httpOptions = getHttpOptions({
+    defaultPort: CONFIG.port,
+    enabled: legacySse || process.env.TRANSPORT === 'http'
+  });
+
+  // Same access rules as the MCP endpoint: no CORS, bearer token when configured
+  const guard = createRequestGuard({
+    ...httpOptions,
+    sendError: (res, status, message) => res.status(status).json({ error: message })
+  });
+  app.get('/errors', guard, handleErrorsQuery);
+  app.get('/errors/stream', guard, errorStream.handleRequest);
+  followDslErrorLog();
+
+  if (httpOptions.enabled) {
+    mountMcpEndpoint(app, { createServer: createMcpServer, ...httpOptions });
+  } else {
+    // Default to stdio for direct use with Cursor
+    await createMcpServer().connect(new StdioServerTransport());
+    console.log(`Browser Error Streaming MCP Server running with stdio transport`);
   }
-);
-
-mcp.tool(
-  'mcp_browser_error_streaming_fixDslError',
-  {
-    line: z.number().describe('Line number of the error'),
-    fix: z.string().describe('Suggested fix for the error')
-  },
-  async ({ line, fix }) => {
-    try {
-      // This is a placeholder for a future implementation
-      // In a real system, this would edit the workspace.dsl file
-      return {
-        message: `Suggested fix for line ${line}: ${fix}`,
-        note: "This is a suggestion only. To apply the fix, you'll need to edit the workspace.dsl file."
-      };
-    } catch (error) {
-      console.error('Error suggesting DSL fix:', error);
-      return {
-        error: `Failed to suggest DSL fix: ${error.message}`
-      };
+
+  try {
+    const httpServer = await startHttpServer(app, httpOptions);
+    const url = formatEndpointUrl({ ...httpOptions, port: httpServer.address().port });
+    console.log(`Error logging server running on ${url.replace(/\/mcp$/, '/error')}`);
+    if (httpOptions.enabled) {
+      console.log(`Browser Error Streaming MCP Server running at ${url}${httpOptions.token ? ' (bearer token required)' : ''}`);
     }
-  }
-);
-
-// Special tool to manually process a Structurizr DSL error
-mcp.tool(
-  'mcp_browser_error_streaming_processDslError',
-  {
-    errorText: z.string().describe('The DSL error text to process')
-  },
-  async ({ errorText }) => {
-    try {
-      const dslError = processDslError(errorText);
-      if (dslError) {
-        return {
-          message: 'DSL error processed successfully',
-          error: dslError
-        };
-      } else {
-        return {
-          error: 'Failed to parse DSL error format'
-        };
-      }
-    } catch (error) {
-      console.error('Error processing DSL error:', error);
-      return {
-        error: `Failed to process DSL error: ${error.message}`
-      };
+  } catch (error) {
+    if (httpOptions.enabled) {
+      throw error;
     }
+    // The MCP tools work without the /error endpoint
+    console.error(`Error logging server not started on port ${httpOptions.port}:`, error.message);
   }
-);
+}
+
+startServer().catch(error => {
+  console.error('Error starting MCP server:', error.message);
+  process.exit(1);
+});
+
+// Process Structurizr DSL error through the shared error pipeline
+function processDslError(errorText) {
+  console.log('Processing Structurizr DSL error:', errorText);
+  
+  const diagnostics = recordDslErrors(errorText, {
+    logFile: CONFIG.dslLogFile,
+    pathMappings: CONFIG.pathMappings,
+    suggestionRules
+  });
+  
+  if (diagnostics.length > 0) {
+    diagnostics.forEach(publishDslError);
+    console.log('DSL error processed and saved');
+  } else {
+    console.log('Could not parse DSL error format');
+  }
+  return diagnostics;
+}
@@ -0,0 +1,216 @@
+/**
+ * Browser error records and queries
+ *
+ * Browser errors are stored one JSON record per line in
+ * logs/browser-errors.jsonl (see log-store.js) with these fields:
+ *   id, timestamp, type (console, exception, network or page), origin (cdp,
+ *   puppeteer or http), message, connectionId, pageUrl, sourceUrl, line,
+ *   column, stack, resourceType, requestId
+ * queryBrowserErrors() filters them for the query tool and GET /errors, the
+ * same filters select browser errors for the live stream (error-stream.js).
+ */
+
+const crypto = require('crypto');
+
+const BROWSER_ERROR_TYPES = ['console', 'exception', 'network', 'page'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 500;
+
+// "15m", "2h", "7d": a time that long ago
+const DURATION_PATTERN = /^(\d+)\s*(s|m|h|d)$/i;
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function toOptional(value) {
+  return value === undefined || value === null || value === '' ? null : value;
+}
+
+/**
+ * Record for a captured browser error, with an ID and timestamp. Unknown
+ * fields are dropped and missing ones are null, so every record has the
+ * same shape.
+ */
+function createBrowserErrorRecord(error) {
+  return normalizeBrowserError({
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    ...error
+  });
+}
+
+/**
+ * Same shape for records written by earlier versions: errors posted to
+ * /error had type "error", console errors from Puppeteer kept their
+ * position in `location`, and records had no ID.
+ */
+function normalizeBrowserError(record) {
+  const location = record.location || {};
+  const line = toOptional(record.line) ?? toOptional(location.lineNumber);
+  const column = toOptional(record.column) ?? toOptional(location.columnNumber);
+  return {
+    id: record.id || crypto.createHash('sha1').update(JSON.stringify(record)).digest('hex').slice(0, 16),
+    timestamp: record.timestamp || null,
+    type: record.type === 'error' ? 'exception' : record.type || 'console',
+    origin: record.origin || null,
+    message: String(record.message ?? ''),
+    connectionId: toOptional(record.connectionId),
+    pageUrl: toOptional(record.pageUrl) === 'unknown' ? null : toOptional(record.pageUrl),
+    sourceUrl: toOptional(record.sourceUrl) ?? toOptional(record.url) ?? toOptional(location.url),
+    line: line === null ? null : Number(line),
+    column: column === null ? null : Number(column),
+    stack: toOptional(record.stack),
+    resourceType: toOptional(record.resourceType),
+    requestId: toOptional(record.requestId)
+  };
+}
+
+// Timestamp (ms) of an ISO date or a duration ago ("15m"), null when not given
+function parseTime(value, name) {
+  if (!toOptional(value)) {
+    return null;
+  }
+  const duration = DURATION_PATTERN.exec(String(value).trim());
+  if (duration) {
+    return Date.now() - parseInt(duration[1], 10) * DURATION_UNITS[duration[2].toLowerCase()];
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${name} "${value}", use an ISO date (2024-05-01T12:00:00Z) or a duration such as 15m, 2h or 7d`);
+  }
+  return time;
+}
+
+// URL matcher: "*" matches anything, without "*" the pattern matches any part of the URL
+function createUrlMatcher(pattern) {
+  if (!pattern.includes('*')) {
+    const lower = pattern.toLowerCase();
+    return url => url.toLowerCase().includes(lower);
+  }
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  const regex = new RegExp(`^${source}$`, 'i');
+  return url => regex.test(url);
+}
+
+// Filter types as a list; accepts "console,network" as well as an array
+function parseTypes(type) {
+  if (!toOptional(type)) {
+    return null;
+  }
+  const types = (Array.isArray(type) ? type : String(type).split(','))
+    .map(value => value.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = types.filter(value => !BROWSER_ERROR_TYPES.includes(value));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown error type "${unknown[0]}", use ${BROWSER_ERROR_TYPES.join(', ')}`);
+  }
+  return types;
+}
+
+// Whole number of at least `min` (a limit of 0 would never advance nextOffset)
+function parseCount(value, name, defaultValue, min = 0) {
+  if (!toOptional(value) && value !== 0) {
+    return defaultValue;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new Error(`Invalid ${name} "${value}", expected a whole number${min > 0 ? ` of at least ${min}` : ''}`);
+  }
+  return number;
+}
+
+/**
+ * Predicate for normalized browser error records matching `filters`:
+ *   type          console, exception, network or page; several as an array or comma-separated
+ *   url           pattern for the page or source URL, "*" as wildcard, otherwise a substring
+ *   since, until  ISO date or duration ago ("15m", "2h", "7d")
+ *   connectionId  browser connection that captured the error
+ *   text          words that must all appear in the message, stack or URLs (case-insensitive)
+ * Throws for invalid filter values.
+ */
+function createBrowserErrorFilter(filters = {}) {
+  const types = parseTypes(filters.type);
+  const matchesUrl = toOptional(filters.url) ? createUrlMatcher(filters.url) : null;
+  const since = parseTime(filters.since, 'since');
+  const until = parseTime(filters.until, 'until');
+  const connectionId = toOptional(filters.connectionId);
+  const words = parseSearchText(filters.text);
+
+  return error => {
+    const time = Date.parse(error.timestamp);
+    if (types && !types.includes(error.type)) {
+      return false;
+    }
+    if (connectionId && error.connectionId !== String(connectionId)) {
+      return false;
+    }
+    if ((since !== null || until !== null) && Number.isNaN(time)) {
+      return false;
+    }
+    if ((since !== null && time < since) || (until !== null && time > until)) {
+      return false;
+    }
+    if (matchesUrl && ![error.pageUrl, error.sourceUrl].some(url => url && matchesUrl(url))) {
+      return false;
+    }
+    return matchesSearchText([error.message, error.stack, error.pageUrl, error.sourceUrl], words);
+  };
+}
+
+// Lowercase words of a full-text search
+function parseSearchText(text) {
+  return String(text || '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+// True when every word appears in one of the `fields`
+function matchesSearchText(fields, words) {
+  if (words.length === 0) {
+    return true;
+  }
+  const haystack = fields.filter(Boolean).join('\n').toLowerCase();
+  return words.every(word => haystack.includes(word));
+}
+
+/**
+ * Query browser error records, newest first, with the filters of
+ * createBrowserErrorFilter() plus offset and limit for pagination (limit
+ * 1 to 500, default 20). Returns { total, offset, limit, hasMore,
+ * nextOffset, errors }. Throws for invalid filter values.
+ */
+function queryBrowserErrors(records, filters = {}) {
+  const matches = records
+    .map(normalizeBrowserError)
+    .filter(createBrowserErrorFilter(filters))
+    .reverse();
+  const offset = parseCount(filters.offset, 'offset', 0);
+  const limit = Math.min(parseCount(filters.limit, 'limit', DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const errors = matches.slice(offset, offset + limit);
+  const hasMore = offset + errors.length < matches.length;
+  return {
+    total: matches.length,
+    offset,
+    limit,
+    hasMore,
+    nextOffset: hasMore ? offset + errors.length : null,
+    errors
+  };
+}
+
+// One line per error: "2024-05-01T12:00:00.000Z [console] message (source:line:column)"
+function formatBrowserError(error) {
+  const location = error.sourceUrl
+    ? ` (${[error.sourceUrl, error.line, error.column].filter(value => value !== null).join(':')})`
+    : '';
+  return `${error.timestamp} [${error.type}] ${error.message}${location}`;
+}
+
+module.exports = {
+  BROWSER_ERROR_TYPES,
+  createBrowserErrorFilter,
+  createBrowserErrorRecord,
+  formatBrowserError,
+  matchesSearchText,
+  normalizeBrowserError,
+  parseSearchText,
+  queryBrowserErrors
+};
@@ -0,0 +1,240 @@
+/**
+ * Structurizr browser session
+ *
+ * Keeps the puppeteer connection used to monitor Structurizr Lite. The
+ * session owns the browser and the Structurizr page, reconnects with
+ * exponential backoff when the browser goes away (e.g. Chrome restarted) and
+ * follows the Structurizr tab when it is closed and reopened or another tab
+ * navigates to it. `attachPage` is called exactly once for every page the
+ * session starts monitoring, so listeners are never attached twice.
+ */
+
+const puppeteer = require('puppeteer');
+
+const DEFAULT_BACKOFF = {
+  initialDelay: 1000,
+  maxDelay: 30000,
+  maxAttempts: 10
+};
+
+/**
+ * Create a session. `attachPage(page)` installs the error listeners on a
+ * Structurizr page, `isStructurizrUrl(url)` decides which tab to follow.
+ * Returns { launch, connect, disconnect, getPage, getStatus, recordEvent }.
+ */
+function createBrowserSession({ attachPage, isStructurizrUrl, backoff = {} }) {
+  const settings = { ...DEFAULT_BACKOFF, ...backoff };
+  const attachedPages = new WeakSet();
+
+  let browser = null;
+  let page = null;
+  let mode = null;
+  let browserURL = null;
+  let state = 'disconnected';
+  let connectedAt = null;
+  let lastEvent = null;
+  let lastError = null;
+  let reconnectAttempts = 0;
+  let reconnectTimer = null;
+  // Bumped on every launch, connect and disconnect so callbacks of an earlier browser ignore themselves
+  let generation = 0;
+
+  const recordEvent = (type, detail) => {
+    lastEvent = { type, detail, timestamp: new Date().toISOString() };
+  };
+
+  const monitorPage = async (candidate, gen) => {
+    if (gen !== generation || page === candidate) {
+      return;
+    }
+    page = candidate;
+    state = 'connected';
+    if (!attachedPages.has(candidate)) {
+      attachedPages.add(candidate);
+      candidate.once('close', () => {
+        if (page !== candidate) {
+          return;
+        }
+        page = null;
+        state = browser ? 'waiting-for-page' : state;
+        recordEvent('page-closed', candidate.url());
+        findStructurizrPage(gen).catch(error => console.error('Error looking for the Structurizr page:', error));
+      });
+      await attachPage(candidate);
+    }
+    recordEvent('page-attached', candidate.url());
+    console.error(`Monitoring Structurizr page ${candidate.url()}`);
+  };
+
+  const findStructurizrPage = async gen => {
+    if (!browser || gen !== generation) {
+      return null;
+    }
+    const pages = await browser.pages();
+    const match = pages.find(candidate => isStructurizrUrl(candidate.url()));
+    if (match) {
+      await monitorPage(match, gen);
+    }
+    return match || null;
+  };
+
+  // A tab was opened or navigated: follow it if it shows Structurizr and the current page doesn't
+  const handleTarget = async (target, gen) => {
+    if (gen !== generation || target.type() !== 'page' || !isStructurizrUrl(target.url())) {
+      return;
+    }
+    if (page && !page.isClosed() && isStructurizrUrl(page.url())) {
+      return;
+    }
+    const candidate = await target.page();
+    if (candidate) {
+      await monitorPage(candidate, gen);
+    }
+  };
+
+  const scheduleReconnect = gen => {
+    if (reconnectAttempts >= settings.maxAttempts) {
+      state = 'disconnected';
+      console.error(`Giving up reconnecting to ${browserURL} after ${reconnectAttempts} attempt(s)`);
+      return;
+    }
+    const delay = Math.min(settings.initialDelay * 2 ** reconnectAttempts, settings.maxDelay);
+    reconnectAttempts++;
+    state = 'reconnecting';
+    reconnectTimer = setTimeout(async () => {
+      reconnectTimer = null;
+      if (gen !== generation) {
+        return;
+      }
+      try {
+        const reconnected = await puppeteer.connect({ browserURL, defaultViewport: null });
+        if (gen !== generation) {
+          reconnected.disconnect();
+          return;
+        }
+        await setupBrowser(reconnected, gen);
+        recordEvent('reconnected', browserURL);
+        console.error(`Reconnected to ${browserURL}`);
+      } catch (error) {
+        lastError = error.message;
+        scheduleReconnect(gen);
+      }
+    }, delay);
+  };
+
+  const setupBrowser = async (newBrowser, gen, initialPage = null) => {
+    browser = newBrowser;
+    connectedAt = new Date().toISOString();
+    reconnectAttempts = 0;
+    lastError = null;
+    state = 'waiting-for-page';
+
+    newBrowser.on('disconnected', () => {
+      if (gen !== generation) {
+        return;
+      }
+      browser = null;
+      page = null;
+      recordEvent('browser-disconnected', browserURL);
+      console.error(`Browser at ${browserURL} disconnected, reconnecting`);
+      scheduleReconnect(gen);
+    });
+    const onTarget = target => handleTarget(target, gen).catch(error => console.error('Error following Structurizr tab:', error));
+    newBrowser.on('targetcreated', onTarget);
+    newBrowser.on('targetchanged', onTarget);
+
+    if (initialPage) {
+      await monitorPage(initialPage, gen);
+    } else {
+      await findStructurizrPage(gen);
+    }
+  };
+
+  // Drop the current browser: close it if we launched it, otherwise only disconnect
+  const release = async () => {
+    generation++;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    const previous = browser;
+    const launched = mode === 'launched';
+    browser = null;
+    page = null;
+    state = 'disconnected';
+    if (previous) {
+      if (launched) {
+        await previous.close();
+      } else {
+        await previous.disconnect();
+      }
+    }
+  };
+
+  return {
+    // Launch Chrome with remote debugging and open `url` in its first tab
+    async launch({ url, headless = false, debugPort, userDataDir }) {
+      await release();
+      const gen = generation;
+      mode = 'launched';
+      browserURL = `http://localhost:${debugPort}`;
+      const launched = await puppeteer.launch({
+        headless: headless ? 'new' : false,
+        args: [
+          `--remote-debugging-port=${debugPort}`,
+          `--user-data-dir=${userDataDir}`
+        ]
+      });
+      const [firstPage] = await launched.pages();
+      // Listeners are attached before navigating, so errors of the first render are captured
+      await setupBrowser(launched, gen, firstPage);
+      await firstPage.goto(url, { waitUntil: 'networkidle2' });
+      return firstPage;
+    },
+
+    // Connect to a running Chrome; resolves with the Structurizr page, or null while waiting for one
+    async connect({ debugPort }) {
+      await release();
+      const gen = generation;
+      mode = 'connected';
+      browserURL = `http://localhost:${debugPort}`;
+      const connected = await puppeteer.connect({ browserURL, defaultViewport: null });
+      await setupBrowser(connected, gen);
+      return this.getPage();
+    },
+
+    async disconnect() {
+      const hadBrowser = browser !== null || reconnectTimer !== null;
+      await release();
+      mode = null;
+      recordEvent('disconnected', browserURL);
+      return hadBrowser;
+    },
+
+    getPage() {
+      return page && !page.isClosed() ? page : null;
+    },
+
+    async getPageUrls() {
+      return browser ? (await browser.pages()).map(candidate => candidate.url()) : [];
+    },
+
+    getStatus() {
+      return {
+        state,
+        mode,
+        browserURL,
+        connected: browser !== null && browser.connected,
+        pageUrl: this.getPage() ? page.url() : null,
+        connectedAt,
+        lastEvent,
+        reconnectAttempts,
+        lastError
+      };
+    },
+
+    recordEvent
+  };
+}
+
+module.exports = {
+  createBrowserSession
+};
@@ -5,84 +5,82 @@
  * 
  * This script connects to a Chrome browser with Structurizr open,
  * captures DSL errors, and saves them for easy access.
+ *
+ * Usage: node capture-errors.js [--watch [workspace.dsl]] [--discover]
+ *   --watch     reload the page whenever the workspace or an !include'd file is
+ *               saved, and log the resulting errors or a "clean" event
+ *   --discover  find the Chrome debugging port and the Structurizr tab by probing
+ *               STRUCTURIZR_DISCOVERY_PORTS instead of using DEBUG_PORT/STRUCTURIZR_PORT
  */
 
 const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const { getPathMappings } = require('./path-mapping');
+const { isDslErrorText, recordDslErrors, resolveDslErrors } = require('./dsl-errors');
+const { installDomErrorCapture } = require('./dom-error-capture');
+const { awaitRenderAndSettle, createValidationRun, observePageRenders, recordRunDiagnostics, reloadAndSettle } = require('./validation-run');
+const { createWorkspaceWatcher, logWatchEvent } = require('./workspace-watcher');
+const { discoverEnvironment, formatDiscovery } = require('./environment-discovery');
+const { createSuggestionRegistry } = require('./suggestion-rules');
 
 // Configuration
 const CONFIG = {
-  debugPort: 9222,
+  debugPort: parseInt(process.env.DEBUG_PORT, 10) || 9222,
   structurizrPort: process.env.STRUCTURIZR_PORT || 8080,
   outputFile: '/tmp/dsl-error.json',
-  logFile: path.join(__dirname, 'logs', 'structurizr-dsl-errors.json')
+  logFile: path.join(__dirname, 'logs', 'structurizr-dsl-errors.jsonl'),
+  eventsLogFile: path.join(__dirname, 'logs', 'structurizr-dsl-events.jsonl'),
+  workspaceDir: process.env.STRUCTURIZR_WORKSPACE_DIR || process.cwd(),
+  pathMappings: getPathMappings()
 };
 
+// --watch [file]: revalidate whenever the workspace files are saved
+const watchIndex = process.argv.indexOf('--watch');
+const watchFile = watchIndex === -1
+  ? null
+  : path.resolve(CONFIG.workspaceDir, process.argv[watchIndex + 1] && !process.argv[watchIndex + 1].startsWith('--')
+    ? process.argv[watchIndex + 1]
+    : 'workspace.dsl');
+
+// Validation run in progress, errors captured meanwhile are tagged with its ID
+let activeRun = null;
+
+// Suggestion rules (built-in plus project-local rules file)
+const suggestionRules = createSuggestionRegistry({ workspaceDir: CONFIG.workspaceDir });
+
 // Create logs directory if it doesn't exist
 const logsDir = path.join(__dirname, 'logs');
 if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
 }
 
-// Initialize log file if it doesn't exist
-if (!fs.existsSync(CONFIG.logFile)) {
-  fs.writeFileSync(CONFIG.logFile, '[]', 'utf-8');
-}
-
-// Process a DSL error
-function processDslError(errorText) {
+// Process a DSL error through the shared error pipeline
+function processDslError(errorText, options = {}) {
   console.log(`Processing DSL error: ${errorText}`);
   
   try {
-    // Extract information from error message
-    // Format: workspace.dsl: Unexpected tokens ... at line 776 of /usr/local/structurizr/workspace.dsl: dynamic "ErrorHandlingFlow" {
-    const lineMatch = errorText.match(/at line (\d+) of ([^:]+):/);
-    const contextMatch = errorText.match(/: ([^:]+)$/);
-    const messageMatch = errorText.match(/workspace\.dsl: ([^(]+)/);
+    const diagnostics = recordDslErrors(errorText, {
+      logFile: CONFIG.logFile,
+      pathMappings: CONFIG.pathMappings,
+      suggestionRules,
+      runId: activeRun?.id,
+      ...options
+    });
     
-    if (!lineMatch || !contextMatch || !messageMatch) {
+    if (diagnostics.length === 0) {
       console.log('Could not parse error message. Invalid format.');
       return;
     }
     
-    const line = parseInt(lineMatch[1], 10);
-    const file = lineMatch[2];
-    const context = contextMatch[1].trim();
-    const message = messageMatch[1].trim();
-    
-    // Create error object
-    const error = {
-      source: "Structurizr DSL",
-      severity: "Error",
-      message: message,
-      file: file,
-      line: line,
-      column: 1,
-      code: "dsl-syntax",
-      relatedInformation: [
-        {
-          message: `Context: ${context}`,
-          file: file,
-          line: line,
-          column: 1
-        }
-      ],
-      suggestion: {
-        issue: "The dynamic view syntax is incorrect. It needs a container/component identifier AND key.",
-        fix: "Correct syntax: 'dynamic ContainerName ErrorHandlingFlow {'\nAlternatively: 'dynamic ComponentName ErrorHandlingFlow {'"
-      },
-      timestamp: new Date().toISOString()
-    };
-    
-    // Save to output file for immediate access
-    fs.writeFileSync(CONFIG.outputFile, JSON.stringify(error, null, 2), 'utf-8');
+    if (activeRun) {
+      recordRunDiagnostics(activeRun, diagnostics);
+    }
     
-    // Append to log file
-    const errors = JSON.parse(fs.readFileSync(CONFIG.logFile, 'utf-8'));
-    errors.push(error);
-    fs.writeFileSync(CONFIG.logFile, JSON.stringify(errors, null, 2), 'utf-8');
+    // Save the latest error to output file for immediate access
+    const error = diagnostics[diagnostics.length - 1];
+    fs.writeFileSync(CONFIG.outputFile, JSON.stringify(error, null, 2), 'utf-8');
     
     console.log('DSL error processed and saved for Cursor');
     console.log(`Error details saved to ${CONFIG.outputFile} for easy access`);
@@ -94,11 +92,75 @@ function processDslError(errorText) {
   }
 }
 
+// Reload the page after a save and log the errors of that reload or a clean event
+async function revalidateAfterChange(page, changedFiles) {
+  console.log(`Workspace files changed: ${changedFiles.join(', ')}`);
+  if (activeRun) {
+    console.log(`Validation run ${activeRun.id} already in progress, skipping`);
+    return;
+  }
+  
+  const run = createValidationRun();
+  activeRun = run;
+  try {
+    await reloadAndSettle(page, run);
+  } finally {
+    activeRun = null;
+  }
+  resolveFinishedRun(run);
+  
+  logWatchEvent(CONFIG.eventsLogFile, {
+    type: run.diagnostics.length === 0 ? 'clean' : 'errors',
+    mode: 'browser',
+    runId: run.id,
+    files: changedFiles,
+    errorCount: run.diagnostics.length
+  });
+  console.log(run.diagnostics.length === 0
+    ? 'Workspace revalidated: clean'
+    : `Workspace revalidated: ${run.diagnostics.length} DSL error(s)`);
+}
+
+// Collect the errors of a reload done in the browser, so errors it no longer reports get resolved
+async function observeRender(page) {
+  const run = createValidationRun();
+  activeRun = run;
+  try {
+    await awaitRenderAndSettle(page, run);
+  } finally {
+    activeRun = null;
+  }
+  resolveFinishedRun(run);
+}
+
+// Resolve open errors a completed run no longer reports; a timed out run may be incomplete
+function resolveFinishedRun(run) {
+  if (run.timedOut) {
+    return;
+  }
+  const resolved = resolveDslErrors(CONFIG.logFile, run.id, run.startedAt);
+  if (resolved.length > 0) {
+    console.log(`${resolved.length} DSL error(s) resolved`);
+  }
+}
+
 // Main function
 async function main() {
   console.log('Starting Structurizr DSL error capture for Cursor...');
   
   try {
+    if (process.argv.includes('--discover')) {
+      console.log('Discovering Chrome and Structurizr...');
+      const result = await discoverEnvironment();
+      console.log(formatDiscovery(result));
+      if (!result.bestMatch) {
+        console.error('Could not find Chrome with remote debugging and Structurizr');
+        process.exit(1);
+      }
+      CONFIG.debugPort = result.bestMatch.debugPort;
+      CONFIG.structurizrPort = result.bestMatch.structurizrPort;
+    }
+    
     console.log(`Connecting to Chrome on port ${CONFIG.debugPort}...`);
     
     // Connect to browser
@@ -131,13 +193,35 @@ async function main() {
     
     console.log(`Found Structurizr page: ${await structurizrPage.url()}`);
     
+    // Capture errors and warnings shown in the page, including after reloads
+    await installDomErrorCapture(structurizrPage, ({ severity, text }) => {
+      if (!isDslErrorText(text)) {
+        return;
+      }
+      processDslError(text, { origin: 'dom', severity: severity === 'warning' ? 'Warning' : 'Error' });
+    });
+    observePageRenders(structurizrPage, {
+      isBusy: () => activeRun !== null,
+      onNavigation: () => observeRender(structurizrPage)
+    });
+    
     // Set up error listener
     structurizrPage.on('console', message => {
-      if (message.type() === 'error' && message.text().includes('workspace.dsl')) {
+      if (message.type() === 'error' && isDslErrorText(message.text())) {
         processDslError(message.text());
       }
     });
     
+    if (watchFile) {
+      const watcher = createWorkspaceWatcher({
+        workspaceFile: watchFile,
+        onChange: changedFiles => revalidateAfterChange(structurizrPage, changedFiles)
+      });
+      watcher.start();
+      console.log(`Watching ${watcher.files().length} workspace file(s) for changes:`);
+      watcher.files().forEach(file => console.log(` - ${file}`));
+    }
+    
     console.log('Error capture setup complete. Waiting for Structurizr DSL errors...');
     console.log('Press Ctrl+C to exit or type "refresh" to reload the page.');
     
@@ -0,0 +1,134 @@
+/**
+ * Structurizr DSL code frames
+ *
+ * Enriches logged errors with the DSL around the error line, read from the
+ * host file, and the path of blocks enclosing it (e.g. workspace > views > dynamic),
+ * so the error can be understood without opening the file.
+ */
+
+const fs = require('fs');
+const { tokenize } = require('./dsl-tokenizer');
+
+// Keyword naming the block a statement opens: "a = softwareSystem ... {" -> softwareSystem
+function getBlockKeyword(tokens) {
+  if (tokens.length === 0) {
+    return '{';
+  }
+  if (tokens.length > 2 && !tokens[1].quoted && tokens[1].value === '=') {
+    return tokens[2].value;
+  }
+  if (tokens.length > 1 && !tokens[1].quoted && /^-.*>$/.test(tokens[1].value)) {
+    return 'relationship';
+  }
+  return tokens[0].value;
+}
+
+/**
+ * Blocks enclosing `line` of the DSL `text`, outermost first. A block opened
+ * on `line` itself is included, so an error on "dynamic * {" reports
+ * workspace > views > dynamic.
+ */
+function getBlockPath(text, line) {
+  const stack = [];
+  for (const entry of tokenize(text).entries) {
+    if (entry.type !== 'statement' || entry.line > line) {
+      continue;
+    }
+    const tokens = entry.tokens;
+    const first = tokens[0];
+    const last = tokens[tokens.length - 1];
+    if (!first.quoted && first.value === '}') {
+      stack.pop();
+    } else if (!last.quoted && last.value === '{') {
+      stack.push(getBlockKeyword(tokens.slice(0, -1)));
+    }
+  }
+  return stack;
+}
+
+/**
+ * Code frame for `line` of `file`, with `contextLines` lines before and after.
+ * Returns null when the line is unknown or the file can't be read.
+ */
+function createCodeFrame(file, line, { column = null, contextLines = 3, source = null } = {}) {
+  if (!file || !line) {
+    return null;
+  }
+
+  let text = source;
+  if (text === null) {
+    try {
+      text = fs.readFileSync(file, 'utf-8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const sourceLines = text.split(/\r?\n/);
+  if (line > sourceLines.length) {
+    return null;
+  }
+  const startLine = Math.max(1, line - contextLines);
+  const endLine = Math.min(sourceLines.length, line + contextLines);
+
+  return {
+    file,
+    line,
+    column,
+    startLine,
+    endLine,
+    blockPath: getBlockPath(text, line),
+    lines: sourceLines.slice(startLine - 1, endLine).map((content, index) => ({
+      line: startLine + index,
+      text: content,
+      error: startLine + index === line
+    }))
+  };
+}
+
+// Render a code frame as text, marking the error line with ">" (and the column with "^")
+function formatCodeFrame(frame) {
+  const width = String(frame.endLine).length;
+  const output = [];
+  if (frame.blockPath.length > 0) {
+    output.push(`In: ${frame.blockPath.join(' > ')}`);
+  }
+  for (const { line, text, error } of frame.lines) {
+    output.push(`${error ? '>' : ' '} ${String(line).padStart(width)} | ${text}`);
+    if (error && frame.column > 1) {
+      output.push(`  ${' '.repeat(width)} | ${' '.repeat(frame.column - 1)}^`);
+    }
+  }
+  return output.join('\n');
+}
+
+// Add a `codeFrame` to every error whose file and line can be read, each file is read once
+function addCodeFrames(errors, { contextLines = 3 } = {}) {
+  const sources = new Map();
+  const readSource = file => {
+    if (!sources.has(file)) {
+      try {
+        sources.set(file, fs.readFileSync(file, 'utf-8'));
+      } catch (error) {
+        sources.set(file, null);
+      }
+    }
+    return sources.get(file);
+  };
+
+  return errors.map(error => {
+    const source = error.file && error.line ? readSource(error.file) : null;
+    const codeFrame = source === null
+      ? null
+      : createCodeFrame(error.file, error.line, { column: error.column, contextLines, source });
+    return codeFrame ? { ...error, codeFrame } : error;
+  });
+}
+
+module.exports = {
+  addCodeFrames,
+  createCodeFrame,
+  formatCodeFrame,
+  getBlockKeyword,
+  getBlockPath
+};
@@ -0,0 +1,129 @@
+/**
+ * Structurizr Lite DOM error capture
+ *
+ * Some DSL problems are only shown in Structurizr Lite's UI (error panel and
+ * warning banners) and never reach the console. This module installs a DOM
+ * scraper in the page that reads those elements on load and on every
+ * mutation, and reports them back to Node through an exposed function.
+ * The selectors are broad and also match unrelated banners, so callers check
+ * the text with isDslErrorText() before recording it as a DSL error.
+ */
+
+// Name of the function exposed to the page for reporting DOM errors
+const BINDING_NAME = '__structurizrReportDomError';
+
+// Elements Structurizr Lite uses for parser errors and warnings
+const DEFAULT_SELECTORS = {
+  error: ['.alert-danger', '.error', '.errorMessage', '#errorMessage', '.workspaceErrors', 'pre.error'],
+  warning: ['.alert-warning', '.warning', '.warningMessage', '#warningMessage']
+};
+
+// Runs inside the page: scans for error/warning elements and reports each new text once
+function domErrorScraper(bindingName, selectors) {
+  if (window.__structurizrDomCaptureInstalled) {
+    return;
+  }
+  window.__structurizrDomCaptureInstalled = true;
+
+  const reported = new Set();
+  let scheduled = null;
+
+  const isVisible = element => element.getClientRects().length > 0;
+
+  const scan = () => {
+    scheduled = null;
+    Object.keys(selectors).forEach(severity => {
+      selectors[severity].forEach(selector => {
+        document.querySelectorAll(selector).forEach(element => {
+          const text = (element.innerText || element.textContent || '').trim();
+          const key = `${severity}:${text}`;
+          if (!text || !isVisible(element) || reported.has(key)) {
+            return;
+          }
+          reported.add(key);
+          if (typeof window[bindingName] === 'function') {
+            window[bindingName]({
+              severity,
+              selector,
+              text,
+              url: window.location.href,
+              timestamp: new Date().toISOString()
+            });
+          }
+        });
+      });
+    });
+  };
+
+  const start = () => {
+    scan();
+    const observer = new MutationObserver(() => {
+      if (!scheduled) {
+        scheduled = setTimeout(scan, 100);
+      }
+    });
+    observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+  } else {
+    start();
+  }
+}
+
+// Runs inside the page: returns the error/warning elements currently shown
+function domErrorSnapshot(selectors) {
+  const entries = [];
+  const seen = new Set();
+  Object.keys(selectors).forEach(severity => {
+    selectors[severity].forEach(selector => {
+      document.querySelectorAll(selector).forEach(element => {
+        const text = (element.innerText || element.textContent || '').trim();
+        if (!text || element.getClientRects().length === 0 || seen.has(`${severity}:${text}`)) {
+          return;
+        }
+        seen.add(`${severity}:${text}`);
+        entries.push({ severity, selector, text });
+      });
+    });
+  });
+  return entries;
+}
+
+/**
+ * Install the DOM scraper on a puppeteer page. It is registered with
+ * evaluateOnNewDocument so it survives reloads, and also run once on the
+ * document that is already loaded. `onDomError` receives
+ * { severity, selector, text, url, timestamp }.
+ */
+async function installDomErrorCapture(page, onDomError, { selectors = DEFAULT_SELECTORS } = {}) {
+  try {
+    await page.exposeFunction(BINDING_NAME, payload => {
+      try {
+        onDomError(payload);
+      } catch (error) {
+        console.error('Error handling DOM error:', error);
+      }
+    });
+  } catch (error) {
+    // The binding survives on the page object, so a second install only refreshes the scraper
+    if (!/already exists/.test(error.message)) {
+      throw error;
+    }
+  }
+
+  await page.evaluateOnNewDocument(domErrorScraper, BINDING_NAME, selectors);
+  await page.evaluate(domErrorScraper, BINDING_NAME, selectors);
+}
+
+// Read the errors and warnings currently shown on the page
+async function getPageErrorsSnapshot(page, { selectors = DEFAULT_SELECTORS } = {}) {
+  return page.evaluate(domErrorSnapshot, selectors);
+}
+
+module.exports = {
+  DEFAULT_SELECTORS,
+  installDomErrorCapture,
+  getPageErrorsSnapshot
+};
@@ -0,0 +1,340 @@
+/**
+ * Structurizr DSL error parsing
+ *
+ * Shared core used by every entry point (MCP servers, capture CLI) to turn
+ * raw Structurizr output into diagnostics. Understands:
+ *   - "workspace.dsl: <message> at line N of <file>: <context>"
+ *   - errors reported for !include'd files
+ *   - errors without a line number ("The workspace must contain ...", duplicate identifiers, ...)
+ *   - messages spread over several lines
+ *   - Java exception output with stack traces and "Caused by:" chains
+ *
+ * Logged errors are deduplicated by fingerprint. Each entry keeps firstSeen,
+ * lastSeen, an occurrence count and a status: "open" until a later render no
+ * longer reports it, then "resolved". The log itself is a JSON lines file
+ * written through log-store.js, so several processes can share it.
+ */
+
+const crypto = require('crypto');
+const { createLogStore } = require('./log-store');
+const { mapDiagnosticPaths } = require('./path-mapping');
+
+// Error codes, matched in order against the error message
+const DSL_ERROR_CODES = [
+  { code: 'dsl-unterminated-string', pattern: /Unterminated (string|text block)/i },
+  { code: 'dsl-unterminated-comment', pattern: /Unterminated block comment/i },
+  { code: 'dsl-unexpected-brace', pattern: /Unexpected "[{}]"/ },
+  { code: 'dsl-unclosed-block', pattern: /Missing closing|unclosed/i },
+  { code: 'dsl-duplicate-identifier', pattern: /identifier .* is already in use/i },
+  { code: 'dsl-invalid-identifier', pattern: /Identifiers can only contain/i },
+  { code: 'dsl-duplicate-relationship', pattern: /relationship .*already exists/i },
+  { code: 'dsl-include-not-found', pattern: /(file|directory)( at)? .*(does not exist|could not be found)/i },
+  { code: 'dsl-include-cycle', pattern: /Circular !include/i },
+  { code: 'dsl-unknown-identifier', pattern: /(element|relationship|software system|container|component|identifier)[^"]*"[^"]+"[^"]*(does not exist|could not be found)/i },
+  { code: 'dsl-missing-block', pattern: /Expected: .*\{$/ },
+  { code: 'dsl-invalid-arguments', pattern: /^Expected: |Too (many|few) tokens/i },
+  { code: 'dsl-workspace-incomplete', pattern: /must contain at least one/i },
+  { code: 'dsl-syntax', pattern: /Unexpected tokens|Unexpected token|Invalid (syntax|token)/i },
+  { code: 'dsl-view-error', pattern: /\bview\b/i },
+  { code: 'dsl-parser-exception', pattern: /Exception/ }
+];
+
+// Prefixes added by browsers and our own page monitors in front of the Structurizr message
+const MESSAGE_PREFIXES = /^(?:\s*(?:DSL Error|Browser error captured|Error|ERROR|\[error\]|Uncaught(?: \w+)?)\s*:?\s+)+/i;
+
+const STACK_FRAME = /^\s*(?:at\s+[\w$.<>]+\(.*\)|at\s+[\w$.<>/]+|\.\.\.\s*\d+\s+more|\.\.\.\s*\d+\s+common frames omitted)\s*$/;
+const EXCEPTION_HEADER = /^\s*(Caused by:\s*)?((?:[a-zA-Z_$][\w$]*\.)+[A-Z][\w$]*(?:Exception|Error))(?::\s*(.*))?$/;
+const LOCATED_ERROR = /(?:^|\n)\s*(?:(\S+\.dsl):\s+)?(\S[\s\S]*?)\s+at line (\d+)(?: of ([^\n]+?))?:[ \t]*\n?[ \t]*([^\n]*)/g;
+
+// Quick check used by console listeners to decide whether a message is a DSL error
+function isDslErrorText(text) {
+  if (!text) {
+    return false;
+  }
+  return /\.dsl\b|StructurizrDsl|at line \d+ of |must contain at least one|is already in use|element "[^"]+" does not exist/.test(text);
+}
+
+function getErrorCode(message) {
+  const entry = DSL_ERROR_CODES.find(({ pattern }) => pattern.test(message));
+  return entry ? entry.code : 'dsl-error';
+}
+
+// Remove stack frames and reduce exception chains to their messages
+function normalizeErrorText(text) {
+  const lines = text.split(/\r?\n/).filter(line => !STACK_FRAME.test(line));
+  const exceptions = [];
+  const body = [];
+
+  for (const line of lines) {
+    const header = line.match(EXCEPTION_HEADER);
+    if (header) {
+      exceptions.push({ className: header[2], message: [header[3] || ''] });
+      continue;
+    }
+    if (exceptions.length > 0) {
+      exceptions[exceptions.length - 1].message.push(line);
+    } else {
+      body.push(line);
+    }
+  }
+
+  if (exceptions.length === 0) {
+    return { text: body.join('\n').trim(), exception: null };
+  }
+
+  // Prefer the DSL parser exception, otherwise the root cause
+  const chosen = exceptions.find(exception => /StructurizrDsl|Dsl/.test(exception.className)) ||
+    exceptions[exceptions.length - 1];
+  return {
+    text: [...body, ...chosen.message].join('\n').trim(),
+    exception: chosen.className
+  };
+}
+
+function stripPrefixes(text) {
+  return text.split('\n').map(line => line.replace(MESSAGE_PREFIXES, '')).join('\n').trim();
+}
+
+function createDiagnostic({ message, file, line, column = 1, code = 'dsl-syntax', context = '', severity = 'Error', related = [] }) {
+  return {
+    source: 'Structurizr DSL',
+    severity,
+    message,
+    file,
+    line,
+    column,
+    code,
+    relatedInformation: [
+      {
+        message: `Context: ${context}`,
+        file,
+        line,
+        column
+      },
+      ...related
+    ],
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Parse raw Structurizr error output into diagnostics. Returns an empty array
+ * when nothing that looks like an error was found.
+ */
+function parseDslErrorText(errorText) {
+  if (!errorText || !errorText.trim()) {
+    return [];
+  }
+
+  const { text, exception } = normalizeErrorText(errorText);
+  const cleaned = stripPrefixes(text);
+  const diagnostics = [];
+
+  LOCATED_ERROR.lastIndex = 0;
+  let match;
+  while ((match = LOCATED_ERROR.exec(cleaned)) !== null) {
+    const [, reportedBy, rawMessage, lineNumber, filePath, context] = match;
+    const message = rawMessage.replace(/\s*\n\s*/g, ' ').trim();
+    const file = (filePath || reportedBy || 'workspace.dsl').trim();
+
+    const diagnostic = createDiagnostic({
+      message,
+      file,
+      line: parseInt(lineNumber, 10),
+      code: getErrorCode(message),
+      context: context.trim()
+    });
+    diagnostic.context = context.trim();
+    if (reportedBy && filePath && !filePath.trim().endsWith(`/${reportedBy}`) && filePath.trim() !== reportedBy) {
+      diagnostic.includedFrom = reportedBy;
+    }
+    if (exception) {
+      diagnostic.exception = exception;
+    }
+    diagnostic.raw = errorText;
+    diagnostics.push(diagnostic);
+  }
+
+  if (diagnostics.length > 0) {
+    return diagnostics;
+  }
+
+  // Errors without a line number, e.g. "The workspace must contain at least one view"
+  const unlocated = cleaned.match(/^(?:(\S+\.dsl):\s+)?([\s\S]+)$/);
+  const message = unlocated[2].replace(/\s*\n\s*/g, ' ').trim();
+  const diagnostic = createDiagnostic({
+    message,
+    file: unlocated[1] || 'workspace.dsl',
+    line: null,
+    column: null,
+    code: getErrorCode(message),
+    context: ''
+  });
+  diagnostic.context = '';
+  if (exception) {
+    diagnostic.exception = exception;
+  }
+  diagnostic.raw = errorText;
+  return [diagnostic];
+}
+
+/**
+ * Stable identity of an error across refreshes: code, file, message and the
+ * offending statement (the line number only when there is no statement, so
+ * edits above the error don't turn it into a new one).
+ */
+function getErrorFingerprint(diagnostic) {
+  const context = diagnostic.context !== undefined
+    ? diagnostic.context
+    : ((diagnostic.relatedInformation || [])[0] || {}).message?.replace(/^Context:\s*/, '') || '';
+  const key = [diagnostic.code, diagnostic.file, diagnostic.message, context.trim() || diagnostic.line].join('\n');
+  return crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+}
+
+// Fill in lifecycle fields for entries logged before errors were deduplicated
+function normalizeLogEntry(entry) {
+  if (entry.fingerprint) {
+    return entry;
+  }
+  const { supersededBy, ...rest } = entry;
+  return {
+    ...rest,
+    fingerprint: getErrorFingerprint(entry),
+    firstSeen: entry.timestamp,
+    lastSeen: entry.timestamp,
+    occurrences: 1,
+    status: supersededBy ? 'resolved' : 'open',
+    ...(supersededBy ? { resolvedAt: entry.timestamp, resolvedBy: supersededBy } : {})
+  };
+}
+
+// One store per log file, shared by everything in this process
+const stores = new Map();
+
+/**
+ * Log store for a DSL error log (JSON lines, one version per line, keyed by
+ * fingerprint). A JSON array log from before, at the same path with a .json
+ * extension, is imported on first use. Open errors survive rotation.
+ */
+function getDslErrorStore(logFile) {
+  if (!stores.has(logFile)) {
+    stores.set(logFile, createLogStore(logFile, {
+      key: 'fingerprint',
+      retain: entry => entry.status === 'open',
+      legacyFile: logFile.endsWith('.jsonl') ? logFile.replace(/\.jsonl$/, '.json') : null,
+      migrate: entries => entries.map(normalizeLogEntry)
+    }));
+  }
+  return stores.get(logFile);
+}
+
+const byLastSeen = (a, b) => (a.lastSeen || '').localeCompare(b.lastSeen || '');
+
+// Read the DSL error log ordered by when each error was last seen, an empty list when it is missing
+function readDslErrorLog(logFile) {
+  return getDslErrorStore(logFile).read().map(normalizeLogEntry).sort(byLastSeen);
+}
+
+function clearDslErrorLog(logFile) {
+  getDslErrorStore(logFile).clear();
+}
+
+/**
+ * Add diagnostics to the DSL error log. A diagnostic whose fingerprint is
+ * already logged updates that entry (lastSeen, occurrences, reopened if it was
+ * resolved). Returns the resulting log entries.
+ */
+function appendDslErrors(logFile, diagnostics) {
+  if (diagnostics.length === 0) {
+    return [];
+  }
+  let entries = [];
+  getDslErrorStore(logFile).update(records => {
+    const known = new Map(records.map(record => [record.fingerprint, normalizeLogEntry(record)]));
+    entries = diagnostics.map(diagnostic => {
+      const fingerprint = getErrorFingerprint(diagnostic);
+      const existing = known.get(fingerprint);
+      // Lifecycle fields of the earlier occurrence don't carry over
+      const { resolvedAt, resolvedBy, runId, origin, ...previous } = existing || {};
+      const entry = {
+        ...previous,
+        ...diagnostic,
+        fingerprint,
+        firstSeen: existing ? existing.firstSeen : diagnostic.timestamp,
+        lastSeen: diagnostic.timestamp,
+        occurrences: existing ? existing.occurrences + 1 : 1,
+        status: 'open'
+      };
+      known.set(fingerprint, entry);
+      return entry;
+    });
+    return entries;
+  });
+  return entries;
+}
+
+/**
+ * Resolve open errors that a finished render (validation run `runId`, started
+ * at `before`) no longer reports. With `origin`, only errors captured that way
+ * are resolved (a run of the offline parser can't vouch for the others).
+ * Returns the resolved entries.
+ */
+function resolveDslErrors(logFile, runId, before, { origin } = {}) {
+  const resolvedAt = new Date().toISOString();
+  return getDslErrorStore(logFile).update(records => records
+    .map(normalizeLogEntry)
+    .filter(error => error.status === 'open' && error.runId !== runId && error.lastSeen < before)
+    .filter(error => !origin || error.origin === origin)
+    .map(error => ({ ...error, status: 'resolved', resolvedAt, resolvedBy: runId })));
+}
+
+/**
+ * Parse an error, map container paths to host paths, attach suggestions and
+ * add the resulting diagnostics to the DSL error log. `origin` records where
+ * the error was captured (console, dom, ...) and `runId` the validation run
+ * that produced it. Returns the log entries, including their lifecycle fields.
+ */
+function recordDslErrors(errorText, { logFile, pathMappings = [], suggestionRules, severity, origin, runId } = {}) {
+  const diagnostics = parseDslErrorText(errorText).map(diagnostic => {
+    const mapped = mapDiagnosticPaths(diagnostic, pathMappings);
+    if (severity) {
+      mapped.severity = severity;
+    }
+    if (origin) {
+      mapped.origin = origin;
+    }
+    if (runId) {
+      mapped.runId = runId;
+    }
+    if (suggestionRules) {
+      mapped.suggestion = suggestionRules.suggest({
+        message: mapped.message,
+        context: mapped.context,
+        code: mapped.code,
+        line: mapped.line,
+        file: mapped.file
+      });
+    }
+    return mapped;
+  });
+
+  if (diagnostics.length === 0 || !logFile) {
+    return diagnostics;
+  }
+
+  return appendDslErrors(logFile, diagnostics);
+}
+
+module.exports = {
+  DSL_ERROR_CODES,
+  appendDslErrors,
+  clearDslErrorLog,
+  createDiagnostic,
+  getErrorCode,
+  getErrorFingerprint,
+  isDslErrorText,
+  parseDslErrorText,
+  readDslErrorLog,
+  recordDslErrors,
+  resolveDslErrors
+};
@@ -0,0 +1,270 @@
+/**
+ * Structurizr DSL Fixer
+ *
+ * Applies line-based edits to a DSL workspace file. Every write is preceded
+ * by a timestamped backup so that the last fix can be undone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Number of unchanged lines shown around an edit in the diff preview
+const DIFF_CONTEXT_LINES = 3;
+
+// Split file content into lines, remembering the line ending style
+function splitLines(content) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(/\r?\n/);
+  const trailingNewline = lines.length > 1 && lines[lines.length - 1] === '';
+  if (trailingNewline) {
+    lines.pop();
+  }
+  return { lines, eol, trailingNewline };
+}
+
+// Build a single-hunk unified diff for a replacement of lines [start, end)
+function createUnifiedDiff(fileLabel, oldLines, start, end, newSegment) {
+  const contextStart = Math.max(0, start - DIFF_CONTEXT_LINES);
+  const contextEnd = Math.min(oldLines.length, end + DIFF_CONTEXT_LINES);
+
+  const oldCount = contextEnd - contextStart;
+  const newCount = (start - contextStart) + newSegment.length + (contextEnd - end);
+  const oldStart = oldCount === 0 ? contextStart : contextStart + 1;
+  const newStart = newCount === 0 ? contextStart : contextStart + 1;
+
+  const diff = [
+    `--- a/${fileLabel}`,
+    `+++ b/${fileLabel}`,
+    `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`
+  ];
+
+  for (let i = contextStart; i < start; i++) {
+    diff.push(` ${oldLines[i]}`);
+  }
+  for (let i = start; i < end; i++) {
+    diff.push(`-${oldLines[i]}`);
+  }
+  for (const line of newSegment) {
+    diff.push(`+${line}`);
+  }
+  for (let i = end; i < contextEnd; i++) {
+    diff.push(` ${oldLines[i]}`);
+  }
+
+  return diff.join('\n');
+}
+
+/**
+ * Unified diff between two versions of a file. When lines are only changed
+ * in place (e.g. a rename) every group of changes gets its own hunk,
+ * otherwise a single hunk spans the first to the last changed line.
+ */
+function createFileDiff(fileLabel, oldContent, newContent) {
+  const oldLines = splitLines(oldContent).lines;
+  const newLines = splitLines(newContent).lines;
+  if (oldLines.length !== newLines.length) {
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+      start++;
+    }
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+      oldEnd--;
+      newEnd--;
+    }
+    return createUnifiedDiff(fileLabel, oldLines, start, oldEnd, newLines.slice(start, newEnd));
+  }
+
+  // Group changed lines whose context would overlap
+  const groups = [];
+  oldLines.forEach((line, index) => {
+    if (line === newLines[index]) {
+      return;
+    }
+    const last = groups[groups.length - 1];
+    if (last && index - last.end <= DIFF_CONTEXT_LINES * 2) {
+      last.end = index + 1;
+    } else {
+      groups.push({ start: index, end: index + 1 });
+    }
+  });
+  const diff = [`--- a/${fileLabel}`, `+++ b/${fileLabel}`];
+  for (const { start, end } of groups) {
+    const contextStart = Math.max(0, start - DIFF_CONTEXT_LINES);
+    const contextEnd = Math.min(oldLines.length, end + DIFF_CONTEXT_LINES);
+    const count = contextEnd - contextStart;
+    diff.push(`@@ -${contextStart + 1},${count} +${contextStart + 1},${count} @@`);
+    let i = contextStart;
+    while (i < contextEnd) {
+      if (oldLines[i] === newLines[i]) {
+        diff.push(` ${oldLines[i++]}`);
+        continue;
+      }
+      // A run of changed lines: removals first, then additions
+      let runEnd = i;
+      while (runEnd < contextEnd && oldLines[runEnd] !== newLines[runEnd]) {
+        runEnd++;
+      }
+      diff.push(...oldLines.slice(i, runEnd).map(line => `-${line}`), ...newLines.slice(i, runEnd).map(line => `+${line}`));
+      i = runEnd;
+    }
+  }
+  return diff.join('\n');
+}
+
+// Read the backup manifest (most recent backup last)
+function readBackupManifest(manifestFile) {
+  if (!fs.existsSync(manifestFile)) {
+    return [];
+  }
+  try {
+    return JSON.parse(fs.readFileSync(manifestFile, 'utf-8'));
+  } catch (e) {
+    console.error('Error reading DSL fix backup manifest:', e);
+    return [];
+  }
+}
+
+function writeBackupManifest(manifestFile, entries) {
+  fs.writeFileSync(manifestFile, JSON.stringify(entries, null, 2), 'utf-8');
+}
+
+// Back up the current content of `file` before touching it, and record the edited lines in the manifest
+function backupDslFile({ file, original, backupDir, line, endLine }) {
+  if (!fs.existsSync(backupDir)) {
+    fs.mkdirSync(backupDir, { recursive: true });
+  }
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = path.join(backupDir, `${path.basename(file)}.backup-${timestamp}`);
+  fs.writeFileSync(backupPath, original, 'utf-8');
+
+  const manifestFile = path.join(backupDir, 'manifest.json');
+  const manifest = readBackupManifest(manifestFile);
+  manifest.push({
+    file: path.resolve(file),
+    backupPath,
+    line,
+    endLine,
+    timestamp: new Date().toISOString()
+  });
+  writeBackupManifest(manifestFile, manifest);
+  return backupPath;
+}
+
+/**
+ * Replace lines `line`..`endLine` (1-based, inclusive) of `file` with `replacement`.
+ * An empty replacement deletes the lines. With `dryRun` the file is left untouched
+ * and only the diff preview is returned.
+ */
+function applyDslFix({ file, line, endLine, replacement, dryRun = false, backupDir }) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Workspace file not found: ${file}`);
+  }
+
+  const original = fs.readFileSync(file, 'utf-8');
+  const { lines, eol, trailingNewline } = splitLines(original);
+  const lastLine = endLine || line;
+
+  if (line < 1 || line > lines.length) {
+    throw new Error(`Line ${line} is outside of ${path.basename(file)} (${lines.length} lines)`);
+  }
+  if (lastLine < line || lastLine > lines.length) {
+    throw new Error(`Invalid line range ${line}-${lastLine} for ${path.basename(file)} (${lines.length} lines)`);
+  }
+
+  const newSegment = replacement === '' ? [] : replacement.split(/\r?\n/);
+  const diff = createUnifiedDiff(path.basename(file), lines, line - 1, lastLine, newSegment);
+
+  const result = {
+    file,
+    line,
+    endLine: lastLine,
+    diff,
+    applied: false,
+    backupPath: null
+  };
+
+  if (dryRun) {
+    return result;
+  }
+
+  const backupPath = backupDslFile({ file, original, backupDir, line, endLine: lastLine });
+
+  // Write the edited content
+  const updatedLines = [...lines.slice(0, line - 1), ...newSegment, ...lines.slice(lastLine)];
+  const updated = updatedLines.join(eol) + (trailingNewline ? eol : '');
+  fs.writeFileSync(file, updated, 'utf-8');
+
+  result.applied = true;
+  result.backupPath = backupPath;
+  return result;
+}
+
+/**
+ * Replace the whole content of `file` with `content`, backed up like a fix
+ * so undoDslFix restores it. With `dryRun` only the diff is returned.
+ */
+function rewriteDslFile({ file, content, dryRun = false, backupDir }) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Workspace file not found: ${file}`);
+  }
+
+  const original = fs.readFileSync(file, 'utf-8');
+  const result = {
+    file,
+    diff: createFileDiff(path.basename(file), original, content),
+    changed: content !== original,
+    applied: false,
+    backupPath: null
+  };
+  if (dryRun || !result.changed) {
+    return result;
+  }
+
+  result.backupPath = backupDslFile({ file, original, backupDir, line: 1, endLine: splitLines(original).lines.length });
+  fs.writeFileSync(file, content, 'utf-8');
+  result.applied = true;
+  return result;
+}
+
+/**
+ * Restore the most recent backup, optionally restricted to a single file.
+ * Returns null when there is nothing to undo.
+ */
+function undoDslFix({ file, backupDir }) {
+  const manifestFile = path.join(backupDir, 'manifest.json');
+  const manifest = readBackupManifest(manifestFile);
+  const target = file ? path.resolve(file) : null;
+
+  let index = -1;
+  for (let i = manifest.length - 1; i >= 0; i--) {
+    if (!target || manifest[i].file === target) {
+      index = i;
+      break;
+    }
+  }
+  if (index === -1) {
+    return null;
+  }
+
+  const entry = manifest[index];
+  if (!fs.existsSync(entry.backupPath)) {
+    throw new Error(`Backup file is missing: ${entry.backupPath}`);
+  }
+
+  fs.copyFileSync(entry.backupPath, entry.file);
+  fs.unlinkSync(entry.backupPath);
+  manifest.splice(index, 1);
+  writeBackupManifest(manifestFile, manifest);
+
+  return entry;
+}
+
+module.exports = {
+  applyDslFix,
+  rewriteDslFile,
+  undoDslFix,
+  createFileDiff,
+  createUnifiedDiff
+};
@@ -0,0 +1,306 @@
+/**
+ * Structurizr DSL Formatter
+ *
+ * Reprints DSL source in a canonical style: one statement per line, block
+ * contents indented by a fixed width, "{" on the line of the statement it
+ * opens, at most one blank line in a row and the names, descriptions and
+ * technologies of model elements and relationships quoted. Comments and
+ * text blocks are kept; multi-line comments are re-indented as a whole. The
+ * bodies of inline !script and !plugin blocks are kept exactly as written.
+ * Style blocks can optionally be sorted by tag.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize } = require('./dsl-tokenizer');
+const { getBlockKeyword } = require('./code-frame');
+const { parseDslFile } = require('./dsl-parser');
+
+const DEFAULT_INDENT = 4;
+
+// Statements whose arguments are names/descriptions/technologies, quoted by the formatter
+const ELEMENT_KEYWORDS = new Set([
+  'person', 'softwaresystem', 'container', 'component', 'element', 'group', 'enterprise',
+  'deploymentenvironment', 'deploymentgroup', 'deploymentnode', 'infrastructurenode'
+]);
+const TEXT_KEYWORDS = new Set(['name', 'description', 'technology', 'tags', 'url']);
+
+// Blocks whose contents are left unquoted: view definitions, styles and free-form key/value blocks
+const UNQUOTED_BLOCKS = new Set(['views', 'properties', 'perspectives', 'configuration', 'users']);
+
+// Blocks whose style rules can be sorted
+const STYLE_BLOCKS = new Set(['styles', 'light', 'dark']);
+const STYLE_RULES = ['element', 'relationship'];
+
+// Instance counts such as 4 or 1..N read better unquoted
+const INSTANCES_PATTERN = /^\d+(\.\.(\d+|N))?$/i;
+
+function isWord(token, value) {
+  return !token.quoted && token.value === value;
+}
+
+function isArrow(token) {
+  return !token.quoted && /^-.*>$/.test(token.value);
+}
+
+/**
+ * Build a tree of blank, comment, statement and block nodes from the
+ * tokenizer entries. Statements sharing a line with braces are split, so
+ * every statement, opening and closing brace ends up on its own node.
+ */
+function buildTree(entries) {
+  const root = { type: 'block', tokens: [], children: [], line: 0 };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+
+  const open = (tokens, line) => {
+    const container = current().children;
+    const previous = container[container.length - 1];
+    // A "{" on its own line belongs to the statement before it
+    if (tokens.length === 0 && previous && previous.type === 'statement') {
+      container.pop();
+      tokens = previous.tokens;
+      line = previous.line;
+    }
+    const block = { type: 'block', tokens, children: [], line };
+    container.push(block);
+    stack.push(block);
+  };
+
+  const close = line => {
+    if (stack.length === 1) {
+      throw new Error(`Unexpected "}" on line ${line}`);
+    }
+    stack.pop();
+  };
+
+  for (const entry of entries) {
+    if (entry.type !== 'statement') {
+      current().children.push(entry);
+      continue;
+    }
+    let pending = [];
+    for (const token of entry.tokens) {
+      if (isWord(token, '{')) {
+        open(pending, entry.line);
+        pending = [];
+      } else if (isWord(token, '}')) {
+        if (pending.length > 0) {
+          current().children.push({ type: 'statement', tokens: pending, line: entry.line });
+          pending = [];
+        }
+        close(token.line);
+      } else {
+        pending.push(token);
+      }
+    }
+    if (pending.length > 0) {
+      current().children.push({ type: 'statement', tokens: pending, line: entry.line });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Block opened on line ${current().line} is never closed`);
+  }
+  return root;
+}
+
+// Index of the first argument that should be quoted, or -1 for statements left as they are
+function getQuotedArgumentsStart(tokens) {
+  if (tokens.length < 2 || tokens[0].quoted) {
+    return -1;
+  }
+  const arrow = tokens.findIndex(isArrow);
+  if (arrow !== -1) {
+    // [a =] source -> destination [description] [technology] [tags], or "-> destination" inside an element
+    return arrow + 2;
+  }
+  const keywordIndex = isWord(tokens[1], '=') ? 2 : 0;
+  const keyword = tokens[keywordIndex] ? tokens[keywordIndex].value.toLowerCase() : '';
+  if (ELEMENT_KEYWORDS.has(keyword)) {
+    return keywordIndex + 1;
+  }
+  if (keywordIndex === 0 && TEXT_KEYWORDS.has(keyword)) {
+    return 1;
+  }
+  if (keywordIndex === 0 && keyword === 'workspace' && !isWord(tokens[1], 'extends')) {
+    return 1;
+  }
+  return -1;
+}
+
+function quote(value) {
+  return `"${value.replace(/"/g, '\\"')}"`;
+}
+
+function formatToken(token, quoteArgument) {
+  if (token.textBlock) {
+    return token.raw;
+  }
+  if (token.quoted) {
+    // A value ending with a backslash would escape the closing quote, keep it as written
+    return token.value.endsWith('\\') ? token.raw : quote(token.value);
+  }
+  if (quoteArgument && !INSTANCES_PATTERN.test(token.value) && !/["\\]/.test(token.value)) {
+    return quote(token.value);
+  }
+  return token.value;
+}
+
+function formatTokens(tokens, quoting) {
+  const start = quoting ? getQuotedArgumentsStart(tokens) : -1;
+  return tokens.map((token, index) => formatToken(token, start !== -1 && index >= start)).join(' ');
+}
+
+// Re-indent a comment; lines of a /* */ comment keep their indentation relative to the first one
+function formatComment(text, indent) {
+  const lines = text.split(/\r?\n/);
+  const baseIndent = lines[0].match(/^\s*/)[0].length;
+  return lines.map((line, index) => {
+    if (index === 0) {
+      return indent + line.trim();
+    }
+    const trimmed = line.trimEnd();
+    if (trimmed === '') {
+      return '';
+    }
+    const leading = trimmed.match(/^\s*/)[0].length;
+    return indent + trimmed.slice(Math.min(leading, baseIndent));
+  });
+}
+
+function getNodeKeyword(node) {
+  return node.tokens.length > 0 ? getBlockKeyword(node.tokens).toLowerCase() : '{';
+}
+
+/**
+ * Reorder the children of a styles block: other statements first, then
+ * element styles and relationship styles, each sorted by tag. Comments stay
+ * with the rule they precede; comments at the end of the block stay last.
+ */
+function sortStyleRules(children) {
+  const units = [];
+  let comments = [];
+  for (const node of children) {
+    if (node.type === 'blank') {
+      continue;
+    }
+    if (node.type === 'comment') {
+      comments.push(node);
+      continue;
+    }
+    units.push({ nodes: [...comments, node], node });
+    comments = [];
+  }
+
+  const rank = unit => {
+    const keyword = unit.node.type === 'block' ? getNodeKeyword(unit.node) : null;
+    return STYLE_RULES.includes(keyword) ? STYLE_RULES.indexOf(keyword) + 1 : 0;
+  };
+  const tag = unit => (unit.node.tokens[1] ? unit.node.tokens[1].value.toLowerCase() : '');
+  const sorted = units
+    .map((unit, index) => ({ unit, index, rank: rank(unit), tag: rank(unit) > 0 ? tag(unit) : '' }))
+    .sort((a, b) => a.rank - b.rank || (a.tag < b.tag ? -1 : a.tag > b.tag ? 1 : 0) || a.index - b.index)
+    .map(entry => entry.unit);
+
+  // Rules are separated by a blank line when the block already used them
+  const spaced = children.some(node => node.type === 'blank');
+  const result = [];
+  sorted.forEach((unit, index) => {
+    if (spaced && index > 0) {
+      result.push({ type: 'blank' });
+    }
+    result.push(...unit.nodes);
+  });
+  if (comments.length > 0) {
+    if (spaced && result.length > 0) {
+      result.push({ type: 'blank' });
+    }
+    result.push(...comments);
+  }
+  return result;
+}
+
+function printChildren(children, depth, ancestors, options, lines) {
+  const indent = options.indentText.repeat(depth);
+  const quoting = !ancestors.some(keyword => UNQUOTED_BLOCKS.has(keyword));
+  const sorted = options.sortStyles && STYLE_BLOCKS.has(ancestors[ancestors.length - 1])
+    ? sortStyleRules(children)
+    : children;
+
+  let printed = 0;
+  let pendingBlank = false;
+  for (const node of sorted) {
+    if (node.type === 'blank') {
+      // Collapse runs of blank lines, and drop them at the start of a block
+      pendingBlank = printed > 0;
+      continue;
+    }
+    if (pendingBlank) {
+      lines.push('');
+      pendingBlank = false;
+    }
+    printed++;
+
+    if (node.type === 'comment') {
+      lines.push(...formatComment(node.text, indent));
+    } else if (node.type === 'raw') {
+      // Script and plugin bodies are code, not DSL
+      lines.push(...node.text.split('\n'));
+    } else if (node.type === 'statement') {
+      lines.push(indent + formatTokens(node.tokens, quoting));
+    } else {
+      const header = formatTokens(node.tokens, quoting);
+      lines.push(indent + (header ? `${header} {` : '{'));
+      printChildren(node.children, depth + 1, [...ancestors, getNodeKeyword(node)], options, lines);
+      lines.push(`${indent}}`);
+    }
+  }
+}
+
+/**
+ * Format DSL source text. Options: { indent: spaces per level (default 4),
+ * sortStyles: sort element/relationship styles by tag }. Throws when the
+ * source can't be formatted safely (unterminated strings or comments,
+ * unbalanced braces).
+ */
+function formatDsl(text, { indent = DEFAULT_INDENT, sortStyles = false } = {}) {
+  const { entries, diagnostics } = tokenize(text);
+  if (diagnostics.length > 0) {
+    const first = diagnostics[0];
+    throw new Error(`${first.message} on line ${first.line}, fix it before formatting`);
+  }
+
+  const root = buildTree(entries);
+  const lines = [];
+  printChildren(root.children, 0, [], { indentText: ' '.repeat(indent), sortStyles }, lines);
+  if (lines.length === 0) {
+    return '';
+  }
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  return lines.join(eol) + eol;
+}
+
+/**
+ * Format a workspace file and the files it !includes. Files are only read;
+ * returns [{ file, original, formatted, changed, error }], error being set
+ * (and formatted null) for a file that can't be formatted.
+ */
+function formatDslFile(file, options = {}) {
+  const parsed = parseDslFile(file);
+  return parsed.files.map(name => {
+    const original = fs.readFileSync(name, 'utf-8');
+    try {
+      const formatted = formatDsl(original, options);
+      return { file: name, original, formatted, changed: formatted !== original, error: null };
+    } catch (error) {
+      return { file: name, original, formatted: null, changed: false, error: `${path.basename(name)}: ${error.message}` };
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_INDENT,
+  formatDsl,
+  formatDslFile
+};
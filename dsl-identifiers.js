@@ -0,0 +1,292 @@
+/**
+ * Structurizr DSL identifiers
+ *
+ * Finds where an identifier is defined and referenced across the workspace,
+ * by name or by position, and plans renames. Works on the parse result of
+ * dsl-parser.js, so !include files are covered. In hierarchical mode a
+ * reference may be written relative to its scope ("web" inside "shop" for
+ * "shop.web"), and renaming "shop" also changes "shop.web" wherever it is
+ * written in full.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { IDENTIFIER_PATTERN, resolveIdentifier } = require('./dsl-parser');
+
+function formatLocation(file, line) {
+  return `${path.basename(file)}:${line}`;
+}
+
+// Number of single character edits turning `a` into `b`
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = row;
+  }
+  return previous[b.length];
+}
+
+// Defined identifiers that look like `identifier` (for "did you mean"), closest first, at most `limit`
+function findSimilarIdentifiers(parsed, identifier, limit = 5) {
+  const lower = identifier.toLowerCase();
+  const lastSegment = lower.split('.').pop();
+  return [...parsed.identifiers.values()]
+    .map(record => {
+      const candidate = record.fqIdentifier.toLowerCase();
+      const distance = Math.min(editDistance(lower, candidate), editDistance(lastSegment, candidate.split('.').pop()));
+      return { fqIdentifier: record.fqIdentifier, distance, contains: candidate.includes(lower) };
+    })
+    .filter(({ distance, contains }) => contains || distance <= Math.max(1, Math.floor(lastSegment.length / 3)))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(({ fqIdentifier }) => fqIdentifier);
+}
+
+/**
+ * Definition record of `identifier` ({ identifier, fqIdentifier, file, line,
+ * identifierColumn, ... }). In hierarchical mode the last segments are enough
+ * ("web" for "shop.web") as long as they aren't ambiguous.
+ */
+function findDefinition(parsed, identifier) {
+  const lower = identifier.toLowerCase();
+  if (parsed.identifiers.has(lower)) {
+    return parsed.identifiers.get(lower);
+  }
+  const records = [...parsed.identifiers.values()];
+  const candidates = records.filter(record => record.fqIdentifier.toLowerCase().endsWith(`.${lower}`));
+  if (candidates.length === 1) {
+    return candidates[0];
+  }
+  if (candidates.length > 1) {
+    throw new Error(`"${identifier}" is ambiguous, use one of: ${candidates.map(record => record.fqIdentifier).join(', ')}`);
+  }
+  const similar = findSimilarIdentifiers(parsed, identifier);
+  const hint = similar.length > 0 ? `, did you mean ${similar.map(fqIdentifier => `"${fqIdentifier}"`).join(', ')}?` : '';
+  throw new Error(`Identifier "${identifier}" is not defined in ${path.basename(parsed.file)} or its !include files${hint}`);
+}
+
+/**
+ * Fully qualified identifier at `line`:`column` (1-based) of `file`: a
+ * definition or a reference. On a reference written as "shop.web" the
+ * segment under the column counts, so "shop" gives the software system.
+ */
+function findIdentifierAt(parsed, file, line, column) {
+  const target = path.resolve(file);
+  for (const record of parsed.identifiers.values()) {
+    if (record.file === target && record.line === line && record.identifierColumn &&
+      column >= record.identifierColumn && column < record.identifierColumn + record.identifier.length) {
+      return record.fqIdentifier;
+    }
+  }
+
+  const reference = parsed.references.find(candidate => candidate.file === target && candidate.line === line &&
+    column >= candidate.column && column < candidate.endColumn);
+  if (!reference) {
+    throw new Error(`No identifier at ${formatLocation(target, line)}:${column}`);
+  }
+  if (!reference.resolved) {
+    throw new Error(`"${reference.identifier}" at ${formatLocation(target, line)}:${column} doesn't resolve to a defined identifier`);
+  }
+  const written = reference.identifier.split('.');
+  const resolved = reference.resolved.split('.');
+  let segment = 0;
+  let offset = reference.column;
+  while (segment < written.length - 1 && column >= offset + written[segment].length) {
+    offset += written[segment].length + 1;
+    segment++;
+  }
+  return resolved.slice(0, resolved.length - written.length + segment + 1).join('.');
+}
+
+/**
+ * Definition for an identifier, or for the identifier at a position:
+ * { identifier } or { file, line, column }.
+ */
+function locateDefinition(parsed, { identifier, file, line, column }) {
+  if (identifier) {
+    return findDefinition(parsed, identifier);
+  }
+  if (!file || !line || !column) {
+    throw new Error('Give an identifier, or a file, line and column');
+  }
+  return findDefinition(parsed, findIdentifierAt(parsed, file, line, column));
+}
+
+// Definition summary with its declaring statement, as found in the file
+function describeDefinition(definition) {
+  let statement = null;
+  try {
+    statement = fs.readFileSync(definition.file, 'utf-8').split(/\r?\n/)[definition.line - 1].trim();
+  } catch (error) {
+    // Reported without the statement
+  }
+  return {
+    identifier: definition.fqIdentifier,
+    kind: definition.type || 'Relationship',
+    name: definition.name || definition.description || null,
+    file: definition.file,
+    line: definition.line,
+    column: definition.identifierColumn || definition.column,
+    statement
+  };
+}
+
+// References resolving to `definition` itself, in source order: [{ identifier, role, file, line, column, endColumn, context }]
+function findReferences(parsed, definition) {
+  const fqIdentifier = definition.fqIdentifier.toLowerCase();
+  return parsed.references
+    .filter(reference => reference.resolved && reference.resolved.toLowerCase() === fqIdentifier)
+    .map(({ identifier, role, file, line, column, endColumn, context }) => ({ identifier, role, file, line, column, endColumn, context }));
+}
+
+// `fq` after renaming `from` to `to`, descendants of `from` included
+function renameFqIdentifier(fq, from, to) {
+  const lower = fq.toLowerCase();
+  const fromLower = from.toLowerCase();
+  if (lower === fromLower) {
+    return to;
+  }
+  return lower.startsWith(`${fromLower}.`) ? to + fq.slice(from.length) : fq;
+}
+
+/**
+ * Edit renaming the segment for `from` in a reference written as
+ * `reference.identifier`, or null when the written form doesn't contain it
+ * (a descendant written relative to its scope).
+ */
+function getReferenceEdit(reference, from, newName) {
+  const written = reference.identifier.split('.');
+  const resolved = reference.resolved.split('.');
+  const index = from.split('.').length - 1 - (resolved.length - written.length);
+  if (index < 0) {
+    return null;
+  }
+  const column = reference.column + written.slice(0, index).reduce((length, segment) => length + segment.length + 1, 0);
+  return {
+    file: reference.file,
+    line: reference.line,
+    column,
+    endColumn: column + written[index].length,
+    oldText: written[index],
+    newText: newName,
+    role: reference.role,
+    written: [...written.slice(0, index), newName, ...written.slice(index + 1)].join('.')
+  };
+}
+
+// Apply column edits to the content of a file; the text at each position is checked first
+function applyEdits(content, edits) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(/\r?\n/);
+  const sorted = [...edits].sort((a, b) => a.line - b.line || b.column - a.column);
+  for (const edit of sorted) {
+    const text = lines[edit.line - 1];
+    const current = text === undefined ? '' : text.slice(edit.column - 1, edit.endColumn - 1);
+    if (current.toLowerCase() !== edit.oldText.toLowerCase()) {
+      throw new Error(`Expected "${edit.oldText}" at ${formatLocation(edit.file, edit.line)}:${edit.column} but found "${current}", the file changed since it was parsed`);
+    }
+    lines[edit.line - 1] = text.slice(0, edit.column - 1) + edit.newText + text.slice(edit.endColumn - 1);
+  }
+  return lines.join(eol);
+}
+
+/**
+ * Plan renaming `identifier` to `newName` (a plain identifier, or the full new
+ * hierarchical identifier under the same parent). Nothing is written; returns
+ * { definition, from, to, edits, files: [{ file, original, content }] }.
+ * Throws when the new identifier is already in use, or when a reference
+ * would resolve to a different element after the rename.
+ */
+function planRename(parsed, identifier, newName) {
+  const definition = findDefinition(parsed, identifier);
+  const from = definition.fqIdentifier;
+  const parent = from.includes('.') ? from.slice(0, from.lastIndexOf('.')) : null;
+
+  let localName = newName;
+  if (parent && newName.toLowerCase().startsWith(`${parent.toLowerCase()}.`)) {
+    localName = newName.slice(parent.length + 1);
+  }
+  if (!IDENTIFIER_PATTERN.test(localName)) {
+    throw new Error(`"${newName}" is not a valid identifier, identifiers can only contain a-zA-Z0-9_- (renames keep the element under the same parent)`);
+  }
+  const to = parent ? `${parent}.${localName}` : localName;
+  if (to === from) {
+    throw new Error(`"${from}" already has that name`);
+  }
+  if (!parsed.files.includes(definition.file)) {
+    throw new Error(`"${from}" is defined in ${definition.file}, outside this workspace (workspace extends), rename it there`);
+  }
+
+  const existing = parsed.identifiers.get(to.toLowerCase());
+  if (existing && existing !== definition) {
+    throw new Error(`"${to}" is already defined at ${formatLocation(existing.file, existing.line)}`);
+  }
+
+  // Identifiers as they will be after the rename, to check every reference still resolves to the same element
+  const renamed = {
+    identifierMode: parsed.identifierMode,
+    identifiers: new Map([...parsed.identifiers.values()].map(record => {
+      const fqIdentifier = renameFqIdentifier(record.fqIdentifier, from, to);
+      return [fqIdentifier.toLowerCase(), { ...record, fqIdentifier }];
+    }))
+  };
+
+  const edits = [{
+    file: definition.file,
+    line: definition.line,
+    column: definition.identifierColumn,
+    endColumn: definition.identifierColumn + definition.identifier.length,
+    oldText: definition.identifier,
+    newText: localName,
+    role: 'definition'
+  }];
+  const seen = new Set();
+  const conflicts = [];
+  for (const reference of parsed.references) {
+    if (!reference.resolved) {
+      continue;
+    }
+    const key = `${reference.file}:${reference.line}:${reference.column}`;
+    if (seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+
+    const affected = renameFqIdentifier(reference.resolved, from, to) !== reference.resolved;
+    const edit = affected ? getReferenceEdit(reference, from, localName) : null;
+    if (edit) {
+      edits.push(edit);
+    }
+    const written = edit ? edit.written : reference.identifier;
+    const scope = reference.scope ? renameFqIdentifier(reference.scope, from, to) : null;
+    const expected = renameFqIdentifier(reference.resolved, from, to);
+    const actual = resolveIdentifier(renamed, written, scope);
+    if (!actual || actual.toLowerCase() !== expected.toLowerCase()) {
+      conflicts.push(`"${written}" at ${formatLocation(reference.file, reference.line)} would refer to ${actual ? `"${actual}"` : 'nothing'} instead of "${expected}"`);
+    }
+  }
+  if (conflicts.length > 0) {
+    throw new Error(`Renaming "${from}" to "${to}" would change what other identifiers refer to:\n${conflicts.map(conflict => ` - ${conflict}`).join('\n')}`);
+  }
+
+  const files = [...new Set(edits.map(edit => edit.file))].map(file => {
+    const original = fs.readFileSync(file, 'utf-8');
+    return { file, original, content: applyEdits(original, edits.filter(edit => edit.file === file)) };
+  });
+
+  return { definition, from, to, edits, files };
+}
+
+module.exports = {
+  describeDefinition,
+  findDefinition,
+  findIdentifierAt,
+  findReferences,
+  findSimilarIdentifiers,
+  locateDefinition,
+  planRename
+};
@@ -0,0 +1,375 @@
+#!/usr/bin/env node
+
+/**
+ * Structurizr DSL language server
+ *
+ * Language Server Protocol front-end (stdio) for people editing DSL files in
+ * an editor. Diagnostics come from two places, merged per file:
+ *   - the errors captured from Structurizr in the shared DSL error log (the
+ *     log the MCP servers and capture-errors.js write), open errors only
+ *   - the offline parser, run over the open documents including unsaved changes
+ * Suggestions for an error are offered as code actions and DSL keywords get
+ * hover text with their usage.
+ *
+ * Usage:
+ *   node dsl-language-server.js --stdio
+ *
+ * The workspace directory is the editor's workspace folder, unless
+ * STRUCTURIZR_WORKSPACE_DIR is set. STRUCTURIZR_CONTAINER_ROOT and
+ * STRUCTURIZR_PATH_MAP map container paths as for the MCP server.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath, pathToFileURL } = require('url');
+const { createLspConnection } = require('./lsp-connection');
+const { getKeywordUsage, parseDsl } = require('./dsl-parser');
+const { readDslErrorLog } = require('./dsl-errors');
+const { getPathMappings, mapDiagnosticPaths } = require('./path-mapping');
+const { DOCS_URL, createSuggestionRegistry } = require('./suggestion-rules');
+const { getBlockPath } = require('./code-frame');
+const { findSimilarIdentifiers } = require('./dsl-identifiers');
+
+// stdout carries the protocol, log output goes to stderr (the editor's output panel)
+console.log = (...args) => console.error(...args);
+
+const CONFIG = {
+  dslLogFile: path.join(__dirname, 'logs', 'structurizr-dsl-errors.jsonl'),
+  workspaceDir: process.env.STRUCTURIZR_WORKSPACE_DIR || process.cwd(),
+  // Parse this long after the last keystroke
+  changeDebounce: 300,
+  // How often the error log is checked for errors captured by other processes
+  logPollInterval: 1000
+};
+
+// LSP DiagnosticSeverity
+const SEVERITIES = { Error: 1, Warning: 2, Information: 3, Hint: 4 };
+
+const connection = createLspConnection();
+
+// Open documents by file path: { uri, text }
+const documents = new Map();
+
+let pathMappings = getPathMappings();
+let suggestionRules = null;
+// Latest offline parse results, and their diagnostics by file
+let parses = [];
+let parserDiagnostics = new Map();
+// URIs diagnostics were published for, so they can be cleared
+let publishedUris = new Set();
+let parseTimer = null;
+let shutdownRequested = false;
+
+function toUri(file) {
+  return pathToFileURL(file).href;
+}
+
+function toFile(uri) {
+  return uri.startsWith('file:') ? fileURLToPath(uri) : uri;
+}
+
+// Text of a file: the open document when there is one, else the file on disk
+function getText(file) {
+  if (documents.has(file)) {
+    return documents.get(file).text;
+  }
+  try {
+    return fs.readFileSync(file, 'utf-8');
+  } catch (error) {
+    return '';
+  }
+}
+
+// Range of a diagnostic: the word at its column, or the whole statement when only the line is known
+function getRange(lines, line, column) {
+  const lineIndex = Math.max(0, (line || 1) - 1);
+  const text = lines[lineIndex] || '';
+  let start = text.length - text.trimStart().length;
+  let end = text.trimEnd().length;
+  if (column && column > 1 && column - 1 < text.length) {
+    start = column - 1;
+    end = start + (text.slice(start).match(/^\S+/) || [''])[0].length;
+  }
+  return {
+    start: { line: lineIndex, character: start },
+    end: { line: lineIndex, character: Math.max(start, end) }
+  };
+}
+
+function toLspDiagnostic(diagnostic, lines) {
+  const suggestion = diagnostic.suggestion && diagnostic.suggestion.rule !== 'generic' ? diagnostic.suggestion : null;
+  const suggestionText = suggestion ? `\n${suggestion.issue}\nFix: ${suggestion.fix}` : '';
+  return {
+    range: getRange(lines, diagnostic.line, diagnostic.column),
+    severity: SEVERITIES[diagnostic.severity] || SEVERITIES.Error,
+    code: diagnostic.code,
+    source: diagnostic.origin ? `Structurizr (${diagnostic.origin})` : diagnostic.source,
+    message: diagnostic.message + suggestionText,
+    // The first related entry repeats the error line as "Context: ..."
+    relatedInformation: (diagnostic.relatedInformation || []).slice(1)
+      .filter(info => info.file && path.isAbsolute(info.file))
+      .map(info => ({
+        location: { uri: toUri(info.file), range: getRange(getText(info.file).split(/\r?\n/), info.line, info.column) },
+        message: info.message
+      })),
+    data: { code: diagnostic.code, message: diagnostic.message, suggestion }
+  };
+}
+
+// Open errors from the shared error log, by host file path
+function readCapturedErrors() {
+  const byFile = new Map();
+  for (const error of readDslErrorLog(CONFIG.dslLogFile)) {
+    if (error.status !== 'open') {
+      continue;
+    }
+    const mapped = mapDiagnosticPaths(error, pathMappings);
+    if (!mapped.file || !path.isAbsolute(mapped.file)) {
+      continue;
+    }
+    byFile.set(mapped.file, [...(byFile.get(mapped.file) || []), mapped]);
+  }
+  return byFile;
+}
+
+// Publish the merged diagnostics of every file, clearing files that have none left
+function publishDiagnostics() {
+  const captured = readCapturedErrors();
+  const files = new Set([...captured.keys(), ...parserDiagnostics.keys()]);
+  const uris = new Set();
+
+  for (const file of files) {
+    const lines = getText(file).split(/\r?\n/);
+    // The parser sees unsaved changes, so its diagnostic wins when both report the same error
+    const fromParser = parserDiagnostics.get(file) || [];
+    const seen = new Set(fromParser.map(diagnostic => `${diagnostic.line}:${diagnostic.message}`));
+    const fromLog = (captured.get(file) || []).filter(diagnostic => !seen.has(`${diagnostic.line}:${diagnostic.message}`));
+
+    const uri = toUri(file);
+    uris.add(uri);
+    connection.sendNotification('textDocument/publishDiagnostics', {
+      uri,
+      diagnostics: [...fromParser, ...fromLog].map(diagnostic => toLspDiagnostic(diagnostic, lines))
+    });
+  }
+
+  for (const uri of publishedUris) {
+    if (!uris.has(uri)) {
+      connection.sendNotification('textDocument/publishDiagnostics', { uri, diagnostics: [] });
+    }
+  }
+  publishedUris = uris;
+}
+
+/**
+ * Workspaces to parse: workspace.dsl in the workspace directory, plus open
+ * documents holding a workspace of their own. !include files are parsed
+ * through the workspace that includes them.
+ */
+function parseWorkspaces() {
+  const sources = new Map([...documents].map(([file, document]) => [file, document.text]));
+  const roots = [];
+  const rootFile = path.join(CONFIG.workspaceDir, 'workspace.dsl');
+  if (documents.has(rootFile) || fs.existsSync(rootFile)) {
+    roots.push(rootFile);
+  }
+
+  parses = [];
+  const parsedFiles = new Set();
+  const candidates = [...roots, ...[...documents.keys()].filter(file => /^\s*workspace\b/m.test(documents.get(file).text))];
+  for (const file of candidates) {
+    if (parsedFiles.has(file)) {
+      continue;
+    }
+    try {
+      const parsed = parseDsl(getText(file), { file, sources });
+      parsed.files.forEach(name => parsedFiles.add(name));
+      parses.push(parsed);
+    } catch (error) {
+      console.error(`Error parsing ${file}:`, error.message);
+    }
+  }
+
+  parserDiagnostics = new Map();
+  for (const parsed of parses) {
+    parsed.files.forEach(file => parserDiagnostics.set(file, []));
+    for (const diagnostic of parsed.diagnostics) {
+      diagnostic.suggestion = suggestionRules.suggest({
+        message: diagnostic.message,
+        context: diagnostic.relatedInformation[0].message,
+        code: diagnostic.code
+      });
+      parserDiagnostics.set(diagnostic.file, [...(parserDiagnostics.get(diagnostic.file) || []), diagnostic]);
+    }
+  }
+  publishDiagnostics();
+}
+
+function scheduleParse() {
+  clearTimeout(parseTimer);
+  parseTimer = setTimeout(parseWorkspaces, CONFIG.changeDebounce);
+}
+
+// DSL keyword under `position`, ignoring words inside quoted strings
+function getKeywordAt(text, position) {
+  const line = text.split(/\r?\n/)[position.line] || '';
+  const pattern = /!?[A-Za-z]+/g;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (position.character < start || position.character > end) {
+      continue;
+    }
+    const quotes = (line.slice(0, start).match(/"/g) || []).length;
+    return quotes % 2 === 0 ? { word: match[0], start, end } : null;
+  }
+  return null;
+}
+
+// Single-quoted statements in a suggestion fix, e.g. "Correct syntax: 'dynamic * Flow {'"
+function getFixStatements(fix) {
+  return [...(fix || '').matchAll(/'([^'\n]+)'/g)].map(match => match[1].trim());
+}
+
+/**
+ * Quick fixes for a published diagnostic: statements from its suggestion
+ * that replace the offending line (same keyword), and the closest defined
+ * identifiers for an unknown identifier.
+ */
+function getCodeActions(uri, diagnostic) {
+  const data = diagnostic.data || {};
+  const file = toFile(uri);
+  const lineIndex = diagnostic.range.start.line;
+  const line = getText(file).split(/\r?\n/)[lineIndex] || '';
+  const indent = line.length - line.trimStart().length;
+  const statement = line.trim();
+  const keyword = (statement.match(/^\S+/) || [''])[0].toLowerCase();
+  const actions = [];
+
+  const replace = (title, start, end, newText) => actions.push({
+    title,
+    kind: 'quickfix',
+    diagnostics: [diagnostic],
+    isPreferred: actions.length === 0,
+    edit: {
+      changes: {
+        [uri]: [{ range: { start: { line: lineIndex, character: start }, end: { line: lineIndex, character: end } }, newText }]
+      }
+    }
+  });
+
+  if (data.suggestion) {
+    for (const candidate of getFixStatements(data.suggestion.fix)) {
+      const candidateKeyword = (candidate.match(/^\S+/) || [''])[0].toLowerCase();
+      if (keyword && candidateKeyword === keyword && candidate !== statement) {
+        replace(`Replace with: ${candidate}`, indent, indent + statement.length, candidate);
+      }
+    }
+  }
+
+  const unknown = data.code === 'dsl-unknown-identifier' && (data.message || '').match(/"([^"]+)"/);
+  const parsed = parses.find(candidate => candidate.files.includes(file));
+  if (unknown && parsed) {
+    const identifier = unknown[1];
+    let start = line.indexOf(identifier, diagnostic.range.start.character);
+    if (start === -1) {
+      start = line.indexOf(identifier);
+    }
+    if (start !== -1) {
+      for (const candidate of findSimilarIdentifiers(parsed, identifier, 3)) {
+        replace(`Change to "${candidate}"`, start, start + identifier.length, candidate);
+      }
+    }
+  }
+  return actions;
+}
+
+connection.onRequest('initialize', params => {
+  if (!process.env.STRUCTURIZR_WORKSPACE_DIR) {
+    const folder = (params.workspaceFolders && params.workspaceFolders[0]) || null;
+    const rootUri = folder ? folder.uri : params.rootUri;
+    if (rootUri) {
+      CONFIG.workspaceDir = toFile(rootUri);
+    } else if (params.rootPath) {
+      CONFIG.workspaceDir = params.rootPath;
+    }
+  }
+  pathMappings = getPathMappings({ ...process.env, STRUCTURIZR_WORKSPACE_DIR: CONFIG.workspaceDir });
+  suggestionRules = createSuggestionRegistry({ workspaceDir: CONFIG.workspaceDir });
+
+  return {
+    capabilities: {
+      // Full document sync
+      textDocumentSync: { openClose: true, change: 1, save: { includeText: false } },
+      hoverProvider: true,
+      codeActionProvider: { codeActionKinds: ['quickfix'] }
+    },
+    serverInfo: { name: 'structurizr-dsl-language-server', version: '1.1.0' }
+  };
+});
+
+connection.onNotification('initialized', () => {
+  console.error(`Structurizr DSL language server running for ${CONFIG.workspaceDir}`);
+  parseWorkspaces();
+  // Errors captured by the MCP servers or capture-errors.js show up as they are logged
+  fs.watchFile(CONFIG.dslLogFile, { interval: CONFIG.logPollInterval }, publishDiagnostics);
+});
+
+connection.onRequest('shutdown', () => {
+  shutdownRequested = true;
+  clearTimeout(parseTimer);
+  fs.unwatchFile(CONFIG.dslLogFile);
+  return null;
+});
+
+connection.onNotification('exit', () => {
+  process.exit(shutdownRequested ? 0 : 1);
+});
+
+connection.onNotification('textDocument/didOpen', ({ textDocument }) => {
+  documents.set(toFile(textDocument.uri), { uri: textDocument.uri, text: textDocument.text });
+  scheduleParse();
+});
+
+connection.onNotification('textDocument/didChange', ({ textDocument, contentChanges }) => {
+  const change = contentChanges[contentChanges.length - 1];
+  if (change) {
+    documents.set(toFile(textDocument.uri), { uri: textDocument.uri, text: change.text });
+    scheduleParse();
+  }
+});
+
+connection.onNotification('textDocument/didSave', () => {
+  scheduleParse();
+});
+
+connection.onNotification('textDocument/didClose', ({ textDocument }) => {
+  documents.delete(toFile(textDocument.uri));
+  scheduleParse();
+});
+
+connection.onRequest('textDocument/hover', ({ textDocument, position }) => {
+  const text = getText(toFile(textDocument.uri));
+  const keyword = getKeywordAt(text, position);
+  const usage = keyword && getKeywordUsage(keyword.word, getBlockPath(text, position.line + 1));
+  if (!usage) {
+    return null;
+  }
+  return {
+    contents: {
+      kind: 'markdown',
+      value: `**${keyword.word}**\n\n\`\`\`\n${usage}\n\`\`\`\n\n[Structurizr DSL language reference](${DOCS_URL})`
+    },
+    range: {
+      start: { line: position.line, character: keyword.start },
+      end: { line: position.line, character: keyword.end }
+    }
+  };
+});
+
+connection.onRequest('textDocument/codeAction', ({ textDocument, context }) => {
+  return (context.diagnostics || []).flatMap(diagnostic => getCodeActions(textDocument.uri, diagnostic));
+});
+
+connection.listen();
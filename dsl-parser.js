@@ -0,0 +1,1105 @@
+/**
+ * Structurizr DSL Parser
+ *
+ * Offline parser for the Structurizr DSL. It walks the statements produced by
+ * dsl-tokenizer.js, follows !include directives and builds a lightweight model
+ * (elements, relationships, views, styles and identifier references) together
+ * with diagnostics in the same shape as the DSL error log entries.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize } = require('./dsl-tokenizer');
+const { createDiagnostic } = require('./dsl-errors');
+
+// Directives accepted in every block
+const DIRECTIVES = ['!include', '!constant', '!const', '!var'];
+
+const ELEMENT_PROPERTIES = ['description', 'tags', 'url', 'properties', 'perspectives'];
+
+const ELEMENT_STYLE_PROPERTIES = [
+  'shape', 'icon', 'width', 'height', 'background', 'color', 'colour', 'stroke', 'strokeWidth',
+  'fontSize', 'border', 'opacity', 'metadata', 'description', 'iconPosition', 'properties'
+];
+
+const RELATIONSHIP_STYLE_PROPERTIES = [
+  'thickness', 'color', 'colour', 'style', 'routing', 'fontSize', 'width', 'position', 'opacity', 'dashed', 'properties'
+];
+
+// Element statements: fields are filled from the arguments in order
+const ELEMENT_KEYWORDS = {
+  person: {
+    type: 'Person',
+    usage: 'person <name> [description] [tags]',
+    fields: ['name', 'description', 'tags'],
+    context: 'person'
+  },
+  softwaresystem: {
+    type: 'SoftwareSystem',
+    usage: 'softwareSystem <name> [description] [tags]',
+    fields: ['name', 'description', 'tags'],
+    context: 'softwareSystem'
+  },
+  container: {
+    type: 'Container',
+    usage: 'container <name> [description] [technology] [tags]',
+    fields: ['name', 'description', 'technology', 'tags'],
+    context: 'container'
+  },
+  component: {
+    type: 'Component',
+    usage: 'component <name> [description] [technology] [tags]',
+    fields: ['name', 'description', 'technology', 'tags'],
+    context: 'component'
+  },
+  element: {
+    type: 'Element',
+    usage: 'element <name> [metadata] [description] [tags]',
+    fields: ['name', 'technology', 'description', 'tags'],
+    context: 'element'
+  },
+  group: {
+    type: 'Group',
+    usage: 'group <name> {',
+    fields: ['name'],
+    context: 'group'
+  },
+  enterprise: {
+    type: 'Enterprise',
+    usage: 'enterprise <name> {',
+    fields: ['name'],
+    context: 'enterprise'
+  },
+  deploymentenvironment: {
+    type: 'DeploymentEnvironment',
+    usage: 'deploymentEnvironment <name> {',
+    fields: ['name'],
+    context: 'deploymentEnvironment'
+  },
+  deploymentgroup: {
+    type: 'DeploymentGroup',
+    usage: 'deploymentGroup <name>',
+    fields: ['name'],
+    context: null
+  },
+  deploymentnode: {
+    type: 'DeploymentNode',
+    usage: 'deploymentNode <name> [description] [technology] [tags] [instances]',
+    fields: ['name', 'description', 'technology', 'tags', 'instances'],
+    context: 'deploymentNode'
+  },
+  infrastructurenode: {
+    type: 'InfrastructureNode',
+    usage: 'infrastructureNode <name> [description] [technology] [tags]',
+    fields: ['name', 'description', 'technology', 'tags'],
+    context: 'infrastructureNode'
+  },
+  softwaresysteminstance: {
+    type: 'SoftwareSystemInstance',
+    usage: 'softwareSystemInstance <identifier> [deploymentGroups] [tags]',
+    fields: ['target', 'deploymentGroups', 'tags'],
+    context: 'instance'
+  },
+  containerinstance: {
+    type: 'ContainerInstance',
+    usage: 'containerInstance <identifier> [deploymentGroups] [tags]',
+    fields: ['target', 'deploymentGroups', 'tags'],
+    context: 'instance'
+  }
+};
+
+// Tags Structurizr adds to every element of a given type
+const DEFAULT_TAGS = {
+  Person: ['Element', 'Person'],
+  SoftwareSystem: ['Element', 'Software System'],
+  Container: ['Element', 'Container'],
+  Component: ['Element', 'Component'],
+  Element: ['Element'],
+  DeploymentNode: ['Element', 'Deployment Node'],
+  InfrastructureNode: ['Element', 'Infrastructure Node'],
+  SoftwareSystemInstance: ['Software System Instance'],
+  ContainerInstance: ['Container Instance'],
+  Group: [],
+  Enterprise: [],
+  DeploymentEnvironment: [],
+  DeploymentGroup: []
+};
+
+// Statements with a fixed argument count and an optional block
+const STATEMENTS = {
+  name: { usage: 'name <name>', min: 1, max: 1 },
+  description: { usage: 'description <description>', min: 1, max: 1 },
+  technology: { usage: 'technology <technology>', min: 1, max: 1 },
+  tags: { usage: 'tags <tags> [tags]', min: 1, max: Infinity },
+  url: { usage: 'url <url>', min: 1, max: 1 },
+  instances: { usage: 'instances <number>', min: 1, max: 1 },
+  healthcheck: { usage: 'healthCheck <name> <url> [interval] [timeout]', min: 2, max: 4 },
+  properties: { usage: 'properties {', min: 0, max: 0, block: 'freeform', blockRequired: true },
+  perspectives: { usage: 'perspectives {', min: 0, max: 0, block: 'freeform', blockRequired: true },
+  model: { usage: 'model {', min: 0, max: 0, block: 'model', blockRequired: true },
+  views: { usage: 'views {', min: 0, max: 0, block: 'views', blockRequired: true },
+  configuration: { usage: 'configuration {', min: 0, max: 0, block: 'configuration', blockRequired: true },
+  styles: { usage: 'styles {', min: 0, max: 0, block: 'styles', blockRequired: true },
+  light: { usage: 'light {', min: 0, max: 0, block: 'styles', blockRequired: true },
+  dark: { usage: 'dark {', min: 0, max: 0, block: 'styles', blockRequired: true },
+  branding: { usage: 'branding {', min: 0, max: 0, block: 'branding', blockRequired: true },
+  terminology: { usage: 'terminology {', min: 0, max: 0, block: 'terminology', blockRequired: true },
+  users: { usage: 'users {', min: 0, max: 0, block: 'freeform', blockRequired: true },
+  animation: { usage: 'animation {', min: 0, max: 0, block: 'animation', blockRequired: true },
+  theme: { usage: 'theme <url|file>', min: 1, max: 1 },
+  themes: { usage: 'themes <url|file> [url|file] ...', min: 1, max: Infinity },
+  include: { usage: 'include <*|identifier|expression> [identifier|expression] ...', min: 1, max: Infinity },
+  exclude: { usage: 'exclude <identifier|expression> [identifier|expression] ...', min: 1, max: Infinity },
+  autolayout: { usage: 'autoLayout [tb|bt|lr|rl] [rankSeparation] [nodeSeparation]', min: 0, max: 3 },
+  default: { usage: 'default', min: 0, max: 0 },
+  title: { usage: 'title <title>', min: 1, max: 1 },
+  plantuml: { usage: 'plantuml <url|file>', min: 1, max: 1 },
+  mermaid: { usage: 'mermaid <url|file>', min: 1, max: 1 },
+  kroki: { usage: 'kroki <format> <url|file>', min: 2, max: 2 },
+  image: { usage: 'image <url|file>', min: 1, max: 1 },
+  logo: { usage: 'logo <url|file>', min: 1, max: 1 },
+  font: { usage: 'font <name> [url]', min: 1, max: 2 },
+  scope: { usage: 'scope <landscape|softwaresystem|none>', min: 1, max: 1 },
+  visibility: { usage: 'visibility <private|public>', min: 1, max: 1 },
+  '!identifiers': { usage: '!identifiers <flat|hierarchical>', min: 1, max: 1 },
+  '!impliedrelationships': { usage: '!impliedRelationships <true|false|fqcn>', min: 1, max: 1 },
+  '!docs': { usage: '!docs <path> [fqcn]', min: 1, max: 2 },
+  '!adrs': { usage: '!adrs <path> [type]', min: 1, max: 2 },
+  '!ref': { usage: '!ref <identifier> {', min: 1, max: 1 },
+  '!element': { usage: '!element <identifier> {', min: 1, max: 1 },
+  '!extend': { usage: '!extend <identifier> {', min: 1, max: 1 },
+  '!elements': { usage: '!elements <expression> {', min: 1, max: 1 },
+  '!relationship': { usage: '!relationship <identifier> {', min: 1, max: 1 },
+  '!relationships': { usage: '!relationships <expression> {', min: 1, max: 1 },
+  '!plugin': { usage: '!plugin <fqcn>', min: 1, max: 1, block: 'freeform' },
+  '!script': { usage: '!script <language|file>', min: 1, max: 1, block: 'freeform' },
+  '!include': { usage: '!include <file|directory|url>', min: 1, max: 1 },
+  '!constant': { usage: '!constant <name> <value>', min: 2, max: 2 },
+  '!const': { usage: '!const <name> <value>', min: 2, max: 2 },
+  '!var': { usage: '!var <name> <value>', min: 2, max: 2 }
+};
+
+// View definitions inside the views block
+const VIEW_KEYWORDS = {
+  systemlandscape: {
+    type: 'SystemLandscape',
+    usage: 'systemLandscape [key] [description] {',
+    min: 0,
+    max: 2,
+    keyIndex: 0
+  },
+  systemcontext: {
+    type: 'SystemContext',
+    usage: 'systemContext <software system identifier> [key] [description] {',
+    min: 1,
+    max: 3,
+    scope: true,
+    keyIndex: 1
+  },
+  container: {
+    type: 'Container',
+    usage: 'container <software system identifier> [key] [description] {',
+    min: 1,
+    max: 3,
+    scope: true,
+    keyIndex: 1
+  },
+  component: {
+    type: 'Component',
+    usage: 'component <container identifier> [key] [description] {',
+    min: 1,
+    max: 3,
+    scope: true,
+    keyIndex: 1
+  },
+  filtered: {
+    type: 'Filtered',
+    usage: 'filtered <baseKey> <include|exclude> <tags> [key] [description]',
+    min: 3,
+    max: 5,
+    keyIndex: 3,
+    blockOptional: true
+  },
+  dynamic: {
+    type: 'Dynamic',
+    usage: 'dynamic <*|identifier> [key] [description] {',
+    min: 1,
+    max: 3,
+    scope: true,
+    keyIndex: 1,
+    context: 'dynamicView'
+  },
+  deployment: {
+    type: 'Deployment',
+    usage: 'deployment <*|software system identifier> <environment> [key] [description] {',
+    min: 2,
+    max: 4,
+    scope: true,
+    keyIndex: 2
+  },
+  custom: {
+    type: 'Custom',
+    usage: 'custom [key] [title] [description] {',
+    min: 0,
+    max: 3,
+    keyIndex: 0
+  },
+  image: {
+    type: 'Image',
+    usage: 'image <*|identifier> [key] {',
+    min: 1,
+    max: 2,
+    scope: true,
+    keyIndex: 1,
+    context: 'imageView'
+  }
+};
+
+// Keywords accepted in each kind of block
+const CONTEXTS = {
+  document: { statements: ['workspace'] },
+  workspace: {
+    statements: [
+      'name', 'description', 'properties', '!identifiers', '!docs', '!adrs', '!impliedRelationships',
+      'model', 'views', 'configuration', '!plugin', '!script'
+    ]
+  },
+  model: {
+    elements: ['person', 'softwareSystem', 'element', 'group', 'enterprise', 'deploymentEnvironment'],
+    statements: [
+      'properties', '!identifiers', '!impliedRelationships', '!ref', '!element', '!extend',
+      '!elements', '!relationship', '!relationships', '!plugin', '!script'
+    ],
+    relationships: true
+  },
+  enterprise: {
+    elements: ['person', 'softwareSystem', 'element', 'group'],
+    relationships: true
+  },
+  person: { statements: ELEMENT_PROPERTIES, relationships: true },
+  softwareSystem: {
+    elements: ['container', 'group'],
+    statements: [...ELEMENT_PROPERTIES, '!docs', '!adrs'],
+    relationships: true
+  },
+  container: {
+    elements: ['component', 'group'],
+    statements: [...ELEMENT_PROPERTIES, 'technology', '!docs', '!adrs'],
+    relationships: true
+  },
+  component: { statements: [...ELEMENT_PROPERTIES, 'technology', '!docs', '!adrs'], relationships: true },
+  element: { statements: [...ELEMENT_PROPERTIES, 'technology'], relationships: true },
+  deploymentEnvironment: {
+    elements: ['deploymentGroup', 'deploymentNode'],
+    relationships: true
+  },
+  deploymentNode: {
+    elements: ['deploymentNode', 'infrastructureNode', 'softwareSystemInstance', 'containerInstance', 'group'],
+    statements: [...ELEMENT_PROPERTIES, 'technology', 'instances'],
+    relationships: true
+  },
+  infrastructureNode: { statements: [...ELEMENT_PROPERTIES, 'technology'], relationships: true },
+  instance: { statements: [...ELEMENT_PROPERTIES, 'healthCheck'], relationships: true },
+  relationship: { statements: ['description', 'technology', 'tags', 'url', 'properties', 'perspectives'] },
+  views: {
+    statements: [
+      'systemLandscape', 'systemContext', 'container', 'component', 'filtered', 'dynamic', 'deployment',
+      'custom', 'image', 'styles', 'theme', 'themes', 'branding', 'terminology', 'properties'
+    ]
+  },
+  view: { statements: ['include', 'exclude', 'autoLayout', 'default', 'animation', 'title', 'description', 'properties'] },
+  dynamicView: { statements: ['autoLayout', 'default', 'title', 'description', 'properties'], relationships: true },
+  imageView: { statements: ['plantuml', 'mermaid', 'kroki', 'image', 'default', 'title', 'description', 'properties'] },
+  styles: { statements: ['element', 'relationship', 'light', 'dark'] },
+  elementStyle: { statements: ELEMENT_STYLE_PROPERTIES },
+  relationshipStyle: { statements: RELATIONSHIP_STYLE_PROPERTIES },
+  branding: { statements: ['logo', 'font'] },
+  terminology: {
+    statements: [
+      'person', 'softwareSystem', 'container', 'component', 'deploymentNode', 'infrastructureNode',
+      'relationship', 'enterprise'
+    ]
+  },
+  configuration: { statements: ['scope', 'visibility', 'users', 'properties'] }
+};
+
+const WORKSPACE_USAGE = 'workspace [name] [description] {\nworkspace extends <file|url> {';
+
+const IDENTIFIER_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const REFERENCE_PATTERN = /^[a-zA-Z0-9_.-]+$/;
+
+function createState(rootFile, sources = new Map()) {
+  return {
+    rootFile,
+    sources,
+    files: [],
+    includeStack: [],
+    stack: [{ type: 'document' }],
+    identifierMode: 'flat',
+    workspace: { name: null, description: null, extends: null },
+    elements: [],
+    relationships: [],
+    views: [],
+    styles: [],
+    references: [],
+    includes: [],
+    blocks: [],
+    constants: {},
+    identifiers: new Map(),
+    diagnostics: []
+  };
+}
+
+function addError(state, s, message, code = 'dsl-syntax', token = null, related = []) {
+  state.diagnostics.push(createDiagnostic({
+    message,
+    file: s.file,
+    line: token ? token.line : s.line,
+    column: token ? token.column : s.column,
+    code,
+    context: s.text,
+    related
+  }));
+}
+
+function current(state) {
+  return state.stack[state.stack.length - 1];
+}
+
+// Resolve the keyword definition for a block, groups inherit from their parent
+function getDefinition(ctx) {
+  if (ctx.type === 'group') {
+    return { elements: CONTEXTS[ctx.groupOf].elements, relationships: true };
+  }
+  return CONTEXTS[ctx.type] || {};
+}
+
+function findKeyword(list, value) {
+  if (!list) {
+    return null;
+  }
+  const lower = value.toLowerCase();
+  return list.find(keyword => keyword.toLowerCase() === lower) || null;
+}
+
+function expectedKeywords(ctx) {
+  const definition = getDefinition(ctx);
+  const expected = [...(definition.elements || []), ...(definition.statements || [])];
+  if (definition.relationships) {
+    expected.push('<identifier> -> <identifier>');
+  }
+  if (ctx.type !== 'document') {
+    expected.push(...DIRECTIVES);
+  }
+  return expected;
+}
+
+function unexpectedTokens(state, ctx, s) {
+  addError(state, s, `Unexpected tokens (expected: ${expectedKeywords(ctx).join(', ')})`);
+  return null;
+}
+
+function checkArguments(state, s, usage, args, min, max) {
+  if (args.length < min || args.length > max) {
+    addError(state, s, `Expected: ${usage}`, 'dsl-invalid-arguments');
+    return false;
+  }
+  return true;
+}
+
+function splitTags(value) {
+  return value ? value.split(',').map(tag => tag.trim()).filter(Boolean) : [];
+}
+
+function addReference(state, token, role, scope, value = token.value, offset = 0) {
+  const reference = {
+    identifier: value,
+    role,
+    scope: scope || null,
+    file: token.file,
+    line: token.line,
+    column: token.column + offset + (token.quoted ? 1 : 0),
+    endColumn: token.column + offset + (token.quoted ? 1 : 0) + value.length,
+    context: token.context,
+    resolved: null
+  };
+  state.references.push(reference);
+  return reference;
+}
+
+function registerIdentifier(state, s, token, record) {
+  if (!IDENTIFIER_PATTERN.test(token.value)) {
+    addError(state, s, `Identifiers can only contain the following characters: a-zA-Z0-9_-`, 'dsl-invalid-identifier', token);
+    return;
+  }
+  const key = record.fqIdentifier.toLowerCase();
+  const existing = state.identifiers.get(key);
+  if (existing) {
+    addError(state, s, `The identifier "${token.value}" is already in use`, 'dsl-duplicate-identifier', token, [{
+      message: `"${existing.fqIdentifier}" is first defined here`,
+      file: existing.file,
+      line: existing.line,
+      column: existing.identifierColumn || existing.column
+    }]);
+    return;
+  }
+  state.identifiers.set(key, record);
+}
+
+// Resolve an identifier as written, trying enclosing scopes in hierarchical mode.
+// `state` only needs { identifierMode, identifiers }, so a parse result works too
+function resolveIdentifier(state, name, scope) {
+  const lower = name.toLowerCase();
+  if (state.identifierMode === 'hierarchical' && scope) {
+    let prefix = scope.toLowerCase();
+    while (prefix) {
+      if (state.identifiers.has(`${prefix}.${lower}`)) {
+        return state.identifiers.get(`${prefix}.${lower}`).fqIdentifier;
+      }
+      const dot = prefix.lastIndexOf('.');
+      prefix = dot === -1 ? '' : prefix.slice(0, dot);
+    }
+  }
+  return state.identifiers.has(lower) ? state.identifiers.get(lower).fqIdentifier : null;
+}
+
+function processStatement(state, stmt, file) {
+  const tokens = stmt.tokens.map(token => ({ ...token, file, context: stmt.text }));
+  const ctx = current(state);
+  const s = {
+    file,
+    line: stmt.line,
+    column: tokens[0].column,
+    text: stmt.text,
+    tokens
+  };
+
+  if (!tokens[0].quoted && tokens[0].value === '}') {
+    if (tokens.length > 1) {
+      addError(state, s, 'Unexpected tokens after "}"', 'dsl-syntax', tokens[1]);
+    }
+    closeBlock(state, s);
+    return;
+  }
+
+  const last = tokens[tokens.length - 1];
+  const opensBlock = !last.quoted && last.value === '{';
+  if (opensBlock) {
+    tokens.pop();
+  }
+
+  const errorCount = state.diagnostics.length;
+  let child = null;
+  if (tokens.length === 0) {
+    // A lone "{" starts a parallel sequence in dynamic views
+    if (ctx.type === 'dynamicView') {
+      child = { type: 'dynamicView', element: ctx.element, view: ctx.view, parallel: true };
+    } else {
+      addError(state, s, 'Unexpected "{"', 'dsl-unexpected-brace');
+    }
+  } else {
+    child = dispatch(state, ctx, s, tokens);
+  }
+
+  if (opensBlock) {
+    if (!child) {
+      if (state.diagnostics.length === errorCount) {
+        addError(state, s, 'Unexpected "{"', 'dsl-unexpected-brace', last);
+      }
+      // Keep braces balanced so one bad line doesn't cascade
+      child = { type: 'freeform' };
+    }
+    openBlock(state, child, s, tokens[0] ? tokens[0].value : '{');
+  } else if (child && child.blockRequired) {
+    addError(state, s, `Expected: ${child.usage}`, 'dsl-missing-block');
+  }
+}
+
+function openBlock(state, ctx, s, keyword) {
+  const parent = current(state);
+  const block = {
+    keyword,
+    file: s.file,
+    line: s.line,
+    endLine: null,
+    parent: parent.block === undefined ? null : parent.block
+  };
+  state.blocks.push(block);
+  state.stack.push({ ...ctx, block: state.blocks.length - 1 });
+}
+
+function closeBlock(state, s) {
+  if (state.stack.length === 1) {
+    addError(state, s, 'Unexpected "}"', 'dsl-unexpected-brace');
+    return;
+  }
+  const ctx = state.stack.pop();
+  state.blocks[ctx.block].endLine = s.line;
+}
+
+function dispatch(state, ctx, s, tokens) {
+  switch (ctx.type) {
+    case 'document':
+      if (!tokens[0].quoted && tokens[0].value.toLowerCase() === 'workspace') {
+        return handleWorkspace(state, s, tokens.slice(1));
+      }
+      return unexpectedTokens(state, ctx, s);
+    case 'freeform':
+      return { type: 'freeform' };
+    case 'animation':
+      tokens.forEach(token => addReference(state, token, 'animation', null));
+      return null;
+    case 'views':
+      return handleViewsStatement(state, ctx, s, tokens);
+    case 'styles':
+      return handleStylesStatement(state, ctx, s, tokens);
+    default:
+      return handleStatement(state, ctx, s, tokens);
+  }
+}
+
+function handleWorkspace(state, s, args) {
+  const usage = 'workspace [name] [description] {';
+  if (args.length > 0 && !args[0].quoted && args[0].value.toLowerCase() === 'extends') {
+    if (!checkArguments(state, s, 'workspace extends <file|url> {', args, 2, 2)) {
+      return { type: 'workspace', blockRequired: true, usage };
+    }
+    state.workspace.extends = args[1].value;
+    loadBaseWorkspace(state, s, args[1].value);
+  } else if (checkArguments(state, s, usage, args, 0, 2)) {
+    state.workspace.name = args[0] ? args[0].value : null;
+    state.workspace.description = args[1] ? args[1].value : null;
+  }
+  return { type: 'workspace', blockRequired: true, usage };
+}
+
+// Register identifiers from a local base workspace used with "workspace extends"
+function loadBaseWorkspace(state, s, target) {
+  if (/^https?:\/\//.test(target)) {
+    return;
+  }
+  const baseFile = path.resolve(path.dirname(s.file), target);
+  if (!fs.existsSync(baseFile)) {
+    addError(state, s, `The file at ${target} does not exist`, 'dsl-include-not-found');
+    return;
+  }
+  const base = parseDslFile(baseFile);
+  base.identifiers.forEach((record, key) => state.identifiers.set(key, record));
+  state.identifierMode = base.identifierMode;
+  state.elements.push(...base.elements);
+  state.relationships.push(...base.relationships);
+  state.workspace.extendsResolved = true;
+}
+
+function handleStatement(state, ctx, s, tokens) {
+  const definition = getDefinition(ctx);
+  let identifier = null;
+
+  if ((definition.elements || definition.relationships) && tokens.length >= 2 && !tokens[1].quoted && tokens[1].value === '=') {
+    identifier = tokens[0];
+    tokens = tokens.slice(2);
+    if (tokens.length === 0) {
+      addError(state, s, `Expected an element or relationship after "${identifier.value} ="`);
+      return null;
+    }
+  }
+
+  if (definition.relationships && isRelationship(tokens)) {
+    return handleRelationship(state, ctx, s, tokens, identifier);
+  }
+
+  const keyword = tokens[0].quoted ? null : tokens[0].value;
+  if (keyword && findKeyword(definition.elements, keyword)) {
+    return handleElement(state, ctx, s, keyword.toLowerCase(), tokens.slice(1), identifier);
+  }
+  if (identifier) {
+    return unexpectedTokens(state, ctx, s);
+  }
+
+  const statement = keyword && (findKeyword(definition.statements, keyword) || findKeyword(DIRECTIVES, keyword));
+  if (!statement) {
+    return unexpectedTokens(state, ctx, s);
+  }
+  return handleKeyword(state, ctx, s, statement, tokens.slice(1));
+}
+
+function isRelationship(tokens) {
+  const isArrow = token => token && !token.quoted && token.value === '->';
+  return isArrow(tokens[0]) || isArrow(tokens[1]);
+}
+
+function handleElement(state, ctx, s, keyword, args, identifierToken) {
+  const spec = ELEMENT_KEYWORDS[keyword];
+  if (!checkArguments(state, s, spec.usage, args, 1, spec.fields.length)) {
+    return spec.context ? { type: 'freeform' } : null;
+  }
+
+  const values = {};
+  spec.fields.forEach((field, index) => {
+    values[field] = args[index] ? args[index].value : null;
+  });
+
+  if (values.target !== null && values.target !== undefined) {
+    addReference(state, args[0], 'instance', ctx.element ? ctx.element.fqIdentifier : null);
+  }
+
+  const parent = ctx.element || null;
+  const element = {
+    type: spec.type,
+    identifier: identifierToken ? identifierToken.value : null,
+    fqIdentifier: null,
+    name: values.name || values.target,
+    description: values.description || null,
+    technology: values.technology || null,
+    tags: [...DEFAULT_TAGS[spec.type], ...splitTags(values.tags)],
+    instances: values.instances || null,
+    target: values.target || null,
+    parent: parent ? parent.fqIdentifier : null,
+    file: s.file,
+    line: s.line,
+    column: s.column,
+    identifierColumn: identifierToken ? identifierToken.column : null
+  };
+
+  if (identifierToken) {
+    element.fqIdentifier = state.identifierMode === 'hierarchical' && parent && parent.fqIdentifier
+      ? `${parent.fqIdentifier}.${identifierToken.value}`
+      : identifierToken.value;
+    registerIdentifier(state, s, identifierToken, element);
+  }
+
+  state.elements.push(element);
+
+  if (!spec.context) {
+    return null;
+  }
+  if (spec.type === 'Group') {
+    return { type: 'group', groupOf: ctx.type === 'group' ? ctx.groupOf : ctx.type, element: ctx.element };
+  }
+  if (spec.type === 'Enterprise' || spec.type === 'DeploymentEnvironment') {
+    return { type: spec.context, element: null, usage: spec.usage, blockRequired: true };
+  }
+  return { type: spec.context, element };
+}
+
+function handleRelationship(state, ctx, s, tokens, identifierToken) {
+  const dynamic = ctx.type === 'dynamicView';
+  const usage = dynamic
+    ? '<identifier> -> <identifier> [description] [technology]'
+    : '[identifier] -> <identifier> [description] [technology] [tags]';
+  const scope = ctx.element ? ctx.element.fqIdentifier : null;
+
+  let sourceToken = null;
+  let destinationIndex = 2;
+  if (tokens[0].value === '->') {
+    if (!ctx.element || dynamic) {
+      addError(state, s, 'A relationship without a source must be defined inside an element', 'dsl-invalid-arguments');
+      return null;
+    }
+    destinationIndex = 1;
+  } else {
+    sourceToken = tokens[0];
+  }
+
+  const destinationToken = tokens[destinationIndex];
+  const rest = tokens.slice(destinationIndex + 1);
+  if (!destinationToken || rest.length > (dynamic ? 2 : 3)) {
+    addError(state, s, `Expected: ${usage}`, 'dsl-invalid-arguments');
+    return null;
+  }
+
+  const role = dynamic ? 'dynamic-step' : 'relationship';
+  let source = scope;
+  let sourceReference = null;
+  if (sourceToken && sourceToken.value.toLowerCase() !== 'this') {
+    sourceReference = addReference(state, sourceToken, `${role}-source`, scope);
+    source = sourceToken.value;
+  }
+  const destinationReference = addReference(state, destinationToken, `${role}-destination`, scope);
+
+  const relationship = {
+    identifier: identifierToken ? identifierToken.value : null,
+    fqIdentifier: identifierToken ? identifierToken.value : null,
+    source,
+    destination: destinationToken.value,
+    description: rest[0] ? rest[0].value : null,
+    technology: rest[1] ? rest[1].value : null,
+    tags: ['Relationship', ...splitTags(rest[2] && rest[2].value)],
+    sourceReference,
+    destinationReference,
+    // Element the relationship is defined in, its source when no source identifier is given
+    sourceElement: sourceReference ? null : ctx.element || null,
+    file: s.file,
+    line: s.line,
+    column: s.column,
+    identifierColumn: identifierToken ? identifierToken.column : null
+  };
+
+  if (dynamic) {
+    ctx.view.steps.push(relationship);
+    return null;
+  }
+
+  if (identifierToken) {
+    registerIdentifier(state, s, identifierToken, relationship);
+  }
+  state.relationships.push(relationship);
+  return { type: 'relationship', relationship, element: ctx.element };
+}
+
+function handleKeyword(state, ctx, s, keyword, args) {
+  const lower = keyword.toLowerCase();
+  const spec = getStatementSpec(ctx, keyword);
+  if (!checkArguments(state, s, spec.usage, args, spec.min, spec.max)) {
+    return spec.block ? { type: 'freeform' } : null;
+  }
+
+  const value = args[0] ? args[0].value : null;
+  switch (lower) {
+    case 'name':
+    case 'description':
+    case 'technology':
+    case 'url':
+    case 'instances':
+    case 'title':
+      if (ctx.type === 'workspace' && (lower === 'name' || lower === 'description')) {
+        state.workspace[lower] = value;
+      } else if (ctx.type === 'relationship') {
+        ctx.relationship[lower] = value;
+      } else if (ctx.view) {
+        ctx.view[lower] = value;
+      } else if (ctx.element) {
+        ctx.element[lower] = value;
+      }
+      return null;
+    case 'tags': {
+      const target = ctx.type === 'relationship' ? ctx.relationship : ctx.element;
+      if (target) {
+        args.forEach(arg => target.tags.push(...splitTags(arg.value)));
+      }
+      return null;
+    }
+    case '!identifiers':
+      if (!['flat', 'hierarchical'].includes(value.toLowerCase())) {
+        addError(state, s, `Expected: ${spec.usage}`, 'dsl-invalid-arguments', args[0]);
+        return null;
+      }
+      state.identifierMode = value.toLowerCase();
+      return null;
+    case '!include':
+      handleInclude(state, s, args[0]);
+      return null;
+    case '!constant':
+    case '!const':
+    case '!var':
+      state.constants[value] = args[1].value;
+      return null;
+    case '!ref':
+    case '!element':
+    case '!extend': {
+      addReference(state, args[0], 'ref', null);
+      const fqIdentifier = resolveIdentifier(state, value, null);
+      const element = fqIdentifier ? state.identifiers.get(fqIdentifier.toLowerCase()) : null;
+      const spec = element && ELEMENT_KEYWORDS[element.type.toLowerCase()];
+      return { type: spec && spec.context ? spec.context : 'element', element };
+    }
+    case '!relationship': {
+      addReference(state, args[0], 'ref', null);
+      const fqIdentifier = resolveIdentifier(state, value, null);
+      const relationship = fqIdentifier ? state.identifiers.get(fqIdentifier.toLowerCase()) : null;
+      return relationship ? { type: 'relationship', relationship } : { type: 'freeform' };
+    }
+    case '!elements':
+      return { type: 'element', element: null };
+    case '!relationships':
+      return { type: 'freeform' };
+    case 'include':
+    case 'exclude':
+      args.forEach(arg => {
+        expressionIdentifiers(arg).forEach(({ identifier, offset }) => {
+          addReference(state, arg, `view-${lower}`, null, identifier, offset);
+        });
+        ctx.view[`${lower}s`].push(arg.value);
+      });
+      return null;
+    default:
+      return spec.block ? { type: spec.block, usage: spec.usage, blockRequired: spec.blockRequired } : null;
+  }
+}
+
+// Style properties and terminology entries all take a single value
+function getStatementSpec(ctx, keyword) {
+  const lower = keyword.toLowerCase();
+  const valueBlock = ['elementStyle', 'relationshipStyle', 'terminology'].includes(ctx.type);
+  if (valueBlock && lower !== 'properties') {
+    return { usage: `${keyword} <value>`, min: 1, max: 1 };
+  }
+  return STATEMENTS[lower];
+}
+
+// Extract plain identifiers from an include/exclude expression
+function expressionIdentifiers(token) {
+  const value = token.value;
+  if (value === '*' || value === '->' || value.includes('${') || /==|!=|\*|[()]/.test(value)) {
+    return [];
+  }
+  const identifiers = [];
+  let offset = 0;
+  value.split('->').forEach(part => {
+    if (part && REFERENCE_PATTERN.test(part)) {
+      identifiers.push({ identifier: part, offset });
+    }
+    offset += part.length + 2;
+  });
+  return identifiers;
+}
+
+function handleInclude(state, s, token) {
+  const target = token.value;
+  if (/^https?:\/\//.test(target)) {
+    state.includes.push({ file: s.file, line: s.line, target, resolved: null, remote: true });
+    return;
+  }
+
+  const resolved = path.resolve(path.dirname(s.file), target);
+  state.includes.push({ file: s.file, line: s.line, target, resolved, remote: false });
+  if (!fs.existsSync(resolved)) {
+    addError(state, s, `The file or directory at ${target} does not exist`, 'dsl-include-not-found', token);
+    return;
+  }
+
+  const files = fs.statSync(resolved).isDirectory()
+    ? fs.readdirSync(resolved)
+      .filter(name => !name.startsWith('.'))
+      .sort()
+      .map(name => path.join(resolved, name))
+      .filter(name => fs.statSync(name).isFile())
+    : [resolved];
+
+  for (const file of files) {
+    if (state.includeStack.includes(file)) {
+      addError(state, s, `Circular !include of ${path.relative(path.dirname(s.file), file)}`, 'dsl-include-cycle', token);
+      continue;
+    }
+    parseSource(state, state.sources.has(file) ? state.sources.get(file) : fs.readFileSync(file, 'utf-8'), file);
+  }
+}
+
+function handleViewsStatement(state, ctx, s, tokens) {
+  const keyword = tokens[0].quoted ? null : tokens[0].value.toLowerCase();
+  const spec = keyword && VIEW_KEYWORDS[keyword];
+  if (!spec) {
+    return handleStatement(state, ctx, s, tokens);
+  }
+
+  const args = tokens.slice(1);
+  const context = spec.context || 'view';
+  if (!checkArguments(state, s, spec.usage, args, spec.min, spec.max)) {
+    return { type: 'freeform' };
+  }
+
+  const view = {
+    type: spec.type,
+    key: args[spec.keyIndex] ? args[spec.keyIndex].value : null,
+    scope: spec.scope ? args[0].value : null,
+    environment: spec.type === 'Deployment' ? args[1].value : null,
+    title: null,
+    description: null,
+    includes: [],
+    excludes: [],
+    steps: [],
+    file: s.file,
+    line: s.line,
+    column: s.column
+  };
+  if (spec.scope && args[0].value !== '*') {
+    addReference(state, args[0], 'view-scope', null);
+  }
+  state.views.push(view);
+
+  return {
+    type: context,
+    view,
+    element: null,
+    usage: spec.usage,
+    blockRequired: !spec.blockOptional
+  };
+}
+
+function handleStylesStatement(state, ctx, s, tokens) {
+  const keyword = tokens[0].quoted ? null : tokens[0].value.toLowerCase();
+  if (keyword !== 'element' && keyword !== 'relationship') {
+    return handleStatement(state, ctx, s, tokens);
+  }
+
+  const usage = `${keyword} <tag> {`;
+  if (!checkArguments(state, s, usage, tokens.slice(1), 1, 1)) {
+    return { type: 'freeform' };
+  }
+  const style = {
+    kind: keyword,
+    tag: tokens[1].value,
+    properties: {},
+    file: s.file,
+    line: s.line,
+    column: s.column
+  };
+  state.styles.push(style);
+  return {
+    type: keyword === 'element' ? 'elementStyle' : 'relationshipStyle',
+    style,
+    usage,
+    blockRequired: true
+  };
+}
+
+function parseSource(state, text, file) {
+  if (!state.files.includes(file)) {
+    state.files.push(file);
+  }
+  state.includeStack.push(file);
+
+  const { entries, diagnostics } = tokenize(text);
+  diagnostics.forEach(diagnostic => {
+    state.diagnostics.push(createDiagnostic({ ...diagnostic, file }));
+  });
+
+  for (const entry of entries) {
+    if (entry.type !== 'statement') {
+      continue;
+    }
+    const ctx = current(state);
+    if (ctx.type === 'elementStyle' || ctx.type === 'relationshipStyle') {
+      recordStyleProperty(ctx, entry);
+    }
+    processStatement(state, entry, file);
+  }
+
+  state.includeStack.pop();
+}
+
+function recordStyleProperty(ctx, entry) {
+  const [name, value] = entry.tokens;
+  if (value && !name.quoted && name.value !== '}' && value.value !== '{') {
+    ctx.style.properties[name.value] = value.value;
+  }
+}
+
+// Check open blocks and identifier references once everything is parsed
+function finish(state) {
+  for (let i = state.stack.length - 1; i > 0; i--) {
+    const block = state.blocks[state.stack[i].block];
+    state.diagnostics.push(createDiagnostic({
+      message: `Missing closing "}" for "${block.keyword}" block`,
+      file: block.file,
+      line: block.line,
+      code: 'dsl-unclosed-block',
+      context: block.keyword
+    }));
+  }
+
+  const checkReferences = !state.workspace.extends || state.workspace.extendsResolved;
+  for (const reference of state.references) {
+    if (reference.identifier.includes('${')) {
+      continue;
+    }
+    reference.resolved = resolveIdentifier(state, reference.identifier, reference.scope);
+    if (reference.resolved || !checkReferences) {
+      continue;
+    }
+    let message = `The element "${reference.identifier}" does not exist`;
+    if (reference.role.endsWith('-source')) {
+      message = `The source element "${reference.identifier}" does not exist`;
+    } else if (reference.role.endsWith('-destination')) {
+      message = `The destination element "${reference.identifier}" does not exist`;
+    } else if (reference.role === 'ref') {
+      message = `An element or relationship with identifier "${reference.identifier}" does not exist`;
+    }
+    state.diagnostics.push(createDiagnostic({
+      message,
+      file: reference.file,
+      line: reference.line,
+      column: reference.column,
+      code: 'dsl-unknown-identifier',
+      context: reference.context
+    }));
+  }
+
+  // Point relationship ends at the resolved identifiers
+  const allRelationships = [...state.relationships, ...state.views.flatMap(view => view.steps)];
+  for (const relationship of allRelationships) {
+    if (relationship.sourceReference && relationship.sourceReference.resolved) {
+      relationship.source = relationship.sourceReference.resolved;
+    }
+    if (relationship.destinationReference.resolved) {
+      relationship.destination = relationship.destinationReference.resolved;
+    }
+  }
+}
+
+/**
+ * Parse DSL source text. `file` is used for diagnostics and to resolve
+ * relative !include paths. `sources` (a Map of absolute path to text) holds
+ * unsaved contents read instead of the !include files on disk.
+ */
+function parseDsl(text, options = {}) {
+  const file = path.resolve(options.file || 'workspace.dsl');
+  const state = createState(file, options.sources);
+  parseSource(state, text, file);
+  finish(state);
+
+  return {
+    file,
+    files: state.files,
+    identifierMode: state.identifierMode,
+    workspace: state.workspace,
+    elements: state.elements,
+    relationships: state.relationships,
+    views: state.views,
+    styles: state.styles,
+    references: state.references,
+    includes: state.includes,
+    blocks: state.blocks,
+    constants: state.constants,
+    identifiers: state.identifiers,
+    diagnostics: state.diagnostics
+  };
+}
+
+/**
+ * Usage line of a DSL keyword, or null for an unknown one. `blockPath` (the
+ * enclosing block keywords, see code-frame.js) tells the view "container"
+ * from the element and style rules from elements.
+ */
+function getKeywordUsage(keyword, blockPath = []) {
+  const lower = keyword.toLowerCase();
+  const enclosing = blockPath.map(block => block.toLowerCase());
+  if (lower === 'workspace') {
+    return WORKSPACE_USAGE;
+  }
+  if (enclosing.includes('styles') && (lower === 'element' || lower === 'relationship')) {
+    return `${lower} <tag> {`;
+  }
+  if (enclosing.includes('views') && VIEW_KEYWORDS[lower]) {
+    return VIEW_KEYWORDS[lower].usage;
+  }
+  const spec = ELEMENT_KEYWORDS[lower] || STATEMENTS[lower] || VIEW_KEYWORDS[lower];
+  return spec ? spec.usage : null;
+}
+
+// Parse a DSL file from disk, following its !include directives
+function parseDslFile(file) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Workspace file not found: ${resolved}`);
+  }
+  return parseDsl(fs.readFileSync(resolved, 'utf-8'), { file: resolved });
+}
+
+module.exports = {
+  IDENTIFIER_PATTERN,
+  getKeywordUsage,
+  parseDsl,
+  parseDslFile,
+  resolveIdentifier
+};
@@ -0,0 +1,239 @@
+/**
+ * Structurizr DSL Tokenizer
+ *
+ * Splits DSL source into line-based entries (statements, comments and blank
+ * lines). Statements are broken into whitespace separated tokens, honouring
+ * double-quoted strings, """ text blocks and trailing "\" line continuations.
+ * The bodies of inline !script and !plugin blocks aren't DSL: they become a
+ * single raw entry, ended like Structurizr does by the first line that is
+ * just "}".
+ */
+
+// Blocks whose contents are kept as written
+const RAW_BLOCKS = new Set(['!script', '!plugin']);
+
+function isRawBlockStart(statement) {
+  const { tokens } = statement;
+  const first = tokens[0];
+  const last = tokens[tokens.length - 1];
+  return tokens.length > 1 && !first.quoted && RAW_BLOCKS.has(first.value.toLowerCase()) &&
+    !last.quoted && last.value === '{';
+}
+
+// Split source text into statement, comment and blank entries
+function tokenize(text) {
+  const rawLines = text.split(/\r?\n/);
+  const entries = [];
+  const diagnostics = [];
+
+  let index = 0;
+  while (index < rawLines.length) {
+    const raw = rawLines[index];
+    const trimmed = raw.trim();
+
+    if (trimmed === '') {
+      entries.push({ type: 'blank', line: index + 1, endLine: index + 1 });
+      index++;
+      continue;
+    }
+
+    // Multi-line /* ... */ comments
+    if (trimmed.startsWith('/*')) {
+      let end = index;
+      let closed = raw.indexOf('*/', raw.indexOf('/*') + 2) !== -1;
+      while (!closed && end + 1 < rawLines.length) {
+        end++;
+        closed = rawLines[end].includes('*/');
+      }
+      if (!closed) {
+        diagnostics.push({
+          message: 'Unterminated block comment',
+          line: index + 1,
+          column: raw.indexOf('/*') + 1,
+          code: 'dsl-unterminated-comment',
+          context: trimmed
+        });
+      }
+      entries.push({
+        type: 'comment',
+        line: index + 1,
+        endLine: end + 1,
+        text: rawLines.slice(index, end + 1).join('\n')
+      });
+      index = end + 1;
+      continue;
+    }
+
+    // Single line comments are only recognised at the start of a line,
+    // so values such as "#ffffff" are left alone
+    if (trimmed.startsWith('#') || trimmed.startsWith('//')) {
+      entries.push({ type: 'comment', line: index + 1, endLine: index + 1, text: raw });
+      index++;
+      continue;
+    }
+
+    const statement = scanStatement(rawLines, index, diagnostics);
+    entries.push(statement);
+    index = statement.endLine;
+
+    if (isRawBlockStart(statement)) {
+      let end = index;
+      while (end < rawLines.length && rawLines[end].trim() !== '}') {
+        end++;
+      }
+      if (end > index) {
+        entries.push({ type: 'raw', line: index + 1, endLine: end, text: rawLines.slice(index, end).join('\n') });
+      }
+      index = end;
+    }
+  }
+
+  return { entries, diagnostics };
+}
+
+// Scan a single statement starting at rawLines[start], following continuations
+function scanStatement(rawLines, start, diagnostics) {
+  const tokens = [];
+  let lineIndex = start;
+  let line = rawLines[lineIndex];
+  let col = 0;
+
+  while (true) {
+    while (col < line.length && /\s/.test(line[col])) {
+      col++;
+    }
+    if (col >= line.length) {
+      break;
+    }
+
+    // Line continuation
+    if (line.slice(col).trim() === '\\' && lineIndex + 1 < rawLines.length) {
+      lineIndex++;
+      line = rawLines[lineIndex];
+      col = 0;
+      continue;
+    }
+
+    // """ text block
+    if (line.startsWith('"""', col)) {
+      const startLine = lineIndex;
+      const startCol = col;
+      let close = line.indexOf('"""', col + 3);
+      let value;
+      let raw;
+      if (close !== -1) {
+        value = line.slice(col + 3, close);
+        raw = line.slice(col, close + 3);
+        col = close + 3;
+      } else {
+        const parts = [line.slice(col + 3)];
+        const rawParts = [line.slice(col)];
+        let found = false;
+        while (lineIndex + 1 < rawLines.length) {
+          lineIndex++;
+          line = rawLines[lineIndex];
+          close = line.indexOf('"""');
+          if (close !== -1) {
+            parts.push(line.slice(0, close));
+            rawParts.push(line.slice(0, close + 3));
+            col = close + 3;
+            found = true;
+            break;
+          }
+          parts.push(line);
+          rawParts.push(line);
+        }
+        if (!found) {
+          diagnostics.push({
+            message: 'Unterminated text block',
+            line: startLine + 1,
+            column: startCol + 1,
+            code: 'dsl-unterminated-string',
+            context: rawLines[startLine].trim()
+          });
+          col = line.length;
+        }
+        value = parts.join('\n');
+        raw = rawParts.join('\n');
+      }
+      tokens.push({
+        value,
+        raw,
+        quoted: true,
+        textBlock: true,
+        line: startLine + 1,
+        column: startCol + 1,
+        endColumn: col + 1
+      });
+      continue;
+    }
+
+    // Double-quoted string
+    if (line[col] === '"') {
+      const startCol = col;
+      let value = '';
+      let closed = false;
+      col++;
+      while (col < line.length) {
+        const ch = line[col];
+        if (ch === '\\' && line[col + 1] === '"') {
+          value += '"';
+          col += 2;
+          continue;
+        }
+        if (ch === '"') {
+          closed = true;
+          col++;
+          break;
+        }
+        value += ch;
+        col++;
+      }
+      if (!closed) {
+        diagnostics.push({
+          message: 'Unterminated string',
+          line: lineIndex + 1,
+          column: startCol + 1,
+          code: 'dsl-unterminated-string',
+          context: line.trim()
+        });
+      }
+      tokens.push({
+        value,
+        raw: line.slice(startCol, col),
+        quoted: true,
+        line: lineIndex + 1,
+        column: startCol + 1,
+        endColumn: col + 1
+      });
+      continue;
+    }
+
+    // Plain word
+    const startCol = col;
+    while (col < line.length && !/\s/.test(line[col])) {
+      col++;
+    }
+    const word = line.slice(startCol, col);
+    tokens.push({
+      value: word,
+      raw: word,
+      quoted: false,
+      line: lineIndex + 1,
+      column: startCol + 1,
+      endColumn: col + 1
+    });
+  }
+
+  return {
+    type: 'statement',
+    line: start + 1,
+    endLine: lineIndex + 1,
+    text: rawLines[start].trim(),
+    tokens
+  };
+}
+
+module.exports = {
+  tokenize
+};
@@ -0,0 +1,208 @@
+/**
+ * Structurizr environment discovery
+ *
+ * Finds the pieces the debugger needs without knowing their ports: probes a
+ * port range for Chrome DevTools endpoints (/json/version) and for HTTP
+ * servers that answer like Structurizr Lite, then picks the browser tab
+ * showing a Structurizr workspace.
+ *
+ * Configuration (environment variables):
+ *   STRUCTURIZR_DISCOVERY_PORTS - ports to probe, e.g. "8080-8090,9222-9230"
+ *   STRUCTURIZR_DISCOVERY_HOST  - host to probe (default: 127.0.0.1)
+ */
+
+const DEFAULT_PORTS = '8000-8100,9222-9230';
+const DEFAULT_HOST = '127.0.0.1';
+
+// Parallel probes, kept low so a scan doesn't flood the machine with sockets
+const PROBE_CONCURRENCY = 16;
+
+// Structurizr Lite pages: diagrams, documentation, decisions, explore, ...
+const WORKSPACE_PATH = /\/workspace(\/\d+)?\/(diagrams|documentation|decisions|explore|images)?/;
+
+// Parse "8080,9000-9010" into a sorted list of ports
+function parsePortRanges(spec) {
+  const ports = new Set();
+  for (const part of String(spec).split(',').map(entry => entry.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid port range "${part}", expected e.g. 8080 or 9222-9230`);
+    }
+    const start = parseInt(match[1], 10);
+    const end = match[2] ? parseInt(match[2], 10) : start;
+    if (start < 1 || end > 65535 || end < start) {
+      throw new Error(`Invalid port range "${part}"`);
+    }
+    for (let port = start; port <= end; port++) {
+      ports.add(port);
+    }
+  }
+  return [...ports].sort((a, b) => a - b);
+}
+
+async function fetchWithTimeout(url, timeout) {
+  return fetch(url, { signal: AbortSignal.timeout(timeout), redirect: 'follow' });
+}
+
+// Chrome DevTools endpoint on `port`, with its page targets, or null
+async function probeChrome(host, port, timeout) {
+  try {
+    const response = await fetchWithTimeout(`http://${host}:${port}/json/version`, timeout);
+    if (!response.ok) {
+      return null;
+    }
+    const version = await response.json();
+    if (!version.webSocketDebuggerUrl) {
+      return null;
+    }
+    const list = await (await fetchWithTimeout(`http://${host}:${port}/json/list`, timeout)).json();
+    return {
+      port,
+      browser: version.Browser,
+      webSocketDebuggerUrl: version.webSocketDebuggerUrl,
+      tabs: list
+        .filter(target => target.type === 'page')
+        .map(target => ({ id: target.id, url: target.url, title: target.title }))
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Structurizr Lite instance on `port`, or null
+async function probeStructurizr(host, port, timeout) {
+  try {
+    const response = await fetchWithTimeout(`http://${host}:${port}/`, timeout);
+    const contentType = response.headers.get('content-type') || '';
+    if (!response.ok || !contentType.includes('text/html')) {
+      return null;
+    }
+    const html = await response.text();
+    if (!/structurizr/i.test(html)) {
+      return null;
+    }
+    const title = (html.match(/<title>([^<]*)<\/title>/i) || [])[1] || '';
+    return {
+      port,
+      url: `http://${host}:${port}/`,
+      title: title.trim(),
+      lite: /Structurizr Lite/i.test(html)
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Run `worker` over `items` with at most `limit` running at once
+async function mapLimited(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index]);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+function getUrlPort(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.port ? parseInt(parsed.port, 10) : (parsed.protocol === 'https:' ? 443 : 80);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * How likely a tab shows a Structurizr workspace: served by a discovered
+ * Structurizr instance, on a workspace path, or titled Structurizr. 0 means not at all.
+ */
+function scoreTab(tab, structurizrPorts) {
+  if (!/^https?:/.test(tab.url)) {
+    return 0;
+  }
+  let score = 0;
+  let path = '';
+  try {
+    path = new URL(tab.url).pathname;
+  } catch (error) {
+    return 0;
+  }
+  if (structurizrPorts.has(getUrlPort(tab.url))) {
+    score += 2;
+  }
+  if (WORKSPACE_PATH.test(path)) {
+    score += 2;
+  }
+  if (/structurizr/i.test(tab.title || '')) {
+    score += 1;
+  }
+  return score;
+}
+
+/**
+ * Probe `ports` on `host` for Chrome and Structurizr Lite. Returns
+ * { host, ports, chrome, structurizr, tabs, bestMatch }, where bestMatch is
+ * { debugPort, structurizrPort, pageUrl, title } or null.
+ */
+async function discoverEnvironment({ ports = process.env.STRUCTURIZR_DISCOVERY_PORTS || DEFAULT_PORTS, host = process.env.STRUCTURIZR_DISCOVERY_HOST || DEFAULT_HOST, timeout = 800 } = {}) {
+  const portList = Array.isArray(ports) ? ports : parsePortRanges(ports);
+
+  const probes = await mapLimited(portList, PROBE_CONCURRENCY, async port => {
+    const chrome = await probeChrome(host, port, timeout);
+    return chrome ? { chrome } : { structurizr: await probeStructurizr(host, port, timeout) };
+  });
+  const chrome = probes.map(probe => probe.chrome).filter(Boolean);
+  const structurizr = probes.map(probe => probe.structurizr).filter(Boolean);
+  const structurizrPorts = new Set(structurizr.map(instance => instance.port));
+
+  const tabs = chrome.flatMap(endpoint => endpoint.tabs.map(tab => ({
+    ...tab,
+    debugPort: endpoint.port,
+    score: scoreTab(tab, structurizrPorts)
+  })));
+  tabs.forEach(tab => {
+    tab.structurizr = tab.score > 0;
+  });
+
+  const best = tabs.filter(tab => tab.structurizr).sort((a, b) => b.score - a.score)[0];
+  let bestMatch = null;
+  if (best) {
+    bestMatch = { debugPort: best.debugPort, structurizrPort: getUrlPort(best.url), pageUrl: best.url, title: best.title };
+  } else if (chrome.length > 0 && structurizr.length > 0) {
+    // No tab open yet: the browser and Structurizr can still be connected, the tab is followed once opened
+    bestMatch = { debugPort: chrome[0].port, structurizrPort: structurizr[0].port, pageUrl: null, title: null };
+  }
+
+  return { host, ports: portList, chrome, structurizr, tabs, bestMatch };
+}
+
+// Human readable summary of a discovery result
+function formatDiscovery(result) {
+  const lines = [`Probed ${result.ports.length} port(s) on ${result.host}`];
+  lines.push(result.chrome.length > 0
+    ? `Chrome DevTools: ${result.chrome.map(endpoint => `${endpoint.port} (${endpoint.browser}, ${endpoint.tabs.length} tab(s))`).join(', ')}`
+    : 'Chrome DevTools: none found (start Chrome with --remote-debugging-port=9222)');
+  lines.push(result.structurizr.length > 0
+    ? `Structurizr: ${result.structurizr.map(instance => `${instance.url}${instance.title ? ` "${instance.title}"` : ''}`).join(', ')}`
+    : 'Structurizr: none found');
+  const structurizrTabs = result.tabs.filter(tab => tab.structurizr);
+  if (structurizrTabs.length > 0) {
+    lines.push('Structurizr tabs:');
+    structurizrTabs.forEach(tab => lines.push(` - ${tab.url} (debug port ${tab.debugPort})`));
+  }
+  if (result.bestMatch) {
+    lines.push(`Best match: debug port ${result.bestMatch.debugPort}, Structurizr port ${result.bestMatch.structurizrPort}${result.bestMatch.pageUrl ? `, page ${result.bestMatch.pageUrl}` : ''}`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  DEFAULT_PORTS,
+  discoverEnvironment,
+  formatDiscovery,
+  parsePortRanges
+};
@@ -0,0 +1,162 @@
+/**
+ * Structurizr DSL error resources
+ *
+ * Exposes the DSL error log as MCP resources so clients can subscribe to new
+ * errors instead of polling getDslErrors:
+ *   structurizr://errors/latest       - the most recent open error
+ *   structurizr://errors/all          - every logged error
+ *   structurizr://errors/file/{+path} - errors of one DSL file, path relative to the workspace directory
+ * notifyErrorsChanged() sends resources/updated for the subscribed URIs affected
+ * by newly saved errors.
+ */
+
+const path = require('path');
+const { ResourceTemplate } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { SubscribeRequestSchema, UnsubscribeRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+
+const LATEST_URI = 'structurizr://errors/latest';
+const ALL_URI = 'structurizr://errors/all';
+const FILE_URI_PREFIX = 'structurizr://errors/file/';
+
+// Resource URI for the errors of one file; files outside the workspace are encoded as a single segment
+function getFileErrorsUri(file, workspaceDir) {
+  const relative = path.relative(workspaceDir, path.resolve(workspaceDir, file));
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    return `${FILE_URI_PREFIX}${encodeURIComponent(path.resolve(workspaceDir, file))}`;
+  }
+  return `${FILE_URI_PREFIX}${relative.split(path.sep).map(encodeURIComponent).join('/')}`;
+}
+
+function jsonContents(uri, value) {
+  return {
+    contents: [{
+      uri,
+      mimeType: 'application/json',
+      text: JSON.stringify(value, null, 2)
+    }]
+  };
+}
+
+/**
+ * Register the error resources on an McpServer. Must be called before the
+ * server is connected, since it adds the resources/subscribe capability.
+ * `readErrors()` returns the logged errors with host paths, oldest first.
+ * Returns { notifyErrorsChanged(diagnostics) }.
+ */
+function registerErrorResources(server, { readErrors, workspaceDir }) {
+  const subscriptions = new Set();
+  const knownFileUris = new Set();
+
+  const errorsOfFile = (errors, file) => {
+    const target = path.resolve(workspaceDir, file);
+    return errors.filter(error => error.file && path.resolve(workspaceDir, error.file) === target);
+  };
+
+  const listFileResources = () => {
+    const files = new Map();
+    for (const error of readErrors()) {
+      if (error.file) {
+        const uri = getFileErrorsUri(error.file, workspaceDir);
+        files.set(uri, (files.get(uri) || 0) + 1);
+      }
+    }
+    return [...files].map(([uri, count]) => {
+      knownFileUris.add(uri);
+      return {
+        uri,
+        name: decodeURIComponent(uri.slice(FILE_URI_PREFIX.length)),
+        description: `${count} logged DSL error(s)`,
+        mimeType: 'application/json'
+      };
+    });
+  };
+
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+  server.server.setRequestHandler(SubscribeRequestSchema, async request => {
+    subscriptions.add(request.params.uri);
+    return {};
+  });
+  server.server.setRequestHandler(UnsubscribeRequestSchema, async request => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  server.registerResource(
+    'latest-dsl-error',
+    LATEST_URI,
+    {
+      title: 'Latest DSL Error',
+      description: 'The most recently seen Structurizr DSL error that is still open (not resolved), null when there is none',
+      mimeType: 'application/json'
+    },
+    async uri => {
+      const errors = readErrors().filter(error => error.status === 'open');
+      return jsonContents(uri.href, errors.length > 0 ? errors[errors.length - 1] : null);
+    }
+  );
+
+  server.registerResource(
+    'all-dsl-errors',
+    ALL_URI,
+    {
+      title: 'All DSL Errors',
+      description: 'Every Structurizr DSL error in the log, oldest first',
+      mimeType: 'application/json'
+    },
+    async uri => jsonContents(uri.href, readErrors())
+  );
+
+  server.registerResource(
+    'file-dsl-errors',
+    new ResourceTemplate(`${FILE_URI_PREFIX}{+path}`, {
+      list: async () => ({ resources: listFileResources() })
+    }),
+    {
+      title: 'DSL Errors per File',
+      description: 'Structurizr DSL errors reported for one file, path relative to the workspace directory',
+      mimeType: 'application/json'
+    },
+    async (uri, { path: filePath }) => jsonContents(uri.href, errorsOfFile(readErrors(), decodeURIComponent(filePath)))
+  );
+
+  const sendUpdated = uri => {
+    server.server.sendResourceUpdated({ uri }).catch(error => {
+      console.error(`Error sending resource update for ${uri}:`, error);
+    });
+  };
+
+  return {
+    // Tell subscribers which resources changed after `diagnostics` were saved (empty after clearing the log)
+    notifyErrorsChanged(diagnostics = []) {
+      if (!server.isConnected()) {
+        return;
+      }
+
+      const fileUris = diagnostics.length > 0
+        ? new Set(diagnostics.filter(diagnostic => diagnostic.file).map(diagnostic => getFileErrorsUri(diagnostic.file, workspaceDir)))
+        : new Set(knownFileUris);
+      const updated = [LATEST_URI, ALL_URI, ...fileUris];
+      updated.filter(uri => subscriptions.has(uri)).forEach(sendUpdated);
+
+      // New files with errors, or files cleared from the log, change the resource list
+      let listChanged;
+      if (diagnostics.length === 0) {
+        listChanged = knownFileUris.size > 0;
+        knownFileUris.clear();
+      } else {
+        listChanged = [...fileUris].some(uri => !knownFileUris.has(uri));
+        fileUris.forEach(uri => knownFileUris.add(uri));
+      }
+      if (listChanged) {
+        server.sendResourceListChanged();
+      }
+    }
+  };
+}
+
+module.exports = {
+  ALL_URI,
+  LATEST_URI,
+  getFileErrorsUri,
+  registerErrorResources
+};
@@ -0,0 +1,166 @@
+/**
+ * Live error stream
+ *
+ * Server-Sent Events feed of captured errors, for terminal tools and
+ * dashboards that follow along in real time. Every published error is pushed
+ * at once to the clients whose filters it matches, as a "browser-error" or
+ * "dsl-error" event whose data is { id, kind, timestamp, error }.
+ *
+ * Recent events are kept in memory (seeded from the logs on start): a client
+ * can ask for the last N on connect (`replay=N`), and one that reconnects with
+ * Last-Event-ID gets the events it missed.
+ */
+
+const { createBrowserErrorFilter, matchesSearchText, normalizeBrowserError, parseSearchText } = require('./browser-errors');
+
+const KINDS = ['browser', 'dsl'];
+
+const DEFAULT_OPTIONS = {
+  // Events kept for replay
+  maxHistory: 500,
+  // Comment line sent this often so proxies don't close an idle stream
+  heartbeatInterval: 30000
+};
+
+function parseKinds(kind) {
+  if (!kind) {
+    return KINDS;
+  }
+  const kinds = (Array.isArray(kind) ? kind : String(kind).split(',')).map(value => value.trim().toLowerCase()).filter(Boolean);
+  const unknown = kinds.find(value => !KINDS.includes(value));
+  if (unknown) {
+    throw new Error(`Unknown kind "${unknown}", use ${KINDS.join(', ')}`);
+  }
+  return kinds;
+}
+
+/**
+ * Predicate for stream events matching the query parameters:
+ *   kind              browser, dsl or both (default), comma-separated
+ *   type, url, connectionId
+ *                     browser error filters as for GET /errors; they only select
+ *                     among browser errors, DSL errors pass them
+ *   text              words that must all appear in the error (both kinds)
+ * Throws for invalid values.
+ */
+function createEventFilter(query = {}) {
+  const kinds = parseKinds(query.kind);
+  const matchesBrowserError = createBrowserErrorFilter({
+    type: query.type,
+    url: query.url,
+    connectionId: query.connectionId,
+    text: query.text
+  });
+  const words = parseSearchText(query.text);
+
+  return event => {
+    if (!kinds.includes(event.kind)) {
+      return false;
+    }
+    if (event.kind === 'browser') {
+      return matchesBrowserError(event.error);
+    }
+    const { message, file, code, context, raw } = event.error;
+    return matchesSearchText([message, file, code, context, raw], words);
+  };
+}
+
+function parseReplayCount(value, max) {
+  if (value === undefined || value === '') {
+    return 0;
+  }
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`Invalid replay "${value}", expected a whole number`);
+  }
+  return Math.min(count, max);
+}
+
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.kind}-error\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+/**
+ * Create the stream. `history` is [{ kind, error }] to seed the replay buffer
+ * with, oldest first. Returns { publish(kind, error), handleRequest(req, res),
+ * clientCount() }; handleRequest answers an Express GET request.
+ */
+function createErrorStream({ history = [], ...options } = {}) {
+  const { maxHistory, heartbeatInterval } = { ...DEFAULT_OPTIONS, ...options };
+  const clients = new Set();
+  let events = [];
+  let nextId = 1;
+
+  const remember = (kind, error) => {
+    const event = {
+      id: nextId++,
+      kind,
+      timestamp: error.lastSeen || error.timestamp || new Date().toISOString(),
+      error: kind === 'browser' ? normalizeBrowserError(error) : error
+    };
+    events.push(event);
+    if (events.length > maxHistory) {
+      events = events.slice(-maxHistory);
+    }
+    return event;
+  };
+
+  history.slice(-maxHistory).forEach(({ kind, error }) => remember(kind, error));
+
+  return {
+    // Push an error ("browser" or "dsl") to the matching clients
+    publish(kind, error) {
+      const event = remember(kind, error);
+      for (const client of clients) {
+        if (client.matches(event)) {
+          client.res.write(formatEvent(event));
+        }
+      }
+      return event;
+    },
+
+    handleRequest(req, res) {
+      let matches;
+      let replay;
+      try {
+        matches = createEventFilter(req.query);
+        replay = parseReplayCount(req.query.replay, maxHistory);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+        return;
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Tell nginx not to buffer the stream
+        'X-Accel-Buffering': 'no'
+      });
+      res.write(`retry: 3000\n\n`);
+
+      // Events missed since Last-Event-ID, otherwise the last `replay` matching ones
+      const lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId);
+      const missed = Number.isInteger(lastEventId) && lastEventId > 0
+        ? events.filter(event => event.id > lastEventId && matches(event))
+        : events.filter(matches).slice(replay > 0 ? -replay : events.length);
+      missed.forEach(event => res.write(formatEvent(event)));
+
+      const client = { res, matches };
+      clients.add(client);
+      const heartbeat = setInterval(() => res.write(': keepalive\n\n'), heartbeatInterval);
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(client);
+      });
+    },
+
+    clientCount() {
+      return clients.size;
+    }
+  };
+}
+
+module.exports = {
+  createErrorStream
+};
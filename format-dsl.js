@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * Structurizr DSL formatter
+ *
+ * Reprints a workspace.dsl file (and everything it !includes) in the canonical
+ * style of dsl-formatter.js. With --check nothing is written and the command
+ * exits with code 1 when a file isn't formatted, so it can be used in CI.
+ *
+ * Usage:
+ *   node format-dsl.js [path/to/workspace.dsl] [--check] [--sort-styles] [--indent 4]
+ *   --check        list the files that need formatting instead of rewriting them
+ *   --sort-styles  sort element and relationship styles by tag
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_INDENT, formatDslFile } = require('./dsl-formatter');
+
+const args = process.argv.slice(2);
+const check = args.includes('--check');
+const sortStyles = args.includes('--sort-styles');
+const indentIndex = args.indexOf('--indent');
+const indent = indentIndex !== -1 ? parseInt(args[indentIndex + 1], 10) : DEFAULT_INDENT;
+const file = args.find((arg, index) => !arg.startsWith('--') && (indentIndex === -1 || index !== indentIndex + 1)) ||
+  path.join(process.env.STRUCTURIZR_WORKSPACE_DIR || process.cwd(), 'workspace.dsl');
+
+try {
+  if (!Number.isInteger(indent) || indent < 1) {
+    throw new Error('--indent expects a number of spaces');
+  }
+  const results = formatDslFile(file, { indent, sortStyles });
+  const relative = name => path.relative(process.cwd(), name) || name;
+
+  for (const result of results) {
+    if (result.error) {
+      console.error(`Error: ${result.error}`);
+    } else if (result.changed && check) {
+      console.log(`Not formatted: ${relative(result.file)}`);
+    } else if (result.changed) {
+      fs.writeFileSync(result.file, result.formatted, 'utf-8');
+      console.log(`Formatted: ${relative(result.file)}`);
+    }
+  }
+
+  const changed = results.filter(result => result.changed).length;
+  if (changed === 0 && results.every(result => !result.error)) {
+    console.log(`${results.length} file(s) already formatted`);
+  }
+  if (results.some(result => result.error)) {
+    process.exit(2);
+  }
+  process.exit(check && changed > 0 ? 1 : 0);
+} catch (error) {
+  console.error('Error formatting DSL:', error.message);
+  process.exit(2);
+}
@@ -2,26 +2,44 @@
 
 /**
  * Simple utility to display Structurizr DSL errors from the log file
+ *
+ * Usage: node get-dsl-errors.js [--context [N]]
+ *   --context, -C  show N lines of DSL around each error (default 3) and its enclosing blocks
  */
 
 const fs = require('fs');
 const path = require('path');
+const { getPathMappings, mapDiagnosticPaths } = require('./path-mapping');
+const { addCodeFrames, formatCodeFrame } = require('./code-frame');
+const { readDslErrorLog } = require('./dsl-errors');
 
 // Configuration
-const LOG_FILE = path.join(__dirname, 'logs', 'structurizr-dsl-errors.json');
+const LOG_FILE = path.join(__dirname, 'logs', 'structurizr-dsl-errors.jsonl');
 const OUTPUT_FILE = '/tmp/dsl-error.json';
+const PATH_MAPPINGS = getPathMappings();
+
+// --context [N]: number of code frame lines, null when code frames are off
+const contextIndex = process.argv.findIndex(arg => arg === '--context' || arg === '-C');
+const CONTEXT_LINES = contextIndex === -1
+  ? null
+  : (/^\d+$/.test(process.argv[contextIndex + 1] || '') ? parseInt(process.argv[contextIndex + 1], 10) : 3);
 
 // Read errors from log file
 try {
-  if (!fs.existsSync(LOG_FILE)) {
-    console.error(`Error: Log file not found at ${LOG_FILE}`);
-    process.exit(1);
+  // Errors are deduplicated in the log and ordered by when they were last seen
+  const allErrors = readDslErrorLog(LOG_FILE);
+  const resolvedCount = allErrors.filter(error => error.status === 'resolved').length;
+  let errors = allErrors
+    .filter(error => error.status === 'open')
+    .map(error => mapDiagnosticPaths(error, PATH_MAPPINGS));
+  if (CONTEXT_LINES !== null) {
+    errors = addCodeFrames(errors, { contextLines: CONTEXT_LINES });
   }
-
-  const errors = JSON.parse(fs.readFileSync(LOG_FILE, 'utf-8'));
   
   if (errors.length === 0) {
-    console.log('No DSL errors found in the log file.');
+    console.log(resolvedCount > 0
+      ? `No open DSL errors (${resolvedCount} resolved error(s) in the log).`
+      : 'No DSL errors found in the log file.');
     process.exit(0);
   }
 
@@ -32,34 +50,42 @@ try {
   console.log('\n=== Latest Structurizr DSL Error ===');
   console.log(`Error: ${latestError.message}`);
   console.log(`File: ${latestError.file}`);
-  console.log(`Line: ${latestError.line}, Column: ${latestError.column}`);
+  if (latestError.originalFile && latestError.originalFile !== latestError.file) {
+    console.log(`Original File: ${latestError.originalFile}`);
+  }
+  console.log(latestError.line ? `Line: ${latestError.line}, Column: ${latestError.column}` : 'Line: unknown');
+  console.log(`Code: ${latestError.code}`);
   console.log(`Context: ${latestError.relatedInformation[0].message}`);
+  if (latestError.codeFrame) {
+    console.log(`\n${formatCodeFrame(latestError.codeFrame)}\n`);
+  }
   console.log(`Issue: ${latestError.suggestion.issue}`);
+  if (latestError.suggestion.explanation) {
+    console.log(`Explanation: ${latestError.suggestion.explanation}`);
+  }
   console.log(`Suggested Fix: ${latestError.suggestion.fix}`);
-  console.log(`Timestamp: ${latestError.timestamp}`);
+  console.log(`Seen: ${latestError.occurrences} time(s), first ${latestError.firstSeen}, last ${latestError.lastSeen}`);
   
   // Save to temp file for easy access
   fs.writeFileSync(OUTPUT_FILE, JSON.stringify(latestError, null, 2), 'utf-8');
   console.log(`\nError details saved to ${OUTPUT_FILE} for easy access`);
   console.log('To copy to clipboard: cat /tmp/dsl-error.json | xclip -selection clipboard');
   
-  // Also display all recent unique errors (last 3)
-  console.log('\n=== Recent Unique Errors ===');
-  const uniqueErrors = [];
-  const seenLines = new Set();
-  
-  for (let i = errors.length - 1; i >= 0 && uniqueErrors.length < 3; i--) {
-    const error = errors[i];
-    const errorKey = `${error.file}:${error.line}:${error.message}`;
-    
-    if (!seenLines.has(errorKey)) {
-      seenLines.add(errorKey);
-      uniqueErrors.push(error);
-      console.log(`\n--- Error at ${error.file}:${error.line} ---`);
+  // Also display the other open errors, most recently seen first
+  if (errors.length > 1) {
+    console.log(`\n=== Other Open Errors (${errors.length - 1}) ===`);
+    for (const error of errors.slice(0, -1).reverse()) {
+      console.log(`\n--- Error at ${error.file}:${error.line} (seen ${error.occurrences} time(s)) ---`);
       console.log(`Message: ${error.message}`);
       console.log(`Context: ${error.relatedInformation[0].message}`);
+      if (error.codeFrame) {
+        console.log(formatCodeFrame(error.codeFrame));
+      }
     }
   }
+  if (resolvedCount > 0) {
+    console.log(`\n${resolvedCount} resolved error(s) in the log (see the getErrorHistory tool).`);
+  }
   
 } catch (error) {
   console.error('Error processing log file:', error);
@@ -10,11 +10,19 @@
 const { spawn } = require('child_process');
 const path = require('path');
 const readline = require('readline');
+const { isDslErrorText } = require('./dsl-errors');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 let structurizrPort = 8080;
+let debugPort = parseInt(process.env.DEBUG_PORT, 10) || 9222;
 let autoConnect = false;
+let discover = false;
+let startStructurizr = false;
+// Structurizr Lite runner options, passed to the server as environment variables
+const runnerEnv = {};
+// Streamable HTTP transport options, passed to the server as environment variables
+const httpEnv = {};
 
 // Process arguments
 for (let i = 0; i < args.length; i++) {
@@ -23,6 +31,33 @@ for (let i = 0; i < args.length; i++) {
     i++;
   } else if (args[i] === '--auto-connect') {
     autoConnect = true;
+  } else if (args[i] === '--discover') {
+    discover = true;
+  } else if (args[i] === '--start-structurizr') {
+    startStructurizr = true;
+  } else if (args[i] === '--runner' && i + 1 < args.length) {
+    runnerEnv.STRUCTURIZR_RUNNER = args[i + 1];
+    i++;
+  } else if (args[i] === '--workspace' && i + 1 < args.length) {
+    runnerEnv.STRUCTURIZR_WORKSPACE_DIR = path.resolve(args[i + 1]);
+    i++;
+  } else if (args[i] === '--image' && i + 1 < args.length) {
+    runnerEnv.STRUCTURIZR_IMAGE = args[i + 1];
+    i++;
+  } else if (args[i] === '--jar' && i + 1 < args.length) {
+    runnerEnv.STRUCTURIZR_JAR = path.resolve(args[i + 1]);
+    i++;
+  } else if (args[i] === '--command' && i + 1 < args.length) {
+    runnerEnv.STRUCTURIZR_COMMAND = args[i + 1];
+    i++;
+  } else if (args[i] === '--http') {
+    httpEnv.MCP_TRANSPORT = 'http';
+  } else if (args[i] === '--http-host' && i + 1 < args.length) {
+    httpEnv.MCP_HTTP_HOST = args[i + 1];
+    i++;
+  } else if (args[i] === '--http-port' && i + 1 < args.length) {
+    httpEnv.MCP_HTTP_PORT = args[i + 1];
+    i++;
   } else if (args[i] === '--help') {
     showHelp();
     process.exit(0);
@@ -39,12 +74,28 @@ Usage:
 Options:
   --port PORT         Specify the port where Structurizr is running (default: 8080)
   --auto-connect      Automatically connect to Chrome and find Structurizr
+  --discover          Let the server probe for Chrome and Structurizr (ports from
+                      STRUCTURIZR_DISCOVERY_PORTS, default 8000-8100,9222-9230) and connect
+  --start-structurizr Start Structurizr Lite for the workspace, stopped with the server
+  --runner RUNNER     How to run Structurizr Lite: docker (default), java or command
+  --workspace DIR     Workspace directory (default: current directory)
+  --image IMAGE       Docker image for the docker runner (default: structurizr/lite)
+  --jar FILE          Structurizr Lite .war/.jar for the java runner
+  --command CMD       Command line for the command runner, {workspaceDir} and {port} are replaced
+  --http              Serve MCP over Streamable HTTP (http://127.0.0.1:8766/mcp) so several
+                      clients share this instance; set MCP_AUTH_TOKEN to require a bearer token
+  --http-host HOST    Address to bind with --http (default: 127.0.0.1, others need MCP_AUTH_TOKEN)
+  --http-port PORT    Port for --http (default: 8766)
   --help              Show this help message
 
 Examples:
   node launch-structurizr-debugger.js
   node launch-structurizr-debugger.js --port 9090
   node launch-structurizr-debugger.js --auto-connect
+  node launch-structurizr-debugger.js --discover
+  node launch-structurizr-debugger.js --start-structurizr --workspace ./docs/architecture
+  node launch-structurizr-debugger.js --start-structurizr --runner java --jar structurizr-lite.war
+  MCP_AUTH_TOKEN=secret node launch-structurizr-debugger.js --http --http-port 9000
   `);
 }
 
@@ -52,11 +103,13 @@ Examples:
 console.log(`Starting Structurizr DSL Debugger (Structurizr port: ${structurizrPort})...`);
 
 // Set environment variables
-const env = { ...process.env, STRUCTURIZR_PORT: structurizrPort };
+const env = { ...process.env, ...runnerEnv, ...httpEnv, STRUCTURIZR_PORT: structurizrPort, DEBUG_PORT: debugPort };
 
 // Spawn the server process
 const serverProc = spawn('node', [
-  path.join(__dirname, 'structurizr-dsl-debugger-mcp.js')
+  path.join(__dirname, 'structurizr-dsl-debugger-mcp.js'),
+  ...(discover ? ['--discover'] : []),
+  ...(startStructurizr ? ['--start-structurizr'] : [])
 ], {
   env,
   stdio: ['pipe', 'inherit', 'inherit']
@@ -73,8 +126,20 @@ serverProc.on('spawn', () => {
   console.log('Structurizr DSL Debugger MCP Server running');
   console.log('Use the following MCP tools in Cursor IDE:');
   console.log('- connectToBrowser - Connect to Chrome browser');
-  console.log('- getDslErrors - Get captured DSL errors');
-  console.log('- fixDslError - Get suggestions for fixing errors');
+  console.log('- discoverEnvironment - Find Chrome and Structurizr ports and connect');
+  console.log('- startStructurizr / stopStructurizr / restartStructurizr - Run Structurizr Lite and capture its errors');
+  console.log('- getSessionStatus / disconnectBrowser - Inspect or end the browser session');
+  console.log('- getDslErrors - Get open DSL errors');
+  console.log('- getErrorHistory - Show resolved DSL errors');
+  console.log('- fixDslError - Apply a fix to workspace.dsl (with dry-run preview)');
+  console.log('- undoDslFix - Restore workspace.dsl from the last fix backup');
+  console.log('- formatDsl - Reprint workspace.dsl and its !includes in a canonical style');
+  console.log('- findDefinition / findReferences - Locate where an identifier is declared and used');
+  console.log('- renameIdentifier - Rename an identifier and its references across the workspace');
+  console.log('- lintModel - Check the model for orphan elements, unshown relationships, ...');
+  console.log('- listElements / listRelationships / listViews / getElement - Explore the workspace model');
+  console.log('- exportView / exportAllViews - Render views to PNG or SVG');
+  console.log('- startWatching / stopWatching - Revalidate automatically when DSL files are saved');
   
   // If auto-connect is enabled, try to connect to Chrome
   if (autoConnect) {
@@ -88,7 +153,7 @@ serverProc.on('spawn', () => {
         try {
           // Connect to the browser
           const browser = await puppeteer.connect({
-            browserURL: 'http://localhost:9222',
+            browserURL: `http://localhost:${debugPort}`,
             defaultViewport: null
           });
           
@@ -105,7 +170,7 @@ serverProc.on('spawn', () => {
             
             // Monitor for console errors
             structurizrPage.on('console', message => {
-              if (message.type() === 'error' && message.text().includes('workspace.dsl')) {
+              if (message.type() === 'error' && isDslErrorText(message.text())) {
                 console.log(`Captured DSL error: ${message.text()}`);
               }
             });
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Structurizr architecture model linter
+ *
+ * Lints a workspace.dsl file (and everything it !includes) for model problems
+ * Structurizr accepts, such as orphan elements or relationships no view shows,
+ * with the rules configured in the project lint config (see model-lint.js).
+ * Exits with code 1 when a finding has severity error, so it can be used in CI.
+ *
+ * Usage:
+ *   node lint-model.js [path/to/workspace.dsl] [--json] [--config path/to/.structurizr-lint.json] [--rules]
+ *   --rules  list the rules with their effective severity and options
+ */
+
+const path = require('path');
+const { lintWorkspaceFile } = require('./model-lint');
+
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const listRules = args.includes('--rules');
+const configIndex = args.indexOf('--config');
+const configFile = configIndex !== -1 ? path.resolve(args[configIndex + 1]) : undefined;
+const file = args.find((arg, index) => !arg.startsWith('--') && (configIndex === -1 || index !== configIndex + 1)) ||
+  path.join(process.env.STRUCTURIZR_WORKSPACE_DIR || process.cwd(), 'workspace.dsl');
+
+try {
+  const result = lintWorkspaceFile(file, configFile ? { configFile } : {});
+
+  if (listRules) {
+    console.log(`Lint config: ${result.configFile || 'none (defaults)'}\n`);
+    for (const rule of result.settings) {
+      console.log(`${rule.id}: ${rule.enabled ? rule.severity : 'off'} - ${rule.description}`);
+      if (Object.keys(rule.options).length > 0) {
+        console.log(`  options: ${JSON.stringify(rule.options)}`);
+      }
+    }
+    process.exit(0);
+  }
+
+  if (json) {
+    console.log(JSON.stringify(result.diagnostics, null, 2));
+  } else {
+    if (result.parseErrors.length > 0) {
+      console.log(`Note: ${result.parseErrors.length} DSL error(s) found, run validate-dsl.js first; lint results may be incomplete`);
+    }
+    if (result.diagnostics.length === 0) {
+      console.log(`No model problems found in ${result.file} (${result.files.length} file(s) parsed)`);
+    } else {
+      console.log(`\n=== ${result.diagnostics.length} Model Lint Finding(s) ===\n`);
+      for (const finding of result.diagnostics) {
+        console.log(`${path.relative(process.cwd(), finding.file)}:${finding.line}:${finding.column} ${finding.severity} [${finding.rule}] ${finding.message}`);
+      }
+    }
+  }
+
+  process.exit(result.diagnostics.some(finding => finding.severity === 'Error') ? 1 : 0);
+} catch (error) {
+  console.error('Error linting model:', error.message);
+  process.exit(2);
+}
@@ -0,0 +1,321 @@
+/**
+ * Append-only JSON lines log storage
+ *
+ * Shared by every process that writes the error logs and the watcher events
+ * log (both MCP servers and the capture CLI):
+ *   - records are appended as JSON lines, never rewritten in place
+ *   - writes happen under a cross-process lock file
+ *   - whole-file rewrites (clear, rotation, repair) go through a temp file and rename
+ *   - the log is rotated to numbered archives once it grows past `maxBytes`
+ *     or gets older than `maxAge`
+ *   - lines that can't be parsed (e.g. a write cut short by a crash) are moved
+ *     to a .corrupt file, the rest of the log is kept
+ *
+ * With a `key`, records are versions of one entry: reading keeps the last
+ * version of each key, ordered by when it was last written.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// First line of every log file, records when the file was started
+const HEADER_FIELD = '$logStore';
+
+const DEFAULT_OPTIONS = {
+  key: null,
+  maxBytes: 5 * 1024 * 1024,
+  maxAge: 30 * 24 * 60 * 60 * 1000,
+  maxArchives: 5,
+  lockTimeout: 5000,
+  staleLockAge: 30000,
+  // Upper bound (ms) of one wait between lock attempts; the wait blocks the event loop, so keep it short
+  lockRetryDelay: 5,
+  // Records carried over into the new file on rotation (e.g. errors that are still open)
+  retain: null,
+  // Pre-JSONL log (a JSON array) imported the first time the store is used
+  legacyFile: null,
+  migrate: records => records
+};
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// Replace a file's content in one step, readers never see a partial file
+function writeFileAtomic(file, content) {
+  const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+  fs.writeFileSync(tempFile, content, 'utf-8');
+  fs.renameSync(tempFile, file);
+}
+
+/**
+ * Run `fn` while holding `<file>.lock`. Waits up to `timeout` ms for other
+ * processes, retrying after at most `retryDelay` ms; a lock older than
+ * `staleAge` ms is left over from a crashed process and removed.
+ */
+function withFileLock(file, fn, {
+  timeout = DEFAULT_OPTIONS.lockTimeout,
+  staleAge = DEFAULT_OPTIONS.staleLockAge,
+  retryDelay = DEFAULT_OPTIONS.lockRetryDelay
+} = {}) {
+  const lockFile = `${file}.lock`;
+  const deadline = Date.now() + timeout;
+  let fd;
+
+  while (fd === undefined) {
+    try {
+      fd = fs.openSync(lockFile, 'wx');
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      try {
+        if (Date.now() - fs.statSync(lockFile).mtimeMs > staleAge) {
+          console.error(`Removing stale lock ${lockFile}`);
+          fs.unlinkSync(lockFile);
+          continue;
+        }
+      } catch (statError) {
+        // Lock released between open and stat, try again
+        if (statError.code !== 'ENOENT') {
+          throw statError;
+        }
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for lock ${lockFile}`);
+      }
+      sleepSync(1 + Math.floor(Math.random() * retryDelay));
+    }
+  }
+
+  try {
+    fs.writeSync(fd, String(process.pid));
+    return fn();
+  } finally {
+    fs.closeSync(fd);
+    try {
+      fs.unlinkSync(lockFile);
+    } catch (error) {
+      console.error(`Error removing lock ${lockFile}:`, error.message);
+    }
+  }
+}
+
+// Split log content into its header, records and the lines that aren't valid JSON
+function parseLogContent(content) {
+  const result = { header: null, records: [], lines: [], corrupt: [] };
+  content.split('\n').forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      const record = JSON.parse(line);
+      if (record && record[HEADER_FIELD]) {
+        result.header = record[HEADER_FIELD];
+        return;
+      }
+      result.records.push(record);
+      result.lines.push(line);
+    } catch (error) {
+      result.corrupt.push({ line: index + 1, text: line });
+    }
+  });
+  return result;
+}
+
+function createHeader() {
+  return `${JSON.stringify({ [HEADER_FIELD]: { version: 1, created: new Date().toISOString() } })}\n`;
+}
+
+function toLines(records) {
+  return records.map(record => `${JSON.stringify(record)}\n`).join('');
+}
+
+/**
+ * Open the log store at `file`. Returns { file, read, append, update, clear }.
+ * See DEFAULT_OPTIONS for the options.
+ */
+function createLogStore(file, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const lockOptions = { timeout: settings.lockTimeout, staleAge: settings.staleLockAge, retryDelay: settings.lockRetryDelay };
+
+  // Keep the last version of each keyed record, in order of last write
+  const fold = records => {
+    if (!settings.key) {
+      return records;
+    }
+    const entries = new Map();
+    records.forEach((record, index) => {
+      const key = record[settings.key] !== undefined ? `k:${record[settings.key]}` : `i:${index}`;
+      entries.delete(key);
+      entries.set(key, record);
+    });
+    return [...entries.values()];
+  };
+
+  const locked = fn => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    return withFileLock(file, fn, lockOptions);
+  };
+
+  const readContent = () => (fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : '');
+
+  // Called with the lock held: create the file, importing the legacy log if there is one
+  const initialize = () => {
+    if (fs.existsSync(file)) {
+      return;
+    }
+    let records = [];
+    if (settings.legacyFile && fs.existsSync(settings.legacyFile)) {
+      try {
+        records = settings.migrate(JSON.parse(fs.readFileSync(settings.legacyFile, 'utf-8')));
+        fs.renameSync(settings.legacyFile, `${settings.legacyFile}.migrated`);
+        console.error(`Migrated ${records.length} record(s) from ${settings.legacyFile} to ${file}`);
+      } catch (error) {
+        const corruptFile = `${settings.legacyFile}.corrupt-${Date.now()}`;
+        fs.renameSync(settings.legacyFile, corruptFile);
+        console.error(`Could not import ${settings.legacyFile} (${error.message}), it was kept as ${corruptFile}`);
+        records = [];
+      }
+    }
+    writeFileAtomic(file, createHeader() + toLines(records));
+  };
+
+  // Called with the lock held: move unparsable lines to <file>.corrupt and keep the rest
+  const repair = parsed => {
+    const report = parsed.corrupt.map(({ line, text }) => `${JSON.stringify({ file, line, quarantinedAt: new Date().toISOString(), text })}\n`).join('');
+    fs.appendFileSync(`${file}.corrupt`, report, 'utf-8');
+    const header = parsed.header ? `${JSON.stringify({ [HEADER_FIELD]: parsed.header })}\n` : createHeader();
+    writeFileAtomic(file, header + parsed.lines.map(line => `${line}\n`).join(''));
+    console.error(`Moved ${parsed.corrupt.length} corrupted line(s) of ${file} to ${file}.corrupt`);
+  };
+
+  // Called with the lock held: parse the log, repairing it if needed
+  const load = () => {
+    initialize();
+    const parsed = parseLogContent(readContent());
+    if (parsed.corrupt.length > 0) {
+      repair(parsed);
+    }
+    return parsed;
+  };
+
+  // Read `length` bytes at `position` without loading the whole file
+  const readBytes = (position, length) => {
+    const fd = fs.openSync(file, 'r');
+    try {
+      const buffer = Buffer.alloc(length);
+      return buffer.toString('utf-8', 0, fs.readSync(fd, buffer, 0, length, position));
+    } finally {
+      fs.closeSync(fd);
+    }
+  };
+
+  // Header of the log from its first line only, null when there is none
+  const readHeader = () => {
+    try {
+      const record = JSON.parse(readBytes(0, 512).split('\n')[0]);
+      return (record && record[HEADER_FIELD]) || null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const isRotationDue = (header, size) => {
+    const created = header ? Date.parse(header.created) : Date.now();
+    return size > settings.maxBytes || Date.now() - created > settings.maxAge;
+  };
+
+  // Called with the lock held: archive the log once it is too big or too old
+  const rotateIfNeeded = parsed => {
+    const size = fs.statSync(file).size;
+    if (!isRotationDue(parsed.header, size)) {
+      return parsed;
+    }
+
+    const retained = settings.retain ? fold(parsed.records).filter(settings.retain) : [];
+    if (settings.maxArchives > 0) {
+      for (let index = settings.maxArchives; index >= 1; index--) {
+        const archive = `${file}.${index}`;
+        if (!fs.existsSync(archive)) {
+          continue;
+        }
+        if (index === settings.maxArchives) {
+          fs.unlinkSync(archive);
+        } else {
+          fs.renameSync(archive, `${file}.${index + 1}`);
+        }
+      }
+      fs.renameSync(file, `${file}.1`);
+    }
+    writeFileAtomic(file, createHeader() + toLines(retained));
+    console.error(`Rotated ${file} (${size} bytes), ${retained.length} record(s) carried over`);
+    return parseLogContent(readContent());
+  };
+
+  return {
+    file,
+
+    // Current records, the last version of each entry for keyed stores
+    read() {
+      if (!fs.existsSync(file) && !(settings.legacyFile && fs.existsSync(settings.legacyFile))) {
+        return [];
+      }
+      let parsed = fs.existsSync(file) ? parseLogContent(readContent()) : null;
+      // A partial line may be a write in progress, only repair while holding the lock
+      if (!parsed || parsed.corrupt.length > 0) {
+        parsed = locked(load);
+      }
+      return fold(parsed.records);
+    },
+
+    // Only parses the whole log when it is due for rotation
+    append(records) {
+      if (records.length === 0) {
+        return;
+      }
+      locked(() => {
+        initialize();
+        const size = fs.statSync(file).size;
+        let separator = '';
+        if (isRotationDue(readHeader(), size)) {
+          rotateIfNeeded(load());
+        } else if (size > 0 && readBytes(size - 1, 1) !== '\n') {
+          // A write cut short left a partial line, don't run the new record into it
+          separator = '\n';
+        }
+        fs.appendFileSync(file, separator + toLines(records), 'utf-8');
+      });
+    },
+
+    /**
+     * Read-modify-append under the lock: `fn(records)` gets the current
+     * records and returns the new or changed ones, which are appended.
+     */
+    update(fn) {
+      return locked(() => {
+        const parsed = rotateIfNeeded(load());
+        const changed = fn(fold(parsed.records)) || [];
+        if (changed.length > 0) {
+          fs.appendFileSync(file, toLines(changed), 'utf-8');
+        }
+        return changed;
+      });
+    },
+
+    clear() {
+      locked(() => {
+        // Import the legacy log first so it doesn't linger next to the cleared one
+        initialize();
+        writeFileAtomic(file, createHeader());
+      });
+    }
+  };
+}
+
+module.exports = {
+  createLogStore,
+  withFileLock,
+  writeFileAtomic
+};
@@ -0,0 +1,119 @@
+/**
+ * Language Server Protocol connection
+ *
+ * Minimal JSON-RPC 2.0 over stdio with the LSP base protocol framing
+ * ("Content-Length: N\r\n\r\n" followed by N bytes of JSON). Enough for a
+ * language server: requests with results or errors, notifications both ways.
+ */
+
+const ERROR_CODES = {
+  ParseError: -32700,
+  InvalidRequest: -32600,
+  MethodNotFound: -32601,
+  InternalError: -32603,
+  ServerNotInitialized: -32002
+};
+
+const HEADER_SEPARATOR = Buffer.from('\r\n\r\n');
+
+/**
+ * Create a connection reading from `input` and writing to `output`.
+ * Returns { onRequest, onNotification, sendNotification, listen }.
+ */
+function createLspConnection(input = process.stdin, output = process.stdout) {
+  const requestHandlers = new Map();
+  const notificationHandlers = new Map();
+  let buffer = Buffer.alloc(0);
+
+  const send = message => {
+    const json = JSON.stringify({ jsonrpc: '2.0', ...message });
+    output.write(`Content-Length: ${Buffer.byteLength(json, 'utf-8')}\r\n\r\n${json}`);
+  };
+
+  const handleMessage = async message => {
+    const isRequest = message.id !== undefined && message.id !== null;
+    if (!isRequest) {
+      const handler = notificationHandlers.get(message.method);
+      if (handler) {
+        try {
+          await handler(message.params || {});
+        } catch (error) {
+          console.error(`Error handling ${message.method}:`, error);
+        }
+      }
+      return;
+    }
+
+    const handler = requestHandlers.get(message.method);
+    if (!handler) {
+      send({ id: message.id, error: { code: ERROR_CODES.MethodNotFound, message: `Unhandled method ${message.method}` } });
+      return;
+    }
+    try {
+      const result = await handler(message.params || {});
+      send({ id: message.id, result: result === undefined ? null : result });
+    } catch (error) {
+      console.error(`Error handling ${message.method}:`, error);
+      send({ id: message.id, error: { code: error.code || ERROR_CODES.InternalError, message: error.message } });
+    }
+  };
+
+  // Split the buffered input into messages, keeping an incomplete one for the next chunk
+  const processBuffer = () => {
+    while (true) {
+      const headerEnd = buffer.indexOf(HEADER_SEPARATOR);
+      if (headerEnd === -1) {
+        return;
+      }
+      const header = buffer.slice(0, headerEnd).toString('ascii');
+      const match = header.match(/Content-Length:\s*(\d+)/i);
+      if (!match) {
+        // Not a valid header, drop it and resynchronise on the next one
+        buffer = buffer.slice(headerEnd + HEADER_SEPARATOR.length);
+        continue;
+      }
+      const start = headerEnd + HEADER_SEPARATOR.length;
+      const end = start + parseInt(match[1], 10);
+      if (buffer.length < end) {
+        return;
+      }
+      const body = buffer.slice(start, end).toString('utf-8');
+      buffer = buffer.slice(end);
+
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (error) {
+        send({ id: null, error: { code: ERROR_CODES.ParseError, message: `Invalid JSON: ${error.message}` } });
+        continue;
+      }
+      handleMessage(message);
+    }
+  };
+
+  return {
+    onRequest(method, handler) {
+      requestHandlers.set(method, handler);
+    },
+
+    onNotification(method, handler) {
+      notificationHandlers.set(method, handler);
+    },
+
+    sendNotification(method, params) {
+      send({ method, params });
+    },
+
+    listen() {
+      input.on('data', chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+        processBuffer();
+      });
+    }
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  createLspConnection
+};
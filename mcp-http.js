@@ -0,0 +1,279 @@
+/**
+ * MCP over Streamable HTTP
+ *
+ * Serves MCP servers over the SDK's Streamable HTTP transport on an Express
+ * app, so one long-lived process can be shared by several clients instead of
+ * each client spawning its own over stdio. Every client session gets its own
+ * McpServer from a factory; the state behind the tools stays shared.
+ *
+ * Binding is 127.0.0.1 by default. With a token (MCP_AUTH_TOKEN) every request
+ * needs "Authorization: Bearer <token>"; binding to anything but a loopback
+ * address requires one. On a loopback address requests must also name it in
+ * their Host header, and browsers may only call from loopback origins, so web
+ * pages can't reach the tools through the user's browser.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_ENDPOINT = '/mcp';
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', 'localhost', '::1']);
+
+// Sessions without requests for this long are closed, e.g. when a client went away without DELETE
+const DEFAULT_SESSION_IDLE_TIMEOUT = 30 * 60 * 1000;
+
+// Host name without brackets (IPv6) or port, e.g. "[::1]:8765" -> "::1"
+function getHostname(value) {
+  const bracketed = /^\[([^\]]+)\]/.exec(value);
+  if (bracketed) {
+    return bracketed[1].toLowerCase();
+  }
+  return value.split(':').length > 2 ? value.toLowerCase() : value.split(':')[0].toLowerCase();
+}
+
+function isLoopbackHost(host) {
+  const hostname = getHostname(host);
+  return LOOPBACK_HOSTS.has(hostname) || /^127\.\d+\.\d+\.\d+$/.test(hostname);
+}
+
+// Value after `flag` on the command line
+function getArgument(argv, flag) {
+  const index = argv.indexOf(flag);
+  return index !== -1 && index + 1 < argv.length ? argv[index + 1] : undefined;
+}
+
+/**
+ * HTTP transport settings from the command line and environment:
+ * { enabled, host, port, token, endpoint }.
+ *   --http or MCP_TRANSPORT=http       serve over HTTP instead of stdio
+ *   --http-host or MCP_HTTP_HOST       address to bind (default 127.0.0.1)
+ *   --http-port or MCP_HTTP_PORT       port (default `defaultPort`)
+ *   MCP_AUTH_TOKEN                     bearer token, only read from the environment
+ *                                      so it doesn't show up in process listings
+ * Throws for an invalid port, or a non-loopback host without a token.
+ */
+function getHttpOptions({ argv = process.argv, env = process.env, defaultPort, enabled = false } = {}) {
+  const host = getArgument(argv, '--http-host') || env.MCP_HTTP_HOST || DEFAULT_HOST;
+  const portText = String(getArgument(argv, '--http-port') || env.MCP_HTTP_PORT || defaultPort);
+  const port = Number(portText);
+  if (!/^\d+$/.test(portText) || port > 65535) {
+    throw new Error(`Invalid HTTP port "${portText}"`);
+  }
+
+  const options = {
+    enabled: enabled || argv.includes('--http') || (env.MCP_TRANSPORT || '').toLowerCase() === 'http',
+    host,
+    port,
+    token: env.MCP_AUTH_TOKEN || null,
+    endpoint: DEFAULT_ENDPOINT
+  };
+  if (options.enabled && !options.token && !isLoopbackHost(host)) {
+    throw new Error(`Refusing to serve MCP on ${host} without authentication, set MCP_AUTH_TOKEN or bind to 127.0.0.1`);
+  }
+  return options;
+}
+
+function sendJsonRpcError(res, status, message) {
+  res.status(status).json({ jsonrpc: '2.0', error: { code: -32000, message }, id: null });
+}
+
+// Compare tokens in constant time; hashing first makes the lengths equal
+function isValidToken(given, token) {
+  const hash = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(given), hash(token));
+}
+
+/**
+ * Express middleware guarding an endpoint served on `host`: on a loopback
+ * address the Host header must be a loopback name (against DNS rebinding)
+ * and browsers may only call from loopback origins; with a `token` requests
+ * need "Authorization: Bearer <token>". Rejections are answered with
+ * `sendError(res, status, message)`, a JSON-RPC error by default.
+ */
+function createRequestGuard({ host = DEFAULT_HOST, token = null, sendError = sendJsonRpcError }) {
+  const loopback = isLoopbackHost(host);
+  return (req, res, next) => {
+    if (loopback && !isLoopbackHost(req.headers.host || '')) {
+      sendError(res, 403, `Invalid Host header: ${req.headers.host}`);
+      return;
+    }
+    const origin = req.headers.origin;
+    if (origin && loopback) {
+      let originHost = null;
+      try {
+        originHost = new URL(origin).hostname;
+      } catch (error) {
+        // Rejected below
+      }
+      if (!originHost || !isLoopbackHost(originHost)) {
+        sendError(res, 403, `Invalid Origin header: ${origin}`);
+        return;
+      }
+    }
+    if (token) {
+      const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+      if (!match || !isValidToken(match[1], token)) {
+        res.set('WWW-Authenticate', 'Bearer realm="mcp"');
+        sendError(res, 401, 'Unauthorized: missing or invalid bearer token');
+        return;
+      }
+    }
+    next();
+  };
+}
+
+/**
+ * Serve MCP on `app` at `endpoint`: POST for client messages (a request
+ * without session starts one with initialize), GET for the server-to-client
+ * stream and DELETE to end a session. `createServer()` returns a new,
+ * unconnected McpServer per session. The app must parse JSON bodies.
+ * A session with no open request (such as the GET stream) for `idleTimeout`
+ * ms is closed. Returns { sessions, close() }, sessions being a Map of
+ * session ID to { transport, server, createdAt, lastActivity, openRequests }.
+ */
+function mountMcpEndpoint(app, { createServer, host = DEFAULT_HOST, token = null, endpoint = DEFAULT_ENDPOINT, idleTimeout = DEFAULT_SESSION_IDLE_TIMEOUT }) {
+  const sessions = new Map();
+
+  const checkRequest = createRequestGuard({ host, token });
+
+  const getSession = (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    if (!sessionId) {
+      sendJsonRpcError(res, 400, 'Bad Request: Mcp-Session-Id header is required');
+      return null;
+    }
+    const session = sessions.get(sessionId);
+    if (!session) {
+      // 404 tells the client to start a new session
+      sendJsonRpcError(res, 404, `Session not found: ${sessionId}`);
+      return null;
+    }
+    return session;
+  };
+
+  // Count the request as activity until its response is done
+  const trackRequest = (session, res) => {
+    session.openRequests++;
+    session.lastActivity = Date.now();
+    res.once('close', () => {
+      session.openRequests--;
+      session.lastActivity = Date.now();
+    });
+  };
+
+  const closeIdleSessions = () => {
+    const cutoff = Date.now() - idleTimeout;
+    for (const [sessionId, session] of sessions) {
+      if (session.openRequests === 0 && session.lastActivity < cutoff) {
+        console.error(`MCP session ${sessionId} idle, closing`);
+        session.transport.close().catch(error => {
+          console.error('Error closing MCP session:', error);
+        });
+        sessions.delete(sessionId);
+      }
+    }
+  };
+  const idleTimer = setInterval(closeIdleSessions, Math.min(idleTimeout, 60 * 1000));
+  idleTimer.unref();
+
+  const startSession = async (req, res) => {
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: sessionId => {
+        const session = { transport, server, createdAt: new Date().toISOString(), lastActivity: Date.now(), openRequests: 0 };
+        sessions.set(sessionId, session);
+        trackRequest(session, res);
+        console.error(`MCP session ${sessionId} started (${sessions.size} active)`);
+      }
+    });
+    transport.onclose = () => {
+      if (transport.sessionId && sessions.delete(transport.sessionId)) {
+        console.error(`MCP session ${transport.sessionId} closed (${sessions.size} active)`);
+      }
+    };
+    await server.connect(transport);
+    await transport.handleRequest(req, res, req.body);
+  };
+
+  const handle = handler => async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      console.error('Error handling MCP request:', error);
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, 'Internal server error');
+      }
+    }
+  };
+
+  app.post(endpoint, checkRequest, handle(async (req, res) => {
+    if (!req.headers['mcp-session-id']) {
+      if (!isInitializeRequest(req.body)) {
+        sendJsonRpcError(res, 400, 'Bad Request: no session, send an initialize request first');
+        return;
+      }
+      await startSession(req, res);
+      return;
+    }
+    const session = getSession(req, res);
+    if (session) {
+      trackRequest(session, res);
+      await session.transport.handleRequest(req, res, req.body);
+    }
+  }));
+
+  const handleSessionRequest = handle(async (req, res) => {
+    const session = getSession(req, res);
+    if (session) {
+      trackRequest(session, res);
+      await session.transport.handleRequest(req, res);
+    }
+  });
+  app.get(endpoint, checkRequest, handleSessionRequest);
+  app.delete(endpoint, checkRequest, handleSessionRequest);
+
+  return {
+    sessions,
+
+    // End every session, e.g. on shutdown
+    async close() {
+      clearInterval(idleTimer);
+      await Promise.all([...sessions.values()].map(({ transport }) => transport.close().catch(error => {
+        console.error('Error closing MCP session:', error);
+      })));
+    }
+  };
+}
+
+// Listen on host:port, resolving with the http.Server once bound
+function startHttpServer(app, { host = DEFAULT_HOST, port }) {
+  return new Promise((resolve, reject) => {
+    const httpServer = http.createServer(app);
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve(httpServer);
+    });
+  });
+}
+
+// URL clients connect to, for log messages
+function formatEndpointUrl({ host, port, endpoint = DEFAULT_ENDPOINT }) {
+  const hostname = getHostname(host);
+  return `http://${hostname.includes(':') ? `[${hostname}]` : hostname}:${port}${endpoint}`;
+}
+
+module.exports = {
+  DEFAULT_ENDPOINT,
+  DEFAULT_HOST,
+  createRequestGuard,
+  formatEndpointUrl,
+  getHttpOptions,
+  isLoopbackHost,
+  mountMcpEndpoint,
+  startHttpServer
+};
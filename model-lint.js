@@ -0,0 +1,382 @@
+/**
+ * Structurizr architecture model linter
+ *
+ * Checks the model built by the offline parser (dsl-parser.js) for problems
+ * Structurizr accepts but that make the architecture harder to read: orphan
+ * elements, relationships no view shows, missing descriptions and
+ * technologies, styles for tags nobody uses. Findings are diagnostics in the
+ * same shape as DSL errors, with the rule ID as `rule` and `lint-<rule>` as code.
+ *
+ * Rules are configured per project in a lint config file:
+ *   - STRUCTURIZR_LINT_CONFIG=/path/to/config.(js|json), or
+ *   - .structurizr-lint.js / .structurizr-lint.json in the workspace directory
+ *
+ * Config format:
+ *   {
+ *     rules: {
+ *       'orphan-element': 'off',                   // disable a rule
+ *       'missing-description': 'warning',          // change its severity (error, warning, info)
+ *       'missing-technology': { severity: 'error', types: ['Container', 'Component'] }
+ *     }
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createDiagnostic } = require('./dsl-errors');
+const { parseDslFile } = require('./dsl-parser');
+
+const CONFIG_FILE_NAMES = ['.structurizr-lint.js', '.structurizr-lint.json'];
+
+const SEVERITIES = {
+  error: 'Error',
+  warning: 'Warning',
+  info: 'Information'
+};
+
+// Element types that take part in the static structure (not groups or deployment)
+const MODEL_ELEMENT_TYPES = ['Person', 'SoftwareSystem', 'Container', 'Component', 'Element'];
+const TOP_LEVEL_TYPES = ['Person', 'SoftwareSystem', 'Element'];
+const DEPLOYMENT_TYPES = ['DeploymentNode', 'InfrastructureNode', 'SoftwareSystemInstance', 'ContainerInstance'];
+
+// Style tags Structurizr applies to boundaries and groups rather than to elements
+const NON_ELEMENT_STYLE_TAGS = /^(Boundary|Group)(:|$)/i;
+
+// include expressions evaluated by the linter, others are treated like "*"
+const TYPE_EXPRESSION = /^element\.type==(.+)$/i;
+const TAG_EXPRESSION = /^element\.tags?==(.+)$/i;
+const PARENT_EXPRESSION = /^element\.parent==(.+)$/i;
+const PLAIN_IDENTIFIER = /^[a-zA-Z0-9_.-]+$/;
+
+function describeElement(element) {
+  return `${element.type} "${element.name}"${element.fqIdentifier ? ` (${element.fqIdentifier})` : ''}`;
+}
+
+/**
+ * Lookups over a parsed workspace: elements by identifier, parents,
+ * relationship ends as element objects and the elements each view shows.
+ */
+function createModelIndex(parsed) {
+  const byIdentifier = new Map();
+  parsed.elements.forEach(element => {
+    if (element.fqIdentifier) {
+      byIdentifier.set(element.fqIdentifier.toLowerCase(), element);
+    }
+  });
+  const lookup = identifier => (identifier ? byIdentifier.get(String(identifier).toLowerCase()) || null : null);
+  const parentOf = element => lookup(element.parent);
+
+  // Walk up from `element` to the first ancestor (or itself) of one of `types`
+  const liftTo = (element, types) => {
+    let candidate = element;
+    while (candidate && !types.includes(candidate.type)) {
+      candidate = parentOf(candidate);
+    }
+    return candidate;
+  };
+
+  const relationshipEnds = relationship => ({
+    source: relationship.sourceElement || lookup(relationship.source),
+    destination: lookup(relationship.destination)
+  });
+
+  const relationships = parsed.relationships
+    .map(relationship => ({ relationship, ...relationshipEnds(relationship) }))
+    .filter(({ source, destination }) => source && destination);
+
+  // Elements at the other end of relationships of the elements in `from`, lifted to `types`
+  const connectedTo = (from, types) => {
+    const connected = new Set();
+    for (const { source, destination } of relationships) {
+      for (const [near, far] of [[source, destination], [destination, source]]) {
+        if (from.has(liftTo(near, [...from].map(element => element.type)))) {
+          const lifted = liftTo(far, types);
+          if (lifted && !from.has(lifted)) {
+            connected.add(lifted);
+          }
+        }
+      }
+    }
+    return connected;
+  };
+
+  // What "include *" adds to a view
+  const defaultElements = view => {
+    const scope = lookup(view.scope);
+    const childrenOf = (parent, type) => parsed.elements.filter(element => element.type === type && parentOf(element) === parent);
+    switch (view.type) {
+      case 'SystemLandscape':
+        return parsed.elements.filter(element => TOP_LEVEL_TYPES.includes(element.type) && !element.parent);
+      case 'SystemContext':
+        return scope ? [scope, ...connectedTo(new Set([scope]), TOP_LEVEL_TYPES)] : [];
+      case 'Container': {
+        const containers = new Set(scope ? childrenOf(scope, 'Container') : []);
+        return [...containers, ...connectedTo(containers, TOP_LEVEL_TYPES)];
+      }
+      case 'Component': {
+        const components = new Set(scope ? childrenOf(scope, 'Component') : []);
+        return [...components, ...connectedTo(components, ['Container', ...TOP_LEVEL_TYPES])];
+      }
+      case 'Deployment': {
+        const deployed = parsed.elements.filter(element => DEPLOYMENT_TYPES.includes(element.type));
+        const targets = deployed.map(element => lookup(element.target)).filter(Boolean);
+        return [...deployed, ...targets];
+      }
+      case 'Custom':
+        return parsed.elements.filter(element => element.type === 'Element');
+      default:
+        return [];
+    }
+  };
+
+  const includedElements = (view, expression) => {
+    const value = expression.trim();
+    let match;
+    if (value === '*') {
+      return defaultElements(view);
+    }
+    if ((match = value.match(TYPE_EXPRESSION))) {
+      const types = match[1].split(',').map(type => type.trim().toLowerCase());
+      return parsed.elements.filter(element => types.includes(element.type.toLowerCase()));
+    }
+    if ((match = value.match(TAG_EXPRESSION))) {
+      const tags = match[1].split(',').map(tag => tag.trim().toLowerCase());
+      return parsed.elements.filter(element => element.tags.some(tag => tags.includes(tag.toLowerCase())));
+    }
+    if ((match = value.match(PARENT_EXPRESSION))) {
+      const parent = lookup(match[1].trim());
+      return parsed.elements.filter(element => parent && parentOf(element) === parent);
+    }
+    if (PLAIN_IDENTIFIER.test(value)) {
+      const element = lookup(value);
+      return element ? [element] : [];
+    }
+    // Relationship and other expressions aren't evaluated, assume they may show what "*" shows
+    return defaultElements(view);
+  };
+
+  const viewElements = new Map(parsed.views
+    .filter(view => view.type !== 'Dynamic' && view.type !== 'Filtered')
+    .map(view => [view, new Set(view.includes.flatMap(expression => includedElements(view, expression)))]));
+
+  return { lookup, parentOf, liftTo, relationships, relationshipEnds, viewElements };
+}
+
+// Built-in rules, each `check(parsed, index, options)` returns findings { message, file, line, column }
+const LINT_RULES = [
+  {
+    id: 'orphan-element',
+    description: 'Elements that are not the source or destination of any relationship (relationships of child elements count)',
+    severity: 'warning',
+    options: { types: MODEL_ELEMENT_TYPES },
+    check(parsed, index, { types }) {
+      const connected = new Set();
+      for (const { source, destination } of index.relationships) {
+        for (let element = source; element; element = index.parentOf(element)) {
+          connected.add(element);
+        }
+        for (let element = destination; element; element = index.parentOf(element)) {
+          connected.add(element);
+        }
+      }
+      return parsed.elements
+        .filter(element => types.includes(element.type) && !connected.has(element))
+        .map(element => ({ message: `${describeElement(element)} has no relationships`, ...element }));
+    }
+  },
+  {
+    id: 'relationship-not-in-view',
+    description: 'Relationships that no view shows with both of their ends (skipped when the workspace defines no views)',
+    severity: 'warning',
+    options: {},
+    check(parsed, index) {
+      if (parsed.views.length === 0) {
+        return [];
+      }
+      const dynamicSteps = parsed.views.flatMap(view => view.steps.map(step => index.relationshipEnds(step)));
+      return index.relationships
+        .filter(({ source, destination }) => {
+          const inView = [...index.viewElements.values()].some(elements => elements.has(source) && elements.has(destination));
+          const inDynamicView = dynamicSteps.some(step => step.source === source && step.destination === destination);
+          return !inView && !inDynamicView;
+        })
+        .map(({ relationship, source, destination }) => ({
+          message: `Relationship ${source.fqIdentifier || source.name} -> ${destination.fqIdentifier || destination.name} is not shown in any view`,
+          ...relationship
+        }));
+    }
+  },
+  {
+    id: 'missing-technology',
+    description: 'Elements without a technology',
+    severity: 'warning',
+    options: { types: ['Container'] },
+    check(parsed, index, { types }) {
+      return parsed.elements
+        .filter(element => types.includes(element.type) && !element.technology)
+        .map(element => ({ message: `${describeElement(element)} has no technology`, ...element }));
+    }
+  },
+  {
+    id: 'missing-description',
+    description: 'Elements without a description',
+    severity: 'info',
+    options: { types: MODEL_ELEMENT_TYPES },
+    check(parsed, index, { types }) {
+      return parsed.elements
+        .filter(element => types.includes(element.type) && !element.description)
+        .map(element => ({ message: `${describeElement(element)} has no description`, ...element }));
+    }
+  },
+  {
+    id: 'unused-style',
+    description: 'Element and relationship styles for tags that no element or relationship has',
+    severity: 'info',
+    options: {},
+    check(parsed) {
+      const elementTags = new Set(parsed.elements.flatMap(element => element.tags.map(tag => tag.toLowerCase())));
+      const relationshipTags = new Set([...parsed.relationships, ...parsed.views.flatMap(view => view.steps)]
+        .flatMap(relationship => relationship.tags.map(tag => tag.toLowerCase())));
+      return parsed.styles
+        .filter(style => style.kind === 'element'
+          ? !NON_ELEMENT_STYLE_TAGS.test(style.tag) && !elementTags.has(style.tag.toLowerCase())
+          : !relationshipTags.has(style.tag.toLowerCase()))
+        .map(style => ({ message: `The ${style.kind} style for tag "${style.tag}" matches no ${style.kind}`, ...style }));
+    }
+  }
+];
+
+// Locate the project lint config file
+function findLintConfigFile(workspaceDir, env = process.env) {
+  if (env.STRUCTURIZR_LINT_CONFIG) {
+    return path.resolve(workspaceDir || process.cwd(), env.STRUCTURIZR_LINT_CONFIG);
+  }
+  for (const name of CONFIG_FILE_NAMES) {
+    const candidate = path.join(workspaceDir || process.cwd(), name);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// Load the lint config, returns {} without a config file
+function loadLintConfig(file) {
+  if (!file) {
+    return {};
+  }
+  if (!fs.existsSync(file)) {
+    throw new Error(`Lint config ${file} not found`);
+  }
+  if (file.endsWith('.json')) {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  }
+  delete require.cache[require.resolve(file)];
+  return require(file);
+}
+
+/**
+ * Effective settings of every rule: { id, description, enabled, severity, options },
+ * severity being the diagnostic severity (Error, Warning, Information).
+ */
+function getRuleSettings(config = {}) {
+  const overrides = config.rules || {};
+  const unknown = Object.keys(overrides).filter(id => !LINT_RULES.some(rule => rule.id === id));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown lint rule(s) in config: ${unknown.join(', ')}`);
+  }
+
+  return LINT_RULES.map(rule => {
+    let override = overrides[rule.id];
+    if (typeof override === 'string') {
+      override = override === 'off' ? { enabled: false } : { severity: override };
+    }
+    const { enabled = true, severity = rule.severity, ...options } = override || {};
+    if (!SEVERITIES[severity]) {
+      throw new Error(`Invalid severity "${severity}" for lint rule ${rule.id}, expected off, ${Object.keys(SEVERITIES).join(', ')}`);
+    }
+    return {
+      id: rule.id,
+      description: rule.description,
+      enabled,
+      severity: SEVERITIES[severity],
+      options: { ...rule.options, ...options }
+    };
+  });
+}
+
+// Text of a source line, for the diagnostic context
+function createLineReader() {
+  const files = new Map();
+  return (file, line) => {
+    if (!files.has(file)) {
+      try {
+        files.set(file, fs.readFileSync(file, 'utf-8').split(/\r?\n/));
+      } catch (error) {
+        files.set(file, []);
+      }
+    }
+    return (files.get(file)[line - 1] || '').trim();
+  };
+}
+
+/**
+ * Lint a parsed workspace (the result of parseDsl/parseDslFile) with the rule
+ * settings from getRuleSettings. Returns the diagnostics, ordered by file and line.
+ */
+function lintModel(parsed, settings = getRuleSettings()) {
+  const index = createModelIndex(parsed);
+  const readLine = createLineReader();
+  const diagnostics = [];
+
+  for (const rule of LINT_RULES) {
+    const setting = settings.find(candidate => candidate.id === rule.id);
+    if (!setting || !setting.enabled) {
+      continue;
+    }
+    for (const finding of rule.check(parsed, index, setting.options)) {
+      diagnostics.push({
+        ...createDiagnostic({
+          message: finding.message,
+          file: finding.file,
+          line: finding.line,
+          column: finding.column,
+          code: `lint-${rule.id}`,
+          context: readLine(finding.file, finding.line),
+          severity: setting.severity
+        }),
+        source: 'Structurizr Lint',
+        rule: rule.id
+      });
+    }
+  }
+
+  return diagnostics.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Parse a DSL file and lint it with the project config found in `workspaceDir`.
+ * Returns { file, files, configFile, settings, parseErrors, diagnostics }.
+ */
+function lintWorkspaceFile(file, { workspaceDir = path.dirname(path.resolve(file)), configFile = findLintConfigFile(workspaceDir) } = {}) {
+  const settings = getRuleSettings(loadLintConfig(configFile));
+  const parsed = parseDslFile(file);
+  return {
+    file: parsed.file,
+    files: parsed.files,
+    configFile,
+    settings,
+    parseErrors: parsed.diagnostics,
+    diagnostics: lintModel(parsed, settings)
+  };
+}
+
+module.exports = {
+  LINT_RULES,
+  SEVERITIES,
+  findLintConfigFile,
+  getRuleSettings,
+  lintModel,
+  lintWorkspaceFile,
+  loadLintConfig
+};
@@ -0,0 +1,110 @@
+/**
+ * Structurizr path mapping
+ *
+ * Structurizr Lite usually runs in Docker and reports files as seen from
+ * inside the container, e.g. /usr/local/structurizr/workspace.dsl. These
+ * helpers translate such paths back to the host workspace directory.
+ *
+ * Configuration (environment variables):
+ *   STRUCTURIZR_PATH_MAP        - explicit mappings "containerPath=hostPath", separated by ";"
+ *   STRUCTURIZR_CONTAINER_ROOT  - container workspace root (default: /usr/local/structurizr)
+ *   STRUCTURIZR_WORKSPACE_DIR   - host workspace directory (default: current working directory)
+ */
+
+const path = require('path');
+
+// Matches the README's: docker run ... -v "$PWD":/usr/local/structurizr structurizr/lite
+const DEFAULT_CONTAINER_ROOT = '/usr/local/structurizr';
+
+// Build the list of container -> host mappings from the environment
+function getPathMappings(env = process.env) {
+  if (env.STRUCTURIZR_PATH_MAP) {
+    return env.STRUCTURIZR_PATH_MAP.split(';')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const separator = entry.lastIndexOf('=');
+        return createPathMapping(entry.slice(0, separator), entry.slice(separator + 1));
+      });
+  }
+
+  return [
+    createPathMapping(
+      env.STRUCTURIZR_CONTAINER_ROOT || DEFAULT_CONTAINER_ROOT,
+      env.STRUCTURIZR_WORKSPACE_DIR || process.cwd()
+    )
+  ];
+}
+
+function createPathMapping(containerRoot, hostRoot) {
+  return {
+    container: path.posix.normalize(containerRoot).replace(/\/$/, ''),
+    host: path.resolve(hostRoot)
+  };
+}
+
+// Translate a container path to a host path, returns the input if no mapping applies
+function mapContainerPath(file, mappings) {
+  if (!file) {
+    return file;
+  }
+  // Bare names such as "workspace.dsl" are relative to the workspace root
+  if (!file.startsWith('/') && !path.isAbsolute(file) && mappings.length > 0) {
+    return path.join(mappings[0].host, file);
+  }
+  const normalized = path.posix.normalize(file);
+  for (const mapping of mappings) {
+    if (normalized === mapping.container) {
+      return mapping.host;
+    }
+    if (normalized.startsWith(`${mapping.container}/`)) {
+      const relative = normalized.slice(mapping.container.length + 1);
+      return path.join(mapping.host, ...relative.split('/'));
+    }
+  }
+  return file;
+}
+
+/**
+ * Resolve `target` against `dir`, throwing when the result is outside `dir`
+ * (an absolute path elsewhere or too many "../"). Tool arguments naming files
+ * go through this so clients can't read or write other files.
+ */
+function resolveInsideDir(dir, target) {
+  const root = path.resolve(dir);
+  const resolved = path.resolve(root, target);
+  const relative = path.relative(root, resolved);
+  if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    throw new Error(`Path "${target}" is outside the workspace directory ${root}`);
+  }
+  return resolved;
+}
+
+/**
+ * Map the file paths of a diagnostic log entry. The original container path
+ * is kept in `originalFile`. Entries that were already mapped are left alone.
+ */
+function mapDiagnosticPaths(diagnostic, mappings) {
+  if (!diagnostic || diagnostic.originalFile !== undefined) {
+    return diagnostic;
+  }
+  return {
+    ...diagnostic,
+    file: mapContainerPath(diagnostic.file, mappings),
+    originalFile: diagnostic.file,
+    relatedInformation: (diagnostic.relatedInformation || []).map(info => ({
+      ...info,
+      file: mapContainerPath(info.file, mappings),
+      originalFile: info.file
+    }))
+  };
+}
+
+module.exports = {
+  DEFAULT_CONTAINER_ROOT,
+  getPathMappings,
+  createPathMapping,
+  mapContainerPath,
+  mapDiagnosticPaths,
+  resolveInsideDir
+};
@@ -28,6 +28,7 @@ console.log('Once added, you can use tools like:');
 console.log('- mcp_structurizr_dsl_debugger_connectToBrowser');
 console.log('- mcp_structurizr_dsl_debugger_getDslErrors');
 console.log('- mcp_structurizr_dsl_debugger_fixDslError');
+console.log('- mcp_structurizr_dsl_debugger_undoDslFix');
 
 console.log('\nManual installation steps:');
 console.log('1. Copy the MCP Configuration above to your clipboard');
@@ -7,20 +7,60 @@
 //   2. Connect to it from Cursor IDE using the MCP tools
 //   3. Use environment variable STRUCTURIZR_PORT to customize Structurizr port (default: 8080)
 //      Example: STRUCTURIZR_PORT=9090 node structurizr-dsl-debugger-mcp.js
+//   4. Use environment variable STRUCTURIZR_WORKSPACE_DIR to point at the folder holding workspace.dsl
+//      (default: current working directory)
+//   5. Use STRUCTURIZR_CONTAINER_ROOT (default: /usr/local/structurizr) or STRUCTURIZR_PATH_MAP
+//      to map file paths reported from inside the Structurizr Docker container to host paths
+//   6. Use DEBUG_PORT for the Chrome debugging port (default: 9222), or start with --discover
+//      to probe STRUCTURIZR_DISCOVERY_PORTS for Chrome and Structurizr and connect automatically
+//   7. Start with --start-structurizr to run Structurizr Lite for the workspace directory
+//      (STRUCTURIZR_RUNNER, STRUCTURIZR_IMAGE, STRUCTURIZR_JAR, STRUCTURIZR_COMMAND, see structurizr-process.js)
+//   8. Start with --http to serve MCP over Streamable HTTP at http://127.0.0.1:8766/mcp instead of stdio,
+//      so several clients can share one instance (--http-host/MCP_HTTP_HOST, --http-port/MCP_HTTP_PORT,
+//      MCP_AUTH_TOKEN for bearer token auth, required when binding to a non-loopback address; see mcp-http.js)
 
 const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
-const puppeteer = require('puppeteer');
+const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const { z } = require('zod');
+const { applyDslFix, rewriteDslFile, undoDslFix } = require('./dsl-fixer');
+const { DEFAULT_INDENT, formatDslFile } = require('./dsl-formatter');
+const { describeDefinition, findReferences, locateDefinition, planRename } = require('./dsl-identifiers');
+const { parseDslFile } = require('./dsl-parser');
+const { DEFAULT_CONTAINER_ROOT, getPathMappings, createPathMapping, mapDiagnosticPaths, resolveInsideDir } = require('./path-mapping');
+const { appendDslErrors, clearDslErrorLog, isDslErrorText, parseDslErrorText, readDslErrorLog, recordDslErrors, resolveDslErrors } = require('./dsl-errors');
+const { registerErrorResources } = require('./error-resources');
+const { formatEndpointUrl, getHttpOptions, mountMcpEndpoint, startHttpServer } = require('./mcp-http');
+const { addCodeFrames, formatCodeFrame } = require('./code-frame');
+const { installDomErrorCapture, getPageErrorsSnapshot } = require('./dom-error-capture');
+const { awaitRenderAndSettle, createValidationRun, observePageRenders, recordRunDiagnostics, reloadAndSettle, settle } = require('./validation-run');
+const { createWorkspaceWatcher, logWatchEvent } = require('./workspace-watcher');
+const { createSuggestionRegistry } = require('./suggestion-rules');
+const { createBrowserSession } = require('./browser-session');
+const { discoverEnvironment, formatDiscovery } = require('./environment-discovery');
+const { RUNNERS, createStructurizrProcess } = require('./structurizr-process');
+const { exportAllViews, exportView, toImageContent } = require('./view-export');
+const { lintWorkspaceFile } = require('./model-lint');
+const { describeElement, filterElements, filterRelationships, getElementDetails, indexWorkspace, loadWorkspaceFile, loadWorkspaceFromPage } = require('./workspace-model');
 
 // Configuration
 const CONFIG = {
   logDir: path.join(__dirname, 'logs'),
-  dslLogFile: path.join(__dirname, 'logs', 'structurizr-dsl-errors.json'),
-  debugPort: 9222,
-  structurizrPort: process.env.STRUCTURIZR_PORT || 8080 // Default Structurizr port
+  dslLogFile: path.join(__dirname, 'logs', 'structurizr-dsl-errors.jsonl'),
+  debugPort: parseInt(process.env.DEBUG_PORT, 10) || 9222,
+  structurizrPort: process.env.STRUCTURIZR_PORT || 8080, // Default Structurizr port
+  workspaceDir: process.env.STRUCTURIZR_WORKSPACE_DIR || process.cwd(),
+  backupDir: path.join(__dirname, 'logs', 'backups'),
+  eventsLogFile: path.join(__dirname, 'logs', 'structurizr-dsl-events.jsonl'),
+  structurizrOutputFile: path.join(__dirname, 'logs', 'structurizr-lite.log'),
+  exportDir: path.join(__dirname, 'logs', 'exports'),
+  // Port of the Streamable HTTP transport (--http), overridden by --http-port or MCP_HTTP_PORT
+  httpPort: 8766,
+  pathMappings: getPathMappings(),
+  // How often (ms) the DSL error log is checked for errors logged by other processes
+  logPollInterval: 1000
 };
 
 // Ensure log directory exists
@@ -28,390 +68,1795 @@ if (!fs.existsSync(CONFIG.logDir)) {
   fs.mkdirSync(CONFIG.logDir, { recursive: true });
 }
 
-// Initialize empty DSL errors file if it doesn't exist
-if (!fs.existsSync(CONFIG.dslLogFile)) {
-  fs.writeFileSync(CONFIG.dslLogFile, '[]', 'utf-8');
-}
+// Suggestion rules (built-in plus project-local rules file)
+const suggestionRules = createSuggestionRegistry({ workspaceDir: CONFIG.workspaceDir });
+
+// Browser connection and the Structurizr page monitored by launchBrowser/connectToBrowser
+const browserSession = createBrowserSession({
+  attachPage: attachStructurizrPage,
+  isStructurizrUrl
+});
 
-// Set up MCP server
-const server = new McpServer({
-  name: 'structurizr-dsl-debugger',
-  version: '1.1.0',
-  description: 'Captures and processes Structurizr DSL errors for debugging in Cursor IDE'
+// Structurizr Lite process started by startStructurizr, the errors it prints go through processDslError
+const structurizrProcess = createStructurizrProcess({
+  outputFile: CONFIG.structurizrOutputFile,
+  onErrorText: text => processDslError(text, { origin: 'process' })
 });
 
-// Browser launch tool
-server.registerTool(
-  'launchBrowser',
-  {
-    title: 'Launch Browser',
-    description: 'Launches a browser instance for Structurizr debugging with error monitoring',
-    inputSchema: {
-      url: z.string().describe('The URL to navigate to').optional(),
-      headless: z.boolean().default(false).describe('Whether to run the browser in headless mode'),
-      structurizrPort: z.number().default(CONFIG.structurizrPort).describe('The port Structurizr is running on')
-    }
-  },
-  async ({ url, headless = false, structurizrPort = CONFIG.structurizrPort }) => {
-    try {
-      // Launch browser with debugging
-      const browser = await puppeteer.launch({
-        headless: headless ? 'new' : false,
-        args: [
-          `--remote-debugging-port=${CONFIG.debugPort}`,
-          `--user-data-dir=${path.join(__dirname, 'chrome-data')}`
-        ]
-      });
-      
-      // If no specific URL is provided, default to Structurizr
-      if (!url || url === '') {
-        url = `http://localhost:${structurizrPort}`;
-      }
-      
-      const pages = await browser.pages();
-      const page = pages[0];
-      await page.goto(url, { waitUntil: 'networkidle2' });
-      
-      // Setup monitoring for DSL errors
-      await page.evaluate(() => {
-        // Monitor for error messages in the DOM
-        const observer = new MutationObserver((mutations) => {
-          mutations.forEach((mutation) => {
-            if (mutation.type === 'childList') {
-              const errorElements = document.querySelectorAll('.error');
-              errorElements.forEach((errorElement) => {
-                const errorText = errorElement.textContent;
-                if (errorText && errorText.includes('workspace.dsl')) {
-                  console.error('DSL Error:', errorText);
-                }
-              });
-            }
-          });
+// Validation run in progress, errors captured meanwhile are tagged with its ID
+let activeRun = null;
+
+// Workspace file watcher started by startWatching
+let workspaceWatcher = null;
+
+// Error resources of every connected server (one per HTTP session)
+const errorResourceRegistrations = new Set();
+
+// Status and last occurrence of each logged DSL error (by fingerprint) as subscribers last heard of it
+const notifiedDslErrors = new Map();
+
+// Identifier lookup parameters shared by findDefinition and findReferences
+const identifierLookupSchema = {
+  identifier: z.string().optional().describe('Identifier to look up, e.g. "shop.web" (the last segments are enough when unambiguous)'),
+  file: z.string().optional().describe('File of the position to look up instead of an identifier (workspace.dsl or an !include file)'),
+  line: z.number().int().min(1).optional().describe('Line of the position (1-based)'),
+  column: z.number().int().min(1).optional().describe('Column of the position (1-based)'),
+  workspaceFile: z.string().optional().describe('Workspace DSL file (defaults to workspace.dsl in the workspace directory)')
+};
+
+// Parse the workspace and find the definition asked for by identifier or position
+function lookUpDefinition({ identifier, file, line, column, workspaceFile }) {
+  const parsed = parseDslFile(resolveWorkspaceFile(workspaceFile));
+  const definition = locateDefinition(parsed, {
+    identifier,
+    file: file ? resolveWorkspaceFile(file) : null,
+    line,
+    column
+  });
+  return { parsed, definition: describeDefinition(definition), references: findReferences(parsed, definition) };
+}
+
+/**
+ * Create the MCP server with its tools and error resources. Stdio serves one
+ * server; over HTTP every client session gets its own, all sharing the
+ * browser session, Structurizr process and error log of this process.
+ */
+function createMcpServer() {
+  const server = new McpServer({
+    name: 'structurizr-dsl-debugger',
+    version: '1.1.0',
+    description: 'Captures and processes Structurizr DSL errors for debugging in Cursor IDE'
+  });
+
+  // Error log resources, subscribers are notified whenever new errors are saved
+  const errorResources = registerErrorResources(server, {
+    workspaceDir: CONFIG.workspaceDir,
+    readErrors: () => readDslErrorLog(CONFIG.dslLogFile).map(error => mapDiagnosticPaths(error, CONFIG.pathMappings))
+  });
+  errorResourceRegistrations.add(errorResources);
+  server.server.onclose = () => errorResourceRegistrations.delete(errorResources);
+
+  // Browser launch tool
+  server.registerTool(
+    'launchBrowser',
+    {
+      title: 'Launch Browser',
+      description: 'Launches a browser instance for Structurizr debugging with error monitoring',
+      inputSchema: {
+        url: z.string().describe('The URL to navigate to').optional(),
+        headless: z.boolean().default(false).describe('Whether to run the browser in headless mode'),
+        structurizrPort: z.number().default(CONFIG.structurizrPort).describe('The port Structurizr is running on')
+      }
+    },
+    async ({ url, headless = false, structurizrPort = CONFIG.structurizrPort }) => {
+      try {
+        CONFIG.structurizrPort = structurizrPort;
+
+        // If no specific URL is provided, default to Structurizr
+        if (!url || url === '') {
+          url = `http://localhost:${structurizrPort}`;
+        }
+
+        // Error monitoring is attached to the page before it navigates
+        await browserSession.launch({
+          url,
+          headless,
+          debugPort: CONFIG.debugPort,
+          userDataDir: path.join(__dirname, 'chrome-data')
+        });
+
+        return {
+          content: [{
+            type: "text",
+            text: `Browser launched and navigated to ${url}\nNote: Error monitoring has been set up for Structurizr DSL errors`
+          }]
+        };
+      } catch (error) {
+        console.error('Error launching browser:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to launch browser: ${error.message}`
+          }]
+        };
+      }
+    }
+  );
+
+  // Connect to existing browser
+  server.registerTool(
+    'connectToBrowser',
+    {
+      title: 'Connect to Browser',
+      description: 'Connects to an existing browser instance running in debug mode',
+      inputSchema: {
+        debugPort: z.number().default(CONFIG.debugPort).describe('The debugging port of the browser'),
+        structurizrPort: z.number().default(CONFIG.structurizrPort).describe('The port Structurizr is running on')
+      }
+    },
+    async ({ debugPort = CONFIG.debugPort, structurizrPort = CONFIG.structurizrPort }) => {
+      try {
+        CONFIG.structurizrPort = structurizrPort;
+        const structurizrPage = await browserSession.connect({ debugPort });
+
+        if (!structurizrPage) {
+          const availablePages = await browserSession.getPageUrls();
+          return {
+            content: [{
+              type: "text",
+              text: `Connected to the browser, but no Structurizr page is open on port ${structurizrPort} yet. Monitoring starts as soon as one is opened.\nAvailable pages: ${availablePages.join(', ') || 'none'}`
+            }]
+          };
+        }
+
+        return {
+          content: [{
+            type: "text",
+            text: `Connected to Structurizr page at ${structurizrPage.url()}\nNote: Error monitoring has been set up for DSL errors and reconnects automatically`
+          }]
+        };
+      } catch (error) {
+        console.error('Error connecting to browser:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to connect to browser: ${error.message}`
+          }]
+        };
+      }
+    }
+  );
+
+  // Find Chrome and Structurizr without knowing their ports
+  server.registerTool(
+    'discoverEnvironment',
+    {
+      title: 'Discover Environment',
+      description: 'Probes a port range for Chrome DevTools endpoints and Structurizr Lite instances, identifies the tabs showing a Structurizr workspace and connects to the best match',
+      inputSchema: {
+        ports: z.string().optional().describe('Ports to probe, e.g. "8080-8090,9222-9230" (default: STRUCTURIZR_DISCOVERY_PORTS or 8000-8100,9222-9230)'),
+        connect: z.boolean().default(true).describe('Connect to the best match'),
+        timeout: z.number().int().min(100).max(10000).default(800).describe('Timeout per probe, in milliseconds')
+      }
+    },
+    async ({ ports, connect = true, timeout = 800 }) => {
+      try {
+        const result = await discoverEnvironment({ ports, timeout });
+        let summary = formatDiscovery(result);
+        if (connect) {
+          summary += `\n\n${await connectToDiscovered(result)}`;
+        }
+
+        return {
+          content: [{
+            type: "text",
+            text: `${summary}\n\nDetailed result: ${JSON.stringify(result, null, 2)}`
+          }]
+        };
+      } catch (error) {
+        console.error('Error discovering environment:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to discover environment: ${error.message}`
+          }]
+        };
+      }
+    }
+  );
+
+  // Browser session state
+  server.registerTool(
+    'getSessionStatus',
+    {
+      title: 'Get Session Status',
+      description: 'Reports whether the debugger is connected to the browser, which Structurizr page it monitors and when the last event was seen',
+      inputSchema: {}
+    },
+    async () => {
+      const status = browserSession.getStatus();
+      const lines = [
+        `State: ${status.state}`,
+        `Browser: ${status.browserURL ? `${status.browserURL} (${status.mode}, ${status.connected ? 'connected' : 'not connected'})` : 'none'}`,
+        `Page: ${status.pageUrl || 'none'}`,
+        `Connected since: ${status.connectedAt || 'never'}`,
+        `Last event: ${status.lastEvent ? `${status.lastEvent.type} at ${status.lastEvent.timestamp}` : 'none'}`
+      ];
+      if (status.state === 'reconnecting') {
+        lines.push(`Reconnect attempts: ${status.reconnectAttempts}${status.lastError ? ` (last error: ${status.lastError})` : ''}`);
+      }
+
+      return {
+        content: [{
+          type: "text",
+          text: `${lines.join('\n')}\n\nDetailed status: ${JSON.stringify(status, null, 2)}`
+        }]
+      };
+    }
+  );
+
+  // End the browser session
+  server.registerTool(
+    'disconnectBrowser',
+    {
+      title: 'Disconnect Browser',
+      description: 'Ends the browser session and stops reconnecting. A browser started with launchBrowser is closed, a browser joined with connectToBrowser keeps running',
+      inputSchema: {}
+    },
+    async () => {
+      try {
+        const hadSession = await browserSession.disconnect();
+        return {
+          content: [{
+            type: "text",
+            text: hadSession ? "Browser session ended" : "No browser session to end"
+          }]
+        };
+      } catch (error) {
+        console.error('Error disconnecting browser:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to disconnect browser: ${error.message}`
+          }]
+        };
+      }
+    }
+  );
+
+  // Snapshot of errors currently shown on the Structurizr page
+  server.registerTool(
+    'getPageErrorsSnapshot',
+    {
+      title: 'Get Page Errors Snapshot',
+      description: 'Returns the errors and warnings currently shown in the Structurizr Lite page (error panel and warning banners)',
+      inputSchema: {}
+    },
+    async () => {
+      try {
+        const structurizrPage = browserSession.getPage();
+        if (!structurizrPage) {
+          return {
+            content: [{
+              type: "text",
+              text: "No Structurizr page is being monitored. Use launchBrowser or connectToBrowser first."
+            }]
+          };
+        }
+
+        const entries = await getPageErrorsSnapshot(structurizrPage);
+        if (entries.length === 0) {
+          return {
+            content: [{
+              type: "text",
+              text: `No errors or warnings shown on ${structurizrPage.url()}`
+            }]
+          };
+        }
+
+        const snapshot = entries.map(entry => ({
+          ...entry,
+          diagnostics: parseDslErrorText(entry.text).map(diagnostic => mapDiagnosticPaths(diagnostic, CONFIG.pathMappings))
+        }));
+        const summary = entries.map((entry, index) =>
+          `${index + 1}. [${entry.severity}] ${entry.text}`
+        ).join('\n');
+
+        return {
+          content: [{
+            type: "text",
+            text: `Page ${structurizrPage.url()} shows ${entries.length} error(s)/warning(s):\n\n${summary}\n\nDetailed snapshot: ${JSON.stringify(snapshot, null, 2)}`
+          }]
+        };
+      } catch (error) {
+        console.error('Error reading page errors:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to read page errors: ${error.message}`
+          }]
+        };
+      }
+    }
+  );
+
+  // Reload Structurizr and report the errors of that reload only
+  server.registerTool(
+    'validateWorkspace',
+    {
+      title: 'Validate Workspace',
+      description: 'Reloads the Structurizr Lite page, waits for the DSL to be parsed and reports either "workspace OK" or the errors produced by this reload. Open errors the reload no longer reports are resolved',
+      inputSchema: {
+        timeout: z.number().int().min(1000).max(300000).default(30000).describe('Maximum time to wait for Structurizr, in milliseconds'),
+        settleTime: z.number().int().min(100).max(30000).default(1500).describe('Time without new errors after which parsing is considered finished, in milliseconds')
+      }
+    },
+    async ({ timeout = 30000, settleTime = 1500 }) => {
+      if (!browserSession.getPage()) {
+        return {
+          content: [{
+            type: "text",
+            text: "No Structurizr page is being monitored. Use launchBrowser or connectToBrowser first."
+          }]
+        };
+      }
+      if (activeRun) {
+        return {
+          content: [{
+            type: "text",
+            text: `Validation run ${activeRun.id} is already in progress`
+          }]
+        };
+      }
+
+      try {
+        const { run, resolved } = await runWorkspaceValidation({ timeout, settleTime });
+        const timing = run.timedOut ? ` (timed out after ${timeout}ms, results may be incomplete)` : '';
+
+        if (run.diagnostics.length === 0) {
+          return {
+            content: [{
+              type: "text",
+              text: `Workspace OK - no DSL errors after reload${timing}\nRun ID: ${run.id}\n${resolved.length} earlier error(s) resolved`
+            }]
+          };
+        }
+
+        const errorSummary = run.diagnostics.map((error, index) =>
+          `${index + 1}. ${error.message} (Line ${error.line} in ${error.file})`
+        ).join('\n');
+
+        return {
+          content: [{
+            type: "text",
+            text: `Workspace has ${run.diagnostics.length} DSL error(s) after reload${timing}\nRun ID: ${run.id}\n${resolved.length} earlier error(s) resolved\n\n${errorSummary}\n\nDetailed errors: ${JSON.stringify(run.diagnostics, null, 2)}`
+          }]
+        };
+      } catch (error) {
+        console.error('Error validating workspace:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to validate workspace: ${error.message}`
+          }]
+        };
+      }
+    }
+  );
+
+  // List model elements
+  server.registerTool(
+    'listElements',
+    {
+      title: 'List Elements',
+      description: 'Lists the elements of the workspace model (people, software systems, containers, components, deployment nodes, ...) with their DSL identifiers, loaded from the workspace JSON',
+      inputSchema: {
+        type: z.string().optional().describe('Element type, e.g. Person, SoftwareSystem, Container, Component, DeploymentNode'),
+        tag: z.string().optional().describe('Only elements with this tag'),
+        parent: z.string().optional().describe('Only direct children of this element (ID, DSL identifier or name)'),
+        from: z.enum(['auto', 'file', 'instance']).default('auto').describe('Where to load the workspace from: workspace.json, the running Structurizr instance, or auto (the instance when a browser is connected, otherwise workspace.json)')
+      }
+    },
+    async ({ type, tag, parent, from = 'auto' }) => {
+      try {
+        const { index, source } = await loadWorkspaceModel(from);
+        const elements = filterElements(index, { type, tag, parent });
+        const summary = elements.map(element => {
+          const parentName = element.parentId ? `, in ${describeElement(index, element.parentId)}` : '';
+          return `- ${describeElement(index, element.id)} (${element.type}${parentName}) tags: ${element.tags.join(', ') || 'none'}`;
+        }).join('\n');
+        return {
+          content: [{
+            type: "text",
+            text: `${elements.length} element(s) in "${index.name}" (from ${source}):\n\n${summary}\n\nDetailed elements: ${JSON.stringify(elements, null, 2)}`
+          }]
+        };
+      } catch (error) {
+        console.error('Error listing elements:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to list elements: ${error.message}`
+          }]
+        };
+      }
+    }
+  );
+
+  // List model relationships
+  server.registerTool(
+    'listRelationships',
+    {
+      title: 'List Relationships',
+      description: 'Lists the relationships of the workspace model, optionally only those from a source and/or to a destination element',
+      inputSchema: {
+        source: z.string().optional().describe('Source element (ID, DSL identifier or name)'),
+        destination: z.string().optional().describe('Destination element (ID, DSL identifier or name)'),
+        includeImplied: z.boolean().default(false).describe('Include relationships Structurizr implies from relationships between child elements'),
+        from: z.enum(['auto', 'file', 'instance']).default('auto').describe('Where to load the workspace from: workspace.json, the running Structurizr instance, or auto (the instance when a browser is connected, otherwise workspace.json)')
+      }
+    },
+    async ({ source, destination, includeImplied = false, from = 'auto' }) => {
+      try {
+        const { index, source: loadedFrom } = await loadWorkspaceModel(from);
+        const relationships = filterRelationships(index, { source, destination, includeImplied });
+        const summary = relationships.map(relationship => {
+          const technology = relationship.technology ? ` [${relationship.technology}]` : '';
+          const implied = relationship.implied ? ' (implied)' : '';
+          return `- ${describeElement(index, relationship.sourceId)} -> ${describeElement(index, relationship.destinationId)}: ${relationship.description || '(no description)'}${technology}${implied}`;
+        }).join('\n');
+        return {
+          content: [{
+            type: "text",
+            text: `${relationships.length} relationship(s) in "${index.name}" (from ${loadedFrom}):\n\n${summary}\n\nDetailed relationships: ${JSON.stringify(relationships, null, 2)}`
+          }]
+        };
+      } catch (error) {
+        console.error('Error listing relationships:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to list relationships: ${error.message}`
+          }]
+        };
+      }
+    }
+  );
+
+  // List views
+  server.registerTool(
+    'listViews',
+    {
+      title: 'List Views',
+      description: 'Lists the views of the workspace with their keys, types and scope, e.g. to pick a view for exportView',
+      inputSchema: {
+        from: z.enum(['auto', 'file', 'instance']).default('auto').describe('Where to load the workspace from: workspace.json, the running Structurizr instance, or auto (the instance when a browser is connected, otherwise workspace.json)')
+      }
+    },
+    async ({ from = 'auto' }) => {
+      try {
+        const { index, source } = await loadWorkspaceModel(from);
+        const summary = index.views.map(view => {
+          const scope = view.scopeId ? ` of ${describeElement(index, view.scopeId)}` : '';
+          const title = view.title ? ` "${view.title}"` : '';
+          return `- ${view.key} (${view.type}${scope})${title}, ${view.elementCount} element(s)`;
+        }).join('\n');
+        return {
+          content: [{
+            type: "text",
+            text: `${index.views.length} view(s) in "${index.name}" (from ${source}):\n\n${summary}\n\nDetailed views: ${JSON.stringify(index.views, null, 2)}`
+          }]
+        };
+      } catch (error) {
+        console.error('Error listing views:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to list views: ${error.message}`
+          }]
+        };
+      }
+    }
+  );
+
+  // Show one element
+  server.registerTool(
+    'getElement',
+    {
+      title: 'Get Element',
+      description: 'Shows one element of the workspace model with its DSL identifier, parent, children and relationships',
+      inputSchema: {
+        element: z.string().describe('Element ID, DSL identifier or name'),
+        from: z.enum(['auto', 'file', 'instance']).default('auto').describe('Where to load the workspace from: workspace.json, the running Structurizr instance, or auto (the instance when a browser is connected, otherwise workspace.json)')
+      }
+    },
+    async ({ element, from = 'auto' }) => {
+      try {
+        const { index, source } = await loadWorkspaceModel(from);
+        const details = getElementDetails(index, element);
+        const lines = [
+          `${details.name} (${details.type}, id ${details.id})`,
+          `DSL identifier: ${details.identifier || 'none'}`,
+          `Description: ${details.description || 'none'}`,
+          `Technology: ${details.technology || 'none'}`,
+          `Tags: ${details.tags.join(', ') || 'none'}`,
+          `Parent: ${details.parent ? describeElement(index, details.parent.id) : 'none'}`,
+          `Children: ${details.children.map(child => describeElement(index, child.id)).join(', ') || 'none'}`,
+          'Outgoing relationships:',
+          ...(details.outgoing.length > 0
+            ? details.outgoing.map(relationship => `  -> ${describeElement(index, relationship.destinationId)}: ${relationship.description || '(no description)'}`)
+            : ['  none']),
+          'Incoming relationships:',
+          ...(details.incoming.length > 0
+            ? details.incoming.map(relationship => `  <- ${describeElement(index, relationship.sourceId)}: ${relationship.description || '(no description)'}`)
+            : ['  none']),
+          `Views scoped to it: ${details.views.join(', ') || 'none'}`
+        ];
+        return {
+          content: [{
+            type: "text",
+            text: `${lines.join('\n')}\n\n(from ${source})\n\nDetailed element: ${JSON.stringify(details, null, 2)}`
+          }]
+        };
+      } catch (error) {
+        console.error('Error getting element:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to get element: ${error.message}`
+          }]
+        };
+      }
+    }
+  );
+
+  // Render one view to an image
+  server.registerTool(
+    'exportView',
+    {
+      title: 'Export View',
+      description: 'Renders a Structurizr view (by key or title) in the connected browser and returns it as an image, PNG or SVG. Use it to check what a diagram looks like after changing the DSL',
+      inputSchema: {
+        view: z.string().describe('Key (or title) of the view to export'),
+        format: z.enum(['png', 'svg']).default('png').describe('Image format'),
+        includeMetadata: z.boolean().default(true).describe('Include the diagram title, description and date'),
+        outputDir: z.string().optional().describe('Also write the image to this directory (relative to the workspace directory)'),
+        timeout: z.number().int().min(1000).max(300000).default(30000).describe('Maximum time to wait for the diagram to render, in milliseconds')
+      }
+    },
+    async ({ view, format = 'png', includeMetadata = true, outputDir, timeout = 30000 }) => {
+      const structurizrPage = browserSession.getPage();
+      if (!structurizrPage) {
+        return {
+          content: [{
+            type: "text",
+            text: "No Structurizr page is being monitored. Use launchBrowser or connectToBrowser first."
+          }]
+        };
+      }
+
+      try {
+        const result = await exportView(structurizrPage, view, {
+          format,
+          includeMetadata,
+          outputDir: outputDir ? resolveInsideDir(CONFIG.workspaceDir, outputDir) : null,
+          timeout
+        });
+        const saved = result.file ? `\nSaved to ${result.file}` : '';
+        return {
+          content: [
+            {
+              type: "text",
+              text: `View "${result.view.key}" (${result.view.type}${result.view.title ? `, ${result.view.title}` : ''}) exported as ${format.toUpperCase()}${saved}`
+            },
+            toImageContent(result.exported)
+          ]
+        };
+      } catch (error) {
+        console.error('Error exporting view:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to export view: ${error.message}`
+          }]
+        };
+      }
+    }
+  );
+
+  // Render every view to image files
+  server.registerTool(
+    'exportAllViews',
+    {
+      title: 'Export All Views',
+      description: 'Renders every view of the workspace in the connected browser and writes them as PNG or SVG files, e.g. for documentation builds',
+      inputSchema: {
+        format: z.enum(['png', 'svg']).default('png').describe('Image format'),
+        includeMetadata: z.boolean().default(true).describe('Include the diagram title, description and date'),
+        outputDir: z.string().optional().describe('Directory to write the images to, relative to the workspace directory (defaults to logs/exports)'),
+        timeout: z.number().int().min(1000).max(300000).default(30000).describe('Maximum time to wait for each diagram to render, in milliseconds')
+      }
+    },
+    async ({ format = 'png', includeMetadata = true, outputDir, timeout = 30000 }) => {
+      const structurizrPage = browserSession.getPage();
+      if (!structurizrPage) {
+        return {
+          content: [{
+            type: "text",
+            text: "No Structurizr page is being monitored. Use launchBrowser or connectToBrowser first."
+          }]
+        };
+      }
+
+      try {
+        const targetDir = outputDir ? resolveInsideDir(CONFIG.workspaceDir, outputDir) : CONFIG.exportDir;
+        const results = await exportAllViews(structurizrPage, { format, includeMetadata, outputDir: targetDir, timeout });
+        const failed = results.filter(result => result.error);
+        const summary = results.map(result => result.error
+          ? `- ${result.view.key}: FAILED (${result.error})`
+          : `- ${result.view.key}: ${result.file}`
+        ).join('\n');
+        return {
+          content: [{
+            type: "text",
+            text: `Exported ${results.length - failed.length} of ${results.length} view(s) as ${format.toUpperCase()} to ${targetDir}\n\n${summary}`
+          }]
+        };
+      } catch (error) {
+        console.error('Error exporting views:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to export views: ${error.message}`
+          }]
+        };
+      }
+    }
+  );
+
+  // Start Structurizr Lite
+  server.registerTool(
+    'startStructurizr',
+    {
+      title: 'Start Structurizr',
+      description: 'Starts Structurizr Lite for a workspace directory (Docker image, java -jar or a custom command), waits until its port is healthy and captures the DSL errors it prints. Works without a browser',
+      inputSchema: {
+        runner: z.enum(RUNNERS).optional().describe('How to run Structurizr Lite (defaults to STRUCTURIZR_RUNNER or docker)'),
+        workspaceDir: z.string().optional().describe('Workspace directory (defaults to the server workspace directory)'),
+        port: z.number().int().optional().describe('Port to serve Structurizr Lite on (defaults to the configured Structurizr port)'),
+        image: z.string().optional().describe('Docker image for the docker runner (defaults to STRUCTURIZR_IMAGE or structurizr/lite)'),
+        jar: z.string().optional().describe('Structurizr Lite .war/.jar for the java runner (defaults to STRUCTURIZR_JAR)'),
+        command: z.string().optional().describe('Command line for the command runner, {workspaceDir} and {port} are replaced shell-quoted (defaults to STRUCTURIZR_COMMAND)'),
+        timeout: z.number().int().default(120000).describe('How long to wait for the port to become healthy, in milliseconds'),
+        settleTime: z.number().int().default(1500).describe('Quiet period without new errors after startup, in milliseconds')
+      }
+    },
+    async ({ runner, workspaceDir, port = parseInt(CONFIG.structurizrPort, 10), image, jar, command, timeout = 120000, settleTime = 1500 }) => {
+      try {
+        const options = { runner, workspaceDir: workspaceDir ? path.resolve(CONFIG.workspaceDir, workspaceDir) : CONFIG.workspaceDir, port, image, jar, command };
+        const result = await runStructurizrStartup(() => structurizrProcess.start(options, { timeout }), { settleTime });
+        return {
+          content: [{
+            type: "text",
+            text: formatStructurizrStartup('started', result)
+          }]
+        };
+      } catch (error) {
+        console.error('Error starting Structurizr:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to start Structurizr: ${error.message}`
+          }]
+        };
+      }
+    }
+  );
+
+  // Stop Structurizr Lite
+  server.registerTool(
+    'stopStructurizr',
+    {
+      title: 'Stop Structurizr',
+      description: 'Stops the Structurizr Lite process started by startStructurizr',
+      inputSchema: {
+        timeout: z.number().int().default(10000).describe('How long to wait before killing the process, in milliseconds')
+      }
+    },
+    async ({ timeout = 10000 }) => {
+      try {
+        const stopped = await structurizrProcess.stop({ timeout });
+        const status = structurizrProcess.getStatus();
+        return {
+          content: [{
+            type: "text",
+            text: stopped
+              ? `Structurizr stopped (exit code ${status.exit.code}, signal ${status.exit.signal})`
+              : 'Structurizr is not running'
+          }]
+        };
+      } catch (error) {
+        console.error('Error stopping Structurizr:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to stop Structurizr: ${error.message}`
+          }]
+        };
+      }
+    }
+  );
+
+  // Restart Structurizr Lite
+  server.registerTool(
+    'restartStructurizr',
+    {
+      title: 'Restart Structurizr',
+      description: 'Restarts Structurizr Lite with the options of the last startStructurizr call, re-parsing the workspace; errors it no longer prints are resolved',
+      inputSchema: {
+        timeout: z.number().int().default(120000).describe('How long to wait for the port to become healthy, in milliseconds'),
+        settleTime: z.number().int().default(1500).describe('Quiet period without new errors after startup, in milliseconds')
+      }
+    },
+    async ({ timeout = 120000, settleTime = 1500 }) => {
+      try {
+        const result = await runStructurizrStartup(() => structurizrProcess.restart({}, { timeout }), { settleTime });
+        return {
+          content: [{
+            type: "text",
+            text: formatStructurizrStartup('restarted', result)
+          }]
+        };
+      } catch (error) {
+        console.error('Error restarting Structurizr:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to restart Structurizr: ${error.message}`
+          }]
+        };
+      }
+    }
+  );
+
+  // Watch the workspace files and revalidate on save
+  server.registerTool(
+    'startWatching',
+    {
+      title: 'Start Watching',
+      description: 'Watches workspace.dsl and every file it !includes. After each save the Structurizr page is reloaded (or, without a browser, the DSL is validated offline) and the resulting errors or a "clean" event are logged',
+      inputSchema: {
+        file: z.string().optional().describe('DSL file to watch (defaults to workspace.dsl in the workspace directory)'),
+        debounce: z.number().int().min(50).max(10000).default(500).describe('Quiet period after the last save before revalidating, in milliseconds')
+      }
+    },
+    async ({ file, debounce = 500 }) => {
+      try {
+        if (workspaceWatcher) {
+          workspaceWatcher.stop();
+        }
+
+        const workspaceFile = resolveWorkspaceFile(file);
+        workspaceWatcher = createWorkspaceWatcher({
+          workspaceFile,
+          debounce,
+          onChange: changedFiles => revalidateAfterChange(workspaceFile, changedFiles)
+        });
+        workspaceWatcher.start();
+
+        const mode = browserSession.getPage()
+          ? 'Structurizr page reload'
+          : 'offline validation (no browser connected)';
+        return {
+          content: [{
+            type: "text",
+            text: `Watching ${workspaceWatcher.files().length} file(s), revalidating with ${mode}:\n${workspaceWatcher.files().join('\n')}\n\nEvents are logged to ${CONFIG.eventsLogFile}`
+          }]
+        };
+      } catch (error) {
+        console.error('Error starting watcher:', error);
+        workspaceWatcher = null;
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to start watching: ${error.message}`
+          }]
+        };
+      }
+    }
+  );
+
+  server.registerTool(
+    'stopWatching',
+    {
+      title: 'Stop Watching',
+      description: 'Stops watching the workspace files',
+      inputSchema: {}
+    },
+    async () => {
+      if (!workspaceWatcher) {
+        return {
+          content: [{
+            type: "text",
+            text: "Not watching any workspace files"
+          }]
+        };
+      }
+
+      workspaceWatcher.stop();
+      workspaceWatcher = null;
+      return {
+        content: [{
+          type: "text",
+          text: "Stopped watching workspace files"
+        }]
+      };
+    }
+  );
+
+  // Get DSL errors
+  server.registerTool(
+    'getDslErrors',
+    {
+      title: 'Get DSL Errors',
+      description: 'Retrieves recent Structurizr DSL errors from the log file, each with a code frame of the surrounding DSL and its enclosing block path. Only open errors are returned unless another status is requested',
+      inputSchema: {
+        count: z.number().int().min(1).max(100).default(10).describe('Number of recent DSL errors to retrieve'),
+        contextLines: z.number().int().min(0).max(50).default(3).describe('Lines of DSL to show before and after each error line'),
+        status: z.enum(['open', 'resolved', 'all']).default('open').describe('Which errors to return')
+      }
+    },
+    async ({ count = 10, contextLines = 3, status = 'open' }) => {
+      try {
+        // Read DSL errors, ordered by when they were last seen
+        const errors = readDslErrorLog(CONFIG.dslLogFile)
+          .filter(error => status === 'all' || error.status === status);
+        const recentErrors = addCodeFrames(
+          errors.slice(-count).map(error => mapDiagnosticPaths(error, CONFIG.pathMappings)),
+          { contextLines }
+        );
+
+        if (recentErrors.length === 0) {
+          return {
+            content: [{
+              type: "text",
+              text: status === 'all' ? "No DSL errors found in the log" : `No ${status} DSL errors found in the log`
+            }]
+          };
+        }
+
+        const errorSummary = recentErrors.map((error, index) => {
+          const seen = error.occurrences > 1 ? `, seen ${error.occurrences} times` : '';
+          const summary = `${index + 1}. [${error.status}] ${error.message} (Line ${error.line} in ${error.file}${seen})`;
+          return error.codeFrame ? `${summary}\n${formatCodeFrame(error.codeFrame)}\n` : summary;
+        }).join('\n');
+
+        return {
+          content: [{
+            type: "text",
+            text: `Found ${recentErrors.length} recent DSL errors:\n\n${errorSummary}\n\nDetailed errors: ${JSON.stringify(recentErrors, null, 2)}`
+          }]
+        };
+      } catch (error) {
+        console.error('Error retrieving DSL errors:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to retrieve DSL errors: ${error.message}`
+          }]
+        };
+      }
+    }
+  );
+
+  // History of resolved errors
+  server.registerTool(
+    'getErrorHistory',
+    {
+      title: 'Get Error History',
+      description: 'Shows DSL errors that were resolved by a later clean render, with first/last seen times, occurrence counts and the run that resolved them',
+      inputSchema: {
+        count: z.number().int().min(1).max(500).default(20).describe('Number of errors to show, most recently resolved last'),
+        includeOpen: z.boolean().default(false).describe('Also show errors that are still open'),
+        fingerprint: z.string().optional().describe('Only show the error with this fingerprint')
+      }
+    },
+    async ({ count = 20, includeOpen = false, fingerprint }) => {
+      try {
+        const errors = readDslErrorLog(CONFIG.dslLogFile)
+          .filter(error => includeOpen || error.status === 'resolved')
+          .filter(error => !fingerprint || error.fingerprint === fingerprint)
+          .sort((a, b) => (a.resolvedAt || a.lastSeen).localeCompare(b.resolvedAt || b.lastSeen))
+          .slice(-count)
+          .map(error => mapDiagnosticPaths(error, CONFIG.pathMappings));
+
+        if (errors.length === 0) {
+          return {
+            content: [{
+              type: "text",
+              text: includeOpen ? "No DSL errors found in the log" : "No resolved DSL errors found in the log"
+            }]
+          };
+        }
+
+        const history = errors.map((error, index) => {
+          const resolution = error.status === 'resolved'
+            ? `resolved at ${error.resolvedAt} by ${error.resolvedBy}`
+            : 'still open';
+          return `${index + 1}. [${error.fingerprint}] ${error.message} (Line ${error.line} in ${error.file})\n   Seen ${error.occurrences} time(s), first ${error.firstSeen}, last ${error.lastSeen}, ${resolution}`;
+        }).join('\n');
+
+        return {
+          content: [{
+            type: "text",
+            text: `DSL error history (${errors.length}):\n\n${history}\n\nDetailed errors: ${JSON.stringify(errors, null, 2)}`
+          }]
+        };
+      } catch (error) {
+        console.error('Error retrieving error history:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to retrieve error history: ${error.message}`
+          }]
+        };
+      }
+    }
+  );
+
+  // Clear DSL errors
+  server.registerTool(
+    'clearDslErrors',
+    {
+      title: 'Clear DSL Errors',
+      description: 'Clears all DSL errors from the log file',
+      inputSchema: {}
+    },
+    async () => {
+      try {
+        clearDslErrorLog(CONFIG.dslLogFile);
+        notifyErrorsChanged();
+        return {
+          content: [{
+            type: "text",
+            text: "DSL error log cleared successfully"
+          }]
+        };
+      } catch (error) {
+        console.error('Error clearing DSL log:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to clear DSL error log: ${error.message}`
+          }]
+        };
+      }
+    }
+  );
+
+  // Configure container to host path mapping
+  server.registerTool(
+    'setPathMapping',
+    {
+      title: 'Set Path Mapping',
+      description: 'Configures how file paths reported by Structurizr Lite inside Docker are mapped to host paths',
+      inputSchema: {
+        containerRoot: z.string().default('/usr/local/structurizr').describe('Workspace directory as seen inside the Structurizr container'),
+        hostRoot: z.string().optional().describe('Matching workspace directory on the host (defaults to the workspace directory)')
+      }
+    },
+    async ({ containerRoot = '/usr/local/structurizr', hostRoot }) => {
+      CONFIG.pathMappings = [createPathMapping(containerRoot, hostRoot || CONFIG.workspaceDir)];
+      const [mapping] = CONFIG.pathMappings;
+      return {
+        content: [{
+          type: "text",
+          text: `Path mapping set: ${mapping.container} -> ${mapping.host}`
+        }]
+      };
+    }
+  );
+
+  // Fix DSL error
+  server.registerTool(
+    'fixDslError',
+    {
+      title: 'Fix DSL Error',
+      description: 'Replaces a line (or line range) of the workspace DSL file. Use dryRun to preview the change as a unified diff; applied fixes are backed up and can be reverted with undoDslFix',
+      inputSchema: {
+        line: z.number().int().min(1).describe('First line to replace'),
+        endLine: z.number().int().min(1).optional().describe('Last line to replace (defaults to line)'),
+        fix: z.string().describe('Replacement text, may span several lines. An empty string deletes the lines'),
+        file: z.string().optional().describe('DSL file to edit (defaults to workspace.dsl in the workspace directory)'),
+        dryRun: z.boolean().default(false).describe('Only show the diff preview without writing the file')
+      }
+    },
+    async ({ line, endLine, fix, file, dryRun = false }) => {
+      try {
+        const result = applyDslFix({
+          file: resolveWorkspaceFile(file),
+          line,
+          endLine,
+          replacement: fix,
+          dryRun,
+          backupDir: CONFIG.backupDir
+        });
+
+        const header = result.applied
+          ? `Fix applied to ${result.file} (lines ${result.line}-${result.endLine})\nBackup saved to ${result.backupPath}`
+          : `Dry run for ${result.file} (lines ${result.line}-${result.endLine}), no changes written`;
+
+        return {
+          content: [{
+            type: "text",
+            text: `${header}\n\n${result.diff}`
+          }]
+        };
+      } catch (error) {
+        console.error('Error fixing DSL error:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to fix DSL error: ${error.message}`
+          }]
+        };
+      }
+    }
+  );
+
+  // Undo last DSL fix
+  server.registerTool(
+    'undoDslFix',
+    {
+      title: 'Undo DSL Fix',
+      description: 'Restores the DSL file from the backup taken by the most recent fixDslError, formatDsl or renameIdentifier call',
+      inputSchema: {
+        file: z.string().optional().describe('Only undo the last fix made to this file')
+      }
+    },
+    async ({ file }) => {
+      try {
+        const restored = undoDslFix({
+          file: file ? resolveWorkspaceFile(file) : undefined,
+          backupDir: CONFIG.backupDir
         });
-        
-        // Start observing changes to the DOM
-        observer.observe(document.body, { childList: true, subtree: true });
-        console.log('Structurizr DSL error monitor initialized');
-      });
-      
-      // Listen for console logs
-      page.on('console', message => {
-        if (message.type() === 'error' && message.text().includes('workspace.dsl')) {
-          processDslError(message.text());
+
+        if (!restored) {
+          return {
+            content: [{
+              type: "text",
+              text: "No DSL fix backups found to restore"
+            }]
+          };
         }
-      });
-      
-      return {
-        content: [{
-          type: "text",
-          text: `Browser launched and navigated to ${url}\nNote: Error monitoring has been set up for Structurizr DSL errors`
-        }]
-      };
-    } catch (error) {
-      console.error('Error launching browser:', error);
-      return {
-        content: [{
-          type: "text",
-          text: `Failed to launch browser: ${error.message}`
-        }]
-      };
+
+        return {
+          content: [{
+            type: "text",
+            text: `Restored ${restored.file} from backup taken at ${restored.timestamp} (fix of lines ${restored.line}-${restored.endLine})`
+          }]
+        };
+      } catch (error) {
+        console.error('Error undoing DSL fix:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to undo DSL fix: ${error.message}`
+          }]
+        };
+      }
     }
-  }
-);
-
-// Connect to existing browser
-server.registerTool(
-  'connectToBrowser',
-  {
-    title: 'Connect to Browser',
-    description: 'Connects to an existing browser instance running in debug mode',
-    inputSchema: {
-      debugPort: z.number().default(CONFIG.debugPort).describe('The debugging port of the browser'),
-      structurizrPort: z.number().default(CONFIG.structurizrPort).describe('The port Structurizr is running on')
-    }
-  },
-  async ({ debugPort = CONFIG.debugPort, structurizrPort = CONFIG.structurizrPort }) => {
-    try {
-      const browser = await puppeteer.connect({
-        browserURL: `http://localhost:${debugPort}`,
-        defaultViewport: null
-      });
-      
-      const pages = await browser.pages();
-      if (pages.length === 0) {
+  );
+
+  // Validate DSL offline
+  server.registerTool(
+    'validateDsl',
+    {
+      title: 'Validate DSL',
+      description: 'Parses the workspace DSL file (and its !include files) offline, without a browser or Structurizr Lite, and reports syntax and identifier errors',
+      inputSchema: {
+        file: z.string().optional().describe('DSL file to validate (defaults to workspace.dsl in the workspace directory)')
+      }
+    },
+    async ({ file }) => {
+      try {
+        const result = parseDslFile(resolveWorkspaceFile(file));
+        const diagnostics = result.diagnostics.map(diagnostic => ({
+          ...diagnostic,
+          suggestion: suggestionRules.suggest({
+            message: diagnostic.message,
+            context: diagnostic.relatedInformation[0].message,
+            code: diagnostic.code
+          })
+        }));
+
+        if (diagnostics.length === 0) {
+          return {
+            content: [{
+              type: "text",
+              text: `No DSL errors found in ${result.file} (${result.files.length} file(s) parsed)`
+            }]
+          };
+        }
+
+        const errorSummary = diagnostics.map((error, index) =>
+          `${index + 1}. ${error.message} (Line ${error.line} in ${error.file})`
+        ).join('\n');
+
         return {
           content: [{
             type: "text",
-            text: "No pages found in the browser"
+            text: `Found ${diagnostics.length} DSL errors:\n\n${errorSummary}\n\nDetailed errors: ${JSON.stringify(diagnostics, null, 2)}`
+          }]
+        };
+      } catch (error) {
+        console.error('Error validating DSL:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to validate DSL: ${error.message}`
           }]
         };
       }
-      
-      // Find Structurizr page with customizable port
-      const structurizrPage = pages.find(page => page.url().includes(`localhost:${structurizrPort}`));
-      if (!structurizrPage) {
-        const availablePages = await Promise.all(pages.map(p => p.url()));
+    }
+  );
+
+  // Lint the architecture model
+  server.registerTool(
+    'lintModel',
+    {
+      title: 'Lint Model',
+      description: 'Checks the workspace model for problems Structurizr accepts: orphan elements, relationships shown in no view, missing technologies or descriptions, unused styles. Rules and severities come from the project lint config (.structurizr-lint.json)',
+      inputSchema: {
+        file: z.string().optional().describe('DSL file to lint (defaults to workspace.dsl in the workspace directory)')
+      }
+    },
+    async ({ file }) => {
+      try {
+        const result = lintWorkspaceFile(resolveWorkspaceFile(file), { workspaceDir: CONFIG.workspaceDir });
+        const config = `Lint config: ${result.configFile || 'none (default rules)'}`;
+        const disabled = result.settings.filter(rule => !rule.enabled).map(rule => rule.id);
+        const disabledNote = disabled.length > 0 ? `\nDisabled rules: ${disabled.join(', ')}` : '';
+        const parseNote = result.parseErrors.length > 0
+          ? `\nNote: the DSL has ${result.parseErrors.length} error(s), run validateDsl first; lint results may be incomplete`
+          : '';
+
+        if (result.diagnostics.length === 0) {
+          return {
+            content: [{
+              type: "text",
+              text: `No model problems found in ${result.file}\n${config}${disabledNote}${parseNote}`
+            }]
+          };
+        }
+
+        const findingSummary = result.diagnostics.map((finding, index) =>
+          `${index + 1}. [${finding.severity}] ${finding.message} (${finding.rule}, Line ${finding.line} in ${finding.file})`
+        ).join('\n');
+
+        return {
+          content: [{
+            type: "text",
+            text: `Found ${result.diagnostics.length} model problem(s):\n\n${findingSummary}\n\n${config}${disabledNote}${parseNote}\n\nDetailed findings: ${JSON.stringify(result.diagnostics, null, 2)}`
+          }]
+        };
+      } catch (error) {
+        console.error('Error linting model:', error);
         return {
           content: [{
             type: "text",
-            text: `Structurizr page not found on port ${structurizrPort}\nAvailable pages: ${availablePages.join(', ')}`
+            text: `Failed to lint model: ${error.message}`
           }]
         };
       }
-      
-      // Listen for console logs
-      structurizrPage.on('console', message => {
-        if (message.type() === 'error' && message.text().includes('workspace.dsl')) {
-          processDslError(message.text());
+    }
+  );
+
+  // Format DSL files
+  server.registerTool(
+    'formatDsl',
+    {
+      title: 'Format DSL',
+      description: 'Reprints the workspace DSL file and its !include files in a canonical style: consistent indentation, one statement per line, quoted names and descriptions, comments kept. Changed files are backed up and can be reverted with undoDslFix',
+      inputSchema: {
+        file: z.string().optional().describe('DSL file to format (defaults to workspace.dsl in the workspace directory)'),
+        indent: z.number().int().min(1).max(8).default(DEFAULT_INDENT).describe('Spaces per indentation level'),
+        sortStyles: z.boolean().default(false).describe('Sort element and relationship styles by tag'),
+        dryRun: z.boolean().default(false).describe('Only show the diff preview without writing the files')
+      }
+    },
+    async ({ file, indent = DEFAULT_INDENT, sortStyles = false, dryRun = false }) => {
+      try {
+        const results = formatDslFile(resolveWorkspaceFile(file), { indent, sortStyles });
+        const failed = results.filter(result => result.error);
+        const changed = results.filter(result => result.changed);
+        const failedNote = failed.length > 0
+          ? `\n\nNot formatted:\n${failed.map(result => ` - ${result.error}`).join('\n')}`
+          : '';
+
+        if (changed.length === 0) {
+          return {
+            content: [{
+              type: "text",
+              text: `${results.length - failed.length} file(s) already formatted${failedNote}`
+            }]
+          };
         }
-      });
-      
-      return {
-        content: [{
-          type: "text",
-          text: `Connected to Structurizr page at ${await structurizrPage.url()}\nNote: Error monitoring has been set up for DSL errors`
-        }]
-      };
-    } catch (error) {
-      console.error('Error connecting to browser:', error);
-      return {
-        content: [{
-          type: "text",
-          text: `Failed to connect to browser: ${error.message}`
-        }]
-      };
+
+        const rewrites = changed.map(result => rewriteDslFile({
+          file: result.file,
+          content: result.formatted,
+          dryRun,
+          backupDir: CONFIG.backupDir
+        }));
+        const header = dryRun
+          ? `Dry run: ${rewrites.length} of ${results.length} file(s) would be reformatted, no changes written`
+          : `Reformatted ${rewrites.length} of ${results.length} file(s), backups saved to ${CONFIG.backupDir}`;
+
+        return {
+          content: [{
+            type: "text",
+            text: `${header}${failedNote}\n\n${rewrites.map(rewrite => rewrite.diff).join('\n\n')}`
+          }]
+        };
+      } catch (error) {
+        console.error('Error formatting DSL:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to format DSL: ${error.message}`
+          }]
+        };
+      }
     }
-  }
-);
-
-// Get DSL errors
-server.registerTool(
-  'getDslErrors',
-  {
-    title: 'Get DSL Errors',
-    description: 'Retrieves recent Structurizr DSL errors from the log file',
-    inputSchema: {
-      count: z.number().int().min(1).max(100).default(10).describe('Number of recent DSL errors to retrieve')
-    }
-  },
-  async ({ count = 10 }) => {
-    try {
-      // Read DSL errors
-      const errors = JSON.parse(fs.readFileSync(CONFIG.dslLogFile, 'utf-8'));
-      const recentErrors = errors.slice(-count);
-      
-      if (recentErrors.length === 0) {
+  );
+
+  // Find where an identifier is defined
+  server.registerTool(
+    'findDefinition',
+    {
+      title: 'Find Definition',
+      description: 'Finds the statement declaring an element or relationship identifier in workspace.dsl or its !include files. Give an identifier, or a file, line and column (e.g. of an unknown identifier error)',
+      inputSchema: identifierLookupSchema
+    },
+    async (args) => {
+      try {
+        const { definition, references } = lookUpDefinition(args);
+        return {
+          content: [{
+            type: "text",
+            text: `"${definition.identifier}" (${definition.kind}) is defined at ${definition.file}:${definition.line}:${definition.column}\n  ${definition.statement}\n\n${references.length} reference(s), see findReferences\n\nDetailed definition: ${JSON.stringify(definition, null, 2)}`
+          }]
+        };
+      } catch (error) {
+        console.error('Error finding definition:', error);
         return {
           content: [{
             type: "text",
-            text: "No DSL errors found in the log"
+            text: `Failed to find definition: ${error.message}`
           }]
         };
       }
-      
-      const errorSummary = recentErrors.map((error, index) => 
-        `${index + 1}. ${error.message} (Line ${error.line} in ${error.file})`
-      ).join('\n');
-      
-      return {
-        content: [{
-          type: "text",
-          text: `Found ${recentErrors.length} recent DSL errors:\n\n${errorSummary}\n\nDetailed errors: ${JSON.stringify(recentErrors, null, 2)}`
-        }]
-      };
-    } catch (error) {
-      console.error('Error retrieving DSL errors:', error);
-      return {
-        content: [{
-          type: "text",
-          text: `Failed to retrieve DSL errors: ${error.message}`
-        }]
-      };
     }
-  }
-);
-
-// Clear DSL errors
-server.registerTool(
-  'clearDslErrors',
-  {
-    title: 'Clear DSL Errors',
-    description: 'Clears all DSL errors from the log file',
-    inputSchema: {}
-  },
-  async () => {
-    try {
-      fs.writeFileSync(CONFIG.dslLogFile, '[]', 'utf-8');
-      return {
-        content: [{
-          type: "text",
-          text: "DSL error log cleared successfully"
-        }]
-      };
-    } catch (error) {
-      console.error('Error clearing DSL log:', error);
-      return {
-        content: [{
-          type: "text",
-          text: `Failed to clear DSL error log: ${error.message}`
-        }]
-      };
+  );
+
+  // Find every usage of an identifier
+  server.registerTool(
+    'findReferences',
+    {
+      title: 'Find References',
+      description: 'Lists every usage of an element or relationship identifier across workspace.dsl and its !include files: relationships, view scopes and include/exclude expressions, dynamic view steps, deployment instances, !ref/!element. Give an identifier, or a file, line and column',
+      inputSchema: identifierLookupSchema
+    },
+    async (args) => {
+      try {
+        const { definition, references } = lookUpDefinition(args);
+        const header = `"${definition.identifier}" (${definition.kind}) is defined at ${definition.file}:${definition.line}:${definition.column}`;
+
+        if (references.length === 0) {
+          return {
+            content: [{
+              type: "text",
+              text: `${header}\nNo references found`
+            }]
+          };
+        }
+
+        const referenceSummary = references.map((reference, index) =>
+          `${index + 1}. ${reference.file}:${reference.line}:${reference.column} [${reference.role}] ${reference.context}`
+        ).join('\n');
+
+        return {
+          content: [{
+            type: "text",
+            text: `${header}\nFound ${references.length} reference(s):\n\n${referenceSummary}\n\nDetailed references: ${JSON.stringify({ definition, references }, null, 2)}`
+          }]
+        };
+      } catch (error) {
+        console.error('Error finding references:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to find references: ${error.message}`
+          }]
+        };
+      }
     }
-  }
-);
-
-// Fix DSL error
-server.registerTool(
-  'fixDslError',
-  {
-    title: 'Fix DSL Error',
-    description: 'Provides suggested fixes for DSL errors at specific line numbers',
-    inputSchema: {
-      line: z.number().int().min(1).describe('Line number of the error'),
-      fix: z.string().describe('Suggested fix for the error')
-    }
-  },
-  async ({ line, fix }) => {
-    return {
-      content: [{
-        type: "text",
-        text: `Suggested fix for line ${line}: ${fix}\n\nNote: This is a suggestion only. To apply the fix, you should edit the workspace.dsl file manually.`
-      }]
-    };
-  }
-);
-
-// Manually process a DSL error
-server.registerTool(
-  'processDslError',
-  {
-    title: 'Process DSL Error',
-    description: 'Manually processes and parses a DSL error text to extract structured error information',
-    inputSchema: {
-      errorText: z.string().describe('The DSL error text to process')
-    }
-  },
-  async ({ errorText }) => {
-    try {
-      const dslError = processDslError(errorText);
-      if (dslError) {
+  );
+
+  // Rename an identifier across the workspace
+  server.registerTool(
+    'renameIdentifier',
+    {
+      title: 'Rename Identifier',
+      description: 'Renames an element or relationship identifier in the workspace DSL file and every !include file: the definition and all references (relationships, views, include/exclude, dynamic steps, instances). Hierarchical identifiers are resolved. Returns a diff preview unless dryRun is false; renames that would collide with an existing identifier are refused',
+      inputSchema: {
+        identifier: z.string().describe('Identifier to rename, e.g. "shop.web" (the last segments are enough when unambiguous)'),
+        newName: z.string().describe('New identifier, e.g. "frontend" (elements keep their parent)'),
+        file: z.string().optional().describe('Workspace DSL file (defaults to workspace.dsl in the workspace directory)'),
+        dryRun: z.boolean().default(true).describe('Only show the diff preview; set to false to apply the rename')
+      }
+    },
+    async ({ identifier, newName, file, dryRun = true }) => {
+      try {
+        const parsed = parseDslFile(resolveWorkspaceFile(file));
+        const plan = planRename(parsed, identifier, newName);
+        const rewrites = plan.files.map(change => rewriteDslFile({
+          file: change.file,
+          content: change.content,
+          dryRun,
+          backupDir: CONFIG.backupDir
+        }));
+
+        const summary = `${plan.edits.length} change(s) in ${rewrites.length} file(s), defined at ${plan.definition.file}:${plan.definition.line}`;
+        const header = dryRun
+          ? `Dry run: rename "${plan.from}" to "${plan.to}", ${summary}. No changes written, call again with dryRun false to apply`
+          : `Renamed "${plan.from}" to "${plan.to}", ${summary}\nBackups saved to ${CONFIG.backupDir} (undoDslFix restores one file per call)`;
+        const parseNote = parsed.diagnostics.length > 0
+          ? `\nNote: the DSL has ${parsed.diagnostics.length} error(s), references in statements that don't parse are not renamed`
+          : '';
+
         return {
           content: [{
             type: "text",
-            text: `DSL error processed successfully:\n\nError: ${dslError.message}\nFile: ${dslError.filename}\nLine: ${dslError.line}\nContext: ${dslError.context}\n\nSuggestion:\n${dslError.suggestion.issue}\nFix: ${dslError.suggestion.fix}`
+            text: `${header}${parseNote}\n\n${rewrites.map(rewrite => rewrite.diff).join('\n\n')}`
           }]
         };
-      } else {
+      } catch (error) {
+        console.error('Error renaming identifier:', error);
         return {
           content: [{
             type: "text",
-            text: "Failed to parse DSL error format. Please ensure the error text follows the expected Structurizr DSL error format."
+            text: `Failed to rename identifier: ${error.message}`
+          }]
+        };
+      }
+    }
+  );
+
+  // List suggestion rules
+  server.registerTool(
+    'listSuggestionRules',
+    {
+      title: 'List Suggestion Rules',
+      description: 'Lists the suggestion rules used to explain DSL errors, including rules from the project rules file',
+      inputSchema: {
+        reload: z.boolean().default(false).describe('Reload the project rules file before listing')
+      }
+    },
+    async ({ reload = false }) => {
+      try {
+        if (reload) {
+          suggestionRules.reload();
+        }
+
+        const rules = suggestionRules.list();
+        const ruleSummary = rules.map((rule, index) =>
+          `${index + 1}. ${rule.id} [${rule.source}] - ${rule.issue}`
+        ).join('\n');
+        const rulesFile = suggestionRules.rulesFile
+          ? `Project rules file: ${suggestionRules.rulesFile}`
+          : 'No project rules file found';
+        const loadErrors = suggestionRules.errors.length > 0
+          ? `\nErrors loading rules:\n${suggestionRules.errors.join('\n')}`
+          : '';
+
+        return {
+          content: [{
+            type: "text",
+            text: `${rulesFile}${loadErrors}\n\nLoaded ${rules.length} suggestion rules (in evaluation order):\n\n${ruleSummary}\n\nDetailed rules: ${JSON.stringify(rules, null, 2)}`
+          }]
+        };
+      } catch (error) {
+        console.error('Error listing suggestion rules:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to list suggestion rules: ${error.message}`
+          }]
+        };
+      }
+    }
+  );
+
+  // Manually process a DSL error
+  server.registerTool(
+    'processDslError',
+    {
+      title: 'Process DSL Error',
+      description: 'Manually processes and parses a DSL error text to extract structured error information',
+      inputSchema: {
+        errorText: z.string().describe('The DSL error text to process')
+      }
+    },
+    async ({ errorText }) => {
+      try {
+        const diagnostics = processDslError(errorText);
+        if (diagnostics.length > 0) {
+          const details = diagnostics.map(error => {
+            const location = error.line ? `Line: ${error.line}` : 'Line: unknown';
+            const originalFile = error.originalFile !== error.file ? `\nOriginal file: ${error.originalFile}` : '';
+            return `Error: ${error.message}\nCode: ${error.code}\nFile: ${error.file}${originalFile}\n${location}\nContext: ${error.context}\n\nSuggestion:\n${error.suggestion.issue}\n${error.suggestion.explanation}\nFix: ${error.suggestion.fix}`;
+          }).join('\n\n');
+          return {
+            content: [{
+              type: "text",
+              text: `DSL error processed successfully:\n\n${details}`
+            }]
+          };
+        } else {
+          return {
+            content: [{
+              type: "text",
+              text: "Failed to parse DSL error format. Please ensure the error text follows the expected Structurizr DSL error format."
+            }]
+          };
+        }
+      } catch (error) {
+        console.error('Error processing DSL error:', error);
+        return {
+          content: [{
+            type: "text",
+            text: `Failed to process DSL error: ${error.message}`
           }]
         };
       }
-    } catch (error) {
-      console.error('Error processing DSL error:', error);
-      return {
-        content: [{
-          type: "text",
-          text: `Failed to process DSL error: ${error.message}`
-        }]
-      };
     }
+  );
+
+  return server;
+}
+
+const getNotifiedState = error => `${error.status}|${error.lastSeen}`;
+
+// Tell the error resource subscribers of every connected client that the error log changed
+function notifyErrorsChanged(diagnostics = []) {
+  if (diagnostics.length === 0) {
+    notifiedDslErrors.clear();
   }
-);
+  diagnostics.forEach(diagnostic => notifiedDslErrors.set(diagnostic.fingerprint, getNotifiedState(diagnostic)));
+  errorResourceRegistrations.forEach(errorResources => errorResources.notifyErrorsChanged(diagnostics));
+}
+
+/**
+ * The DSL error log is shared with capture-errors.js, the browser error
+ * server and other instances; poll it like the language server does and
+ * notify subscribers of the errors they logged or resolved.
+ */
+function followDslErrorLog() {
+  readDslErrorLog(CONFIG.dslLogFile).forEach(error => notifiedDslErrors.set(error.fingerprint, getNotifiedState(error)));
+  fs.watchFile(CONFIG.dslLogFile, { interval: CONFIG.logPollInterval }, () => {
+    try {
+      const errors = readDslErrorLog(CONFIG.dslLogFile);
+      if (errors.length === 0 && notifiedDslErrors.size > 0) {
+        notifyErrorsChanged();
+        return;
+      }
+      const changed = errors.filter(error => notifiedDslErrors.get(error.fingerprint) !== getNotifiedState(error));
+      if (changed.length > 0) {
+        notifyErrorsChanged(changed.map(error => mapDiagnosticPaths(error, CONFIG.pathMappings)));
+      }
+    } catch (error) {
+      console.error('Error reading DSL error log:', error.message);
+    }
+  });
+}
 
-// Process a Structurizr DSL error
-function processDslError(errorText) {
+// Process a Structurizr DSL error through the shared error pipeline
+function processDslError(errorText, options = {}) {
   console.log('Processing DSL error:', errorText);
   
-  // Extract file path, line number, and error details
-  const match = errorText.match(/workspace\.dsl: (.*?) at line (\d+) of ([^:]+):(.*)/);
+  const diagnostics = recordDslErrors(errorText, {
+    logFile: CONFIG.dslLogFile,
+    pathMappings: CONFIG.pathMappings,
+    suggestionRules,
+    runId: activeRun ? activeRun.id : undefined,
+    ...options
+  });
   
-  if (match) {
-    const [_, errorMessage, lineNumber, filePath, errorContext] = match;
-    
-    const dslError = {
-      timestamp: new Date().toISOString(),
-      type: 'DSL',
-      message: errorMessage.trim(),
-      filename: filePath.trim(),
-      line: parseInt(lineNumber, 10),
-      column: 1,
-      context: errorContext.trim(),
-      suggestion: getSuggestionForError(errorMessage.trim(), errorContext.trim())
-    };
-    
-    // Log in vscode diagnostic-like format
-    const dslErrors = [];
-    if (fs.existsSync(CONFIG.dslLogFile)) {
-      try {
-        const existingErrors = JSON.parse(fs.readFileSync(CONFIG.dslLogFile, 'utf-8'));
-        dslErrors.push(...existingErrors);
-      } catch (e) {
-        console.error('Error reading existing DSL errors:', e);
-      }
-    }
-    
-    // Add new error
-    dslErrors.push({
-      source: 'Structurizr DSL',
-      severity: 'Error',
-      message: dslError.message,
-      file: dslError.filename,
-      line: dslError.line,
-      column: dslError.column,
-      code: 'dsl-syntax',
-      relatedInformation: [
-        {
-          message: `Context: ${dslError.context}`,
-          file: dslError.filename,
-          line: dslError.line,
-          column: dslError.column
-        }
-      ],
-      suggestion: dslError.suggestion,
-      timestamp: dslError.timestamp
-    });
-    
-    // Write to log file
-    fs.writeFileSync(CONFIG.dslLogFile, JSON.stringify(dslErrors, null, 2));
+  if (activeRun) {
+    recordRunDiagnostics(activeRun, diagnostics);
+  }
+  
+  if (diagnostics.length > 0) {
     console.log('DSL error processed and saved');
-    
-    return dslError;
+    notifyErrorsChanged(diagnostics);
   } else {
     console.log('Could not parse DSL error format');
-    return null;
   }
+  return diagnostics;
+}
+
+// Connect the browser session to the best match of a discovery, returns what happened
+async function connectToDiscovered(result) {
+  if (!result.bestMatch) {
+    return 'Nothing to connect to';
+  }
+  CONFIG.debugPort = result.bestMatch.debugPort;
+  CONFIG.structurizrPort = result.bestMatch.structurizrPort;
+  const structurizrPage = await browserSession.connect({ debugPort: CONFIG.debugPort });
+  return structurizrPage
+    ? `Connected to Structurizr page at ${structurizrPage.url()}`
+    : `Connected to the browser on port ${CONFIG.debugPort}, waiting for a Structurizr tab on port ${CONFIG.structurizrPort}`;
+}
+
+// Whether a URL shows the Structurizr Lite instance we are debugging
+function isStructurizrUrl(url) {
+  try {
+    const { hostname, port } = new URL(url);
+    return ['localhost', '127.0.0.1', '0.0.0.0', '[::1]'].includes(hostname) && port === String(CONFIG.structurizrPort);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Attach error monitoring to a Structurizr page, called once per page by the browser session
+async function attachStructurizrPage(page) {
+  // Errors shown in the page (survives reloads)
+  await installDomErrorCapture(page, payload => {
+    browserSession.recordEvent('dom-error', payload.text);
+    processDomError(payload);
+  });
+  observePageRenders(page, { isBusy: () => activeRun !== null, onNavigation: () => observeRender(page) });
+  
+  // Console errors
+  page.on('console', message => {
+    if (message.type() === 'error' && isDslErrorText(message.text())) {
+      browserSession.recordEvent('console-error', message.text());
+      processDslError(message.text());
+    }
+  });
+}
+
+// Reload the Structurizr page and collect the errors of that reload
+async function runWorkspaceValidation({ timeout = 30000, settleTime = 1500 } = {}) {
+  const run = createValidationRun();
+  activeRun = run;
+  try {
+    await reloadAndSettle(browserSession.getPage(), run, { timeout, settleTime });
+  } finally {
+    activeRun = null;
+  }
+  return { run, resolved: resolveFinishedRun(run) };
+}
+
+// Collect the errors of a reload done in the browser, so errors it no longer reports get resolved
+async function observeRender(page) {
+  const run = createValidationRun();
+  activeRun = run;
+  try {
+    await awaitRenderAndSettle(page, run);
+  } finally {
+    activeRun = null;
+  }
+  const resolved = resolveFinishedRun(run);
+  if (resolved.length > 0) {
+    console.error(`Structurizr render ${run.id}: ${resolved.length} error(s) resolved`);
+  }
+}
+
+// Resolve open errors a completed run no longer reports; a timed out run may be incomplete, so it resolves nothing
+function resolveFinishedRun(run, { origin } = {}) {
+  if (run.timedOut) {
+    return [];
+  }
+  const resolved = resolveDslErrors(CONFIG.dslLogFile, run.id, run.startedAt, { origin });
+  if (resolved.length > 0) {
+    notifyErrorsChanged(resolved);
+  }
+  return resolved;
 }
 
-// Generate a suggestion based on the error type
-function getSuggestionForError(message, context) {
-  if (message.includes('Unexpected tokens') && context.includes('dynamic')) {
-    return {
-      issue: "The dynamic view syntax is incorrect. It needs a container/component identifier AND key.",
-      fix: "Correct syntax: 'dynamic ContainerName ErrorHandlingFlow {'\nAlternatively: 'dynamic ComponentName ErrorHandlingFlow {'"
-    };
+// Revalidate after the watcher saw saved files, logging errors or a clean event
+async function revalidateAfterChange(workspaceFile, changedFiles) {
+  console.error('Workspace files changed:', changedFiles.join(', '));
+  
+  if (activeRun) {
+    console.error(`Validation run ${activeRun.id} already in progress, skipping`);
+    return;
+  }
+  
+  let runId;
+  let diagnostics;
+  let mode;
+  if (browserSession.getPage()) {
+    const { run } = await runWorkspaceValidation();
+    runId = run.id;
+    diagnostics = run.diagnostics;
+    mode = 'browser';
+  } else {
+    // No browser: fall back to the offline parser
+    const run = createValidationRun();
+    const parsed = parseDslFile(workspaceFile).diagnostics.map(diagnostic => ({
+      ...diagnostic,
+      origin: 'offline',
+      runId: run.id,
+      suggestion: suggestionRules.suggest({
+        message: diagnostic.message,
+        context: diagnostic.relatedInformation[0].message,
+        code: diagnostic.code,
+        line: diagnostic.line,
+        file: diagnostic.file
+      })
+    }));
+    diagnostics = appendDslErrors(CONFIG.dslLogFile, parsed);
+    if (diagnostics.length > 0) {
+      notifyErrorsChanged(diagnostics);
+    }
+    // Errors captured from Structurizr stay open, the parser can't tell whether they are fixed
+    const resolved = resolveFinishedRun(run, { origin: 'offline' });
+    if (resolved.length > 0) {
+      console.error(`Offline run ${run.id}: ${resolved.length} error(s) resolved`);
+    }
+    runId = run.id;
+    mode = 'offline';
   }
   
-  if (message.includes('Unknown relationship') || message.includes('relationship')) {
-    return {
-      issue: "There's a relationship defined between components that doesn't exist or has incorrect syntax",
-      fix: "Check the relationship syntax and ensure both components exist: '<source> -> <destination> \"description\"'"
-    };
+  logWatchEvent(CONFIG.eventsLogFile, {
+    type: diagnostics.length === 0 ? 'clean' : 'errors',
+    mode,
+    runId,
+    files: changedFiles,
+    errorCount: diagnostics.length
+  });
+  console.error(diagnostics.length === 0
+    ? 'Workspace revalidated: clean'
+    : `Workspace revalidated: ${diagnostics.length} DSL error(s)`);
+}
+
+// Load and index the workspace model from workspace.json or the Structurizr page, see the `from` tool option
+async function loadWorkspaceModel(from = 'auto') {
+  const structurizrPage = browserSession.getPage();
+  let loaded;
+  if (from === 'instance' || (from === 'auto' && structurizrPage)) {
+    if (!structurizrPage) {
+      throw new Error('No Structurizr page is being monitored. Use launchBrowser or connectToBrowser first, or load from workspace.json');
+    }
+    loaded = await loadWorkspaceFromPage(structurizrPage);
+  } else {
+    loaded = loadWorkspaceFile(CONFIG.workspaceDir);
+  }
+  return { ...loaded, index: indexWorkspace(loaded.json) };
+}
+
+/**
+ * Start Structurizr Lite as a validation run: the errors it prints while
+ * starting are tagged with the run, and once it is healthy and quiet the open
+ * errors it no longer reports are resolved. Returns { status, run, resolved }.
+ */
+async function runStructurizrStartup(start, { settleTime = 1500 } = {}) {
+  const run = createValidationRun();
+  const ownsRun = activeRun === null;
+  if (ownsRun) {
+    activeRun = run;
+  }
+  let status;
+  try {
+    status = await start();
+    if (status.healthy) {
+      await settle(run, Date.now() + settleTime + 30000, settleTime);
+    }
+  } finally {
+    if (ownsRun) {
+      activeRun = null;
+    }
   }
   
-  // Generic suggestion
-  return {
-    issue: "Syntax error in the DSL file",
-    fix: "Check the documentation at https://structurizr.com/dsl for correct syntax"
-  };
+  if (status.healthy) {
+    CONFIG.structurizrPort = status.port;
+    // The container sees the workspace under its own root, map it back to the started directory
+    if (status.runner === 'docker' && !process.env.STRUCTURIZR_PATH_MAP) {
+      CONFIG.pathMappings = [createPathMapping(process.env.STRUCTURIZR_CONTAINER_ROOT || DEFAULT_CONTAINER_ROOT, status.workspaceDir)];
+    }
+  }
+  const resolved = ownsRun && status.healthy ? resolveFinishedRun(run) : [];
+  return { status, run, resolved };
+}
+
+// Summary of a Structurizr start, with the errors it printed or the output tail when it failed
+function formatStructurizrStartup(action, { status, run, resolved }) {
+  const lines = [status.healthy
+    ? `Structurizr ${action} (${status.runner}, pid ${status.pid}) at ${status.url} for ${status.workspaceDir}`
+    : `Structurizr not healthy: ${status.reason}`];
+  if (run.diagnostics.length > 0) {
+    lines.push('', `${run.diagnostics.length} DSL error(s) printed:`);
+    run.diagnostics.forEach(error => lines.push(`- ${error.code}: ${error.message}${error.line ? ` (${error.file}:${error.line})` : ''}`));
+  } else if (status.healthy) {
+    lines.push('No DSL errors printed');
+  }
+  if (resolved.length > 0) {
+    lines.push(`${resolved.length} previously open error(s) resolved`);
+  }
+  if (!status.healthy) {
+    const outputTail = structurizrProcess.getOutput(20).map(({ line }) => line);
+    lines.push('', `Last output (full output in ${CONFIG.structurizrOutputFile}):`, ...(outputTail.length > 0 ? outputTail : ['(none)']));
+  }
+  return lines.join('\n');
+}
+
+// Process an error or warning scraped from the Structurizr page; the selectors
+// also match unrelated banners, so only text that reads like a DSL error counts
+function processDomError({ severity, text }) {
+  if (!isDslErrorText(text)) {
+    return [];
+  }
+  return processDslError(text, {
+    origin: 'dom',
+    severity: severity === 'warning' ? 'Warning' : 'Error'
+  });
+}
+
+// Resolve a DSL file path relative to the workspace directory, refusing files outside it
+function resolveWorkspaceFile(file) {
+  return resolveInsideDir(CONFIG.workspaceDir, file || 'workspace.dsl');
+}
+
+/**
+ * Start the MCP server: over stdio for the client that spawned this process,
+ * or over Streamable HTTP (--http) so several clients share one instance.
+ */
+async function startServer() {
+  const httpOptions = getHttpOptions({ defaultPort: CONFIG.httpPort });
+  followDslErrorLog();
+  if (!httpOptions.enabled) {
+    await createMcpServer().connect(new StdioServerTransport());
+    console.log('"Structurizr DSL Error Capture" MCP Server running');
+    return;
+  }
+
+  const app = express();
+  app.use(express.json());
+  mountMcpEndpoint(app, { createServer: createMcpServer, ...httpOptions });
+  const httpServer = await startHttpServer(app, httpOptions);
+  const url = formatEndpointUrl({ ...httpOptions, port: httpServer.address().port });
+  console.error(`"Structurizr DSL Error Capture" MCP Server running at ${url}${httpOptions.token ? ' (bearer token required)' : ''}`);
+}
+
+startServer().catch(error => {
+  console.error('Error starting MCP server:', error.message);
+  process.exit(1);
+});
+
+// --discover: find Chrome and Structurizr on startup and connect to them
+if (process.argv.includes('--discover')) {
+  discoverEnvironment()
+    .then(async result => {
+      console.error(formatDiscovery(result));
+      console.error(await connectToDiscovered(result));
+    })
+    .catch(error => console.error('Error discovering environment:', error));
+}
+
+// --start-structurizr: run Structurizr Lite for the workspace directory on startup
+if (process.argv.includes('--start-structurizr')) {
+  runStructurizrStartup(() => structurizrProcess.start({ workspaceDir: CONFIG.workspaceDir, port: parseInt(CONFIG.structurizrPort, 10) }))
+    .then(result => console.error(formatStructurizrStartup('started', result)))
+    .catch(error => console.error('Error starting Structurizr:', error));
 }
 
-// Start the MCP server with stdio transport
-const transport = new StdioServerTransport();
-server.connect(transport);
-console.log('"Structurizr DSL Error Capture" MCP Server running');
+// Don't leave Structurizr running behind the server
+process.on('exit', () => structurizrProcess.killSync());
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => process.exit(0)));
 
 // Test the processDslError function with an example error
 // processDslError('workspace.dsl: Unexpected tokens (expected: include, exclude, autolayout, default, animation, title, description, properties) at line 776 of /usr/local/structurizr/workspace.dsl: dynamic "ErrorHandlingFlow" {'); 
\ No newline at end of file
@@ -0,0 +1,327 @@
+/**
+ * Structurizr Lite process management
+ *
+ * Starts Structurizr Lite for a workspace directory, waits until its port
+ * answers, keeps its stdout/stderr (in memory and in an output file) and
+ * hands the DSL parser errors printed there to `onErrorText`, so they go
+ * through the same error pipeline as errors captured in the browser.
+ *
+ * Runners:
+ *   docker  - docker run with the structurizr/lite image (default)
+ *   java    - java -jar with a local Structurizr Lite .war/.jar
+ *   command - any shell command, "{workspaceDir}" and "{port}" are replaced
+ *             with shell-quoted values (don't quote them in the command)
+ *
+ * Configuration (environment variables):
+ *   STRUCTURIZR_RUNNER  - docker, java or command (default: docker)
+ *   STRUCTURIZR_IMAGE   - Docker image (default: structurizr/lite)
+ *   STRUCTURIZR_JAR     - path of the Structurizr Lite .war/.jar for the java runner
+ *   STRUCTURIZR_COMMAND - command line for the command runner
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { isDslErrorText } = require('./dsl-errors');
+const { DEFAULT_CONTAINER_ROOT } = require('./path-mapping');
+
+const RUNNERS = ['docker', 'java', 'command'];
+const DEFAULT_IMAGE = 'structurizr/lite';
+
+// Spring Boot log line prefix: "2024-05-01T10:00:00.000Z ERROR 1 --- [nio-8080-exec-1] c.s.lite.Workspace : "
+const LOG_LINE_PREFIX = /^\d{4}-\d\d-\d\d[ T][\d:.,]+\S*\s+(?:TRACE|DEBUG|INFO|WARN|ERROR)\s+\d*\s*---\s+(?:\[[^\]]*\]\s+)*\S+\s*:\s?/;
+const LOG_LINE_START = /^\d{4}-\d\d-\d\d[ T]\d/;
+
+// Errors printed over several lines are collected until the output is quiet for this long
+const ERROR_FLUSH_DELAY = 250;
+const MAX_ERROR_LINES = 200;
+
+// Runner options from the environment, overridden by `options`
+function getRunnerOptions(options = {}, env = process.env) {
+  const settings = {
+    runner: env.STRUCTURIZR_RUNNER || 'docker',
+    image: env.STRUCTURIZR_IMAGE || DEFAULT_IMAGE,
+    jar: env.STRUCTURIZR_JAR || null,
+    command: env.STRUCTURIZR_COMMAND || null,
+    ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== null))
+  };
+  if (!RUNNERS.includes(settings.runner)) {
+    throw new Error(`Unknown Structurizr runner "${settings.runner}", expected one of ${RUNNERS.join(', ')}`);
+  }
+  return settings;
+}
+
+// Single shell argument: the value in single quotes (double quotes for cmd.exe)
+function quoteShellArg(value, platform = process.platform) {
+  const text = String(value);
+  if (platform === 'win32') {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+// Executable and arguments for a runner; the command runner goes through the shell
+function buildCommand({ runner, image, jar, command, workspaceDir, port }) {
+  if (runner === 'docker') {
+    return {
+      file: 'docker',
+      args: ['run', '--rm', '-p', `${port}:8080`, '-v', `${workspaceDir}:${DEFAULT_CONTAINER_ROOT}`, image],
+      shell: false
+    };
+  }
+  if (runner === 'java') {
+    if (!jar) {
+      throw new Error('The java runner needs the Structurizr Lite jar (jar option or STRUCTURIZR_JAR)');
+    }
+    return {
+      file: 'java',
+      args: [`-Dserver.port=${port}`, '-jar', path.resolve(jar), workspaceDir],
+      shell: false
+    };
+  }
+  if (!command) {
+    throw new Error('The command runner needs a command (command option or STRUCTURIZR_COMMAND)');
+  }
+  return {
+    file: command
+      .replace(/\{workspaceDir\}/g, () => quoteShellArg(workspaceDir))
+      .replace(/\{port\}/g, () => quoteShellArg(port)),
+    args: [],
+    shell: true
+  };
+}
+
+/**
+ * Group output lines into error texts: an error starts at a line that looks
+ * like a DSL error and continues over the lines that aren't new log lines
+ * (stack frames, "Caused by:", wrapped context).
+ */
+function createErrorCollector(onErrorText) {
+  let lines = [];
+  let timer = null;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (lines.length > 0) {
+      const text = lines.join('\n');
+      lines = [];
+      onErrorText(text);
+    }
+  };
+
+  return {
+    push(line) {
+      const continues = lines.length > 0 && line.trim() !== '' && !LOG_LINE_START.test(line) && lines.length < MAX_ERROR_LINES;
+      if (!continues) {
+        flush();
+        const text = line.replace(LOG_LINE_PREFIX, '');
+        if (!isDslErrorText(text)) {
+          return;
+        }
+        lines.push(text);
+      } else {
+        lines.push(line);
+      }
+      clearTimeout(timer);
+      timer = setTimeout(flush, ERROR_FLUSH_DELAY);
+    },
+    flush
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Poll http://host:port/ until it answers without a server error; `isAlive()` false stops waiting early
+async function waitForHealthy(port, { host = '127.0.0.1', timeout = 120000, interval = 500, isAlive = () => true } = {}) {
+  const deadline = Date.now() + timeout;
+  let lastError = null;
+  while (Date.now() < deadline) {
+    if (!isAlive()) {
+      return { healthy: false, reason: 'process exited' };
+    }
+    try {
+      const response = await fetch(`http://${host}:${port}/`, { signal: AbortSignal.timeout(5000), redirect: 'follow' });
+      // The page is served even when the workspace doesn't parse, only 5xx means not ready
+      if (response.status < 500) {
+        return { healthy: true, status: response.status };
+      }
+      lastError = `HTTP ${response.status}`;
+    } catch (error) {
+      lastError = error.message;
+    }
+    await sleep(interval);
+  }
+  return { healthy: false, reason: `no answer on port ${port} after ${timeout} ms${lastError ? ` (${lastError})` : ''}` };
+}
+
+/**
+ * Create the process manager. `onErrorText(text)` receives every DSL error
+ * printed by Structurizr, `outputFile` (optional) gets a copy of its output.
+ * Returns { start, stop, restart, killSync, getStatus, getOutput }.
+ */
+function createStructurizrProcess({ onErrorText, outputFile = null, maxLines = 500 }) {
+  let child = null;
+  let current = null;
+  let state = 'stopped';
+  let startedAt = null;
+  let exit = null;
+  let output = [];
+  let exited = null;
+
+  const writeOutput = (stream, line) => {
+    output.push({ stream, line });
+    if (output.length > maxLines) {
+      output = output.slice(-maxLines);
+    }
+    if (outputFile) {
+      try {
+        fs.appendFileSync(outputFile, `${line}\n`, 'utf-8');
+      } catch (error) {
+        console.error(`Error writing Structurizr output to ${outputFile}:`, error.message);
+      }
+    }
+  };
+
+  const isRunning = () => child !== null && exit === null;
+
+  const manager = {
+    /**
+     * Start Structurizr Lite with `options` ({ runner, image, jar, command,
+     * workspaceDir, port }) and wait until the port is healthy. Resolves with
+     * the status; `healthy` is false when the process exited or the port never answered.
+     */
+    async start(options, { timeout = 120000 } = {}) {
+      if (isRunning()) {
+        throw new Error(`Structurizr is already running (pid ${child.pid}), stop or restart it first`);
+      }
+      const settings = getRunnerOptions(options);
+      settings.workspaceDir = path.resolve(settings.workspaceDir || process.cwd());
+      const { file, args, shell } = buildCommand(settings);
+
+      output = [];
+      exit = null;
+      current = settings;
+      startedAt = new Date().toISOString();
+      state = 'starting';
+      if (outputFile) {
+        fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+        fs.appendFileSync(outputFile, `--- ${startedAt} ${[file, ...args].join(' ')}\n`, 'utf-8');
+      }
+
+      // Own process group, so stop() also ends what a shell command started
+      child = spawn(file, args, { cwd: settings.workspaceDir, shell, detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+      const spawned = child;
+      const errors = createErrorCollector(onErrorText);
+
+      exited = new Promise(resolve => {
+        spawned.on('error', error => {
+          writeOutput('stderr', `Failed to start ${file}: ${error.message}`);
+          exit = { code: null, signal: null, error: error.message, at: new Date().toISOString() };
+          state = 'stopped';
+          resolve(exit);
+        });
+        spawned.on('exit', (code, signal) => {
+          errors.flush();
+          if (exit === null) {
+            exit = { code, signal, at: new Date().toISOString() };
+          }
+          state = 'stopped';
+          console.error(`Structurizr exited (code ${code}, signal ${signal})`);
+          resolve(exit);
+        });
+      });
+
+      for (const [stream, source] of [['stdout', spawned.stdout], ['stderr', spawned.stderr]]) {
+        readline.createInterface({ input: source }).on('line', line => {
+          writeOutput(stream, line);
+          errors.push(line);
+        });
+      }
+
+      const health = await waitForHealthy(settings.port, { timeout, isAlive: () => spawned === child && exit === null });
+      if (spawned === child && exit === null) {
+        state = health.healthy ? 'running' : 'unhealthy';
+      }
+      let reason = health.reason || null;
+      if (!health.healthy && exit !== null) {
+        reason = exit.error ? `could not run ${file} (${exit.error})` : `process exited with code ${exit.code}${exit.signal ? ` (${exit.signal})` : ''}`;
+      }
+      return { ...manager.getStatus(), healthy: health.healthy, reason };
+    },
+
+    // Stop the process: SIGTERM to its group, SIGKILL after `timeout` ms. Resolves false if nothing was running
+    async stop({ timeout = 10000 } = {}) {
+      if (!isRunning()) {
+        return false;
+      }
+      state = 'stopping';
+      const stopping = child;
+      const signalGroup = signal => {
+        try {
+          process.kill(-stopping.pid, signal);
+        } catch (error) {
+          if (error.code !== 'ESRCH') {
+            throw error;
+          }
+        }
+      };
+      signalGroup('SIGTERM');
+      const killTimer = setTimeout(() => signalGroup('SIGKILL'), timeout);
+      await exited;
+      clearTimeout(killTimer);
+      return true;
+    },
+
+    // Stop and start again with the options of the last start
+    async restart(options = {}, startOptions = {}) {
+      if (!current) {
+        throw new Error('Structurizr was not started yet, nothing to restart');
+      }
+      await manager.stop();
+      return manager.start({ ...current, ...options }, startOptions);
+    },
+
+    // Stop synchronously, for process exit handlers
+    killSync() {
+      if (isRunning()) {
+        try {
+          process.kill(-child.pid, 'SIGTERM');
+        } catch (error) {
+          // Already gone
+        }
+      }
+    },
+
+    getStatus() {
+      return {
+        state,
+        pid: isRunning() ? child.pid : null,
+        runner: current ? current.runner : null,
+        workspaceDir: current ? current.workspaceDir : null,
+        port: current ? current.port : null,
+        url: current ? `http://localhost:${current.port}` : null,
+        startedAt,
+        exit
+      };
+    },
+
+    // Last `count` lines of output
+    getOutput(count = 50) {
+      return output.slice(-count);
+    }
+  };
+
+  return manager;
+}
+
+module.exports = {
+  RUNNERS,
+  buildCommand,
+  createStructurizrProcess,
+  getRunnerOptions,
+  waitForHealthy
+};
@@ -0,0 +1,360 @@
+/**
+ * Structurizr DSL suggestion rules
+ *
+ * A registry of rules that turn a DSL error into an actionable suggestion.
+ * Each rule matches on the error message, the offending line (context), the
+ * list of expected tokens Structurizr printed and/or the error code, and
+ * returns an issue, an explanation and a fix template.
+ *
+ * Teams can add their own rules in a project-local rules file, checked before
+ * the built-in rules:
+ *   - STRUCTURIZR_SUGGESTION_RULES=/path/to/rules.(js|json), or
+ *   - .structurizr-suggestions.js / .structurizr-suggestions.json in the workspace directory
+ *
+ * Rule format (JSON rules use strings for the patterns):
+ *   {
+ *     id: 'my-rule',
+ *     message: /pattern/,            // optional, named groups become template variables
+ *     context: /pattern/,            // optional, matched against the offending DSL line
+ *     expected: ['include'],         // optional, all must appear in "(expected: ...)"
+ *     code: 'dsl-syntax',            // optional, diagnostic code
+ *     issue: 'Short description',
+ *     explanation: 'Why this happens',
+ *     fix: 'Template with {{identifier}}, {{context}}, {{expected}}, {{message}} ...'
+ *   }
+ * JS rules may also provide `test(error)` and `fix(vars)` functions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DOCS_URL = 'https://docs.structurizr.com/dsl/language';
+
+const RULES_FILE_NAMES = ['.structurizr-suggestions.js', '.structurizr-suggestions.json'];
+
+// Built-in rules for common Structurizr Lite parser errors, most specific first
+const BUILTIN_RULES = [
+  {
+    id: 'dynamic-view-scope',
+    message: /Unexpected tokens|does not exist/,
+    context: /^\s*dynamic\s+"[^"]*"\s*\{?\s*$/,
+    issue: 'The dynamic view syntax is incorrect. It needs a scope (*, software system or container identifier) before the key.',
+    explanation: 'The first argument of a dynamic view is its scope. A quoted name on its own is read as the scope and the view has no key.',
+    fix: "Correct syntax: 'dynamic ContainerName ErrorHandlingFlow {'\nAlternatively: 'dynamic * ErrorHandlingFlow {'"
+  },
+  {
+    id: 'dynamic-view-syntax',
+    message: /Unexpected tokens/,
+    context: /^\s*dynamic\b/,
+    issue: 'The dynamic view syntax is incorrect. It needs a container/component identifier AND key.',
+    explanation: 'Dynamic views are defined as: dynamic <*|software system identifier|container identifier> [key] [description] {',
+    fix: "Correct syntax: 'dynamic ContainerName ErrorHandlingFlow {'\nAlternatively: 'dynamic ComponentName ErrorHandlingFlow {'"
+  },
+  {
+    id: 'unknown-source-element',
+    message: /The source element "(?<identifier>[^"]+)" does not exist/,
+    issue: 'The relationship source "{{identifier}}" is not a known element identifier',
+    explanation: 'Relationships can only reference elements that are defined with an identifier (e.g. a = person "A"). With !identifiers hierarchical, nested elements need their full path (e.g. system.container).',
+    fix: "Define the element first, e.g. '{{identifier}} = softwareSystem \"Name\"', or fix the identifier in: {{context}}"
+  },
+  {
+    id: 'unknown-destination-element',
+    message: /The destination element "(?<identifier>[^"]+)" does not exist/,
+    issue: 'The relationship destination "{{identifier}}" is not a known element identifier',
+    explanation: 'Relationships can only reference elements that are defined with an identifier (e.g. b = container "B"). With !identifiers hierarchical, nested elements need their full path (e.g. system.container).',
+    fix: "Define the element first, e.g. '{{identifier}} = container \"Name\"', or fix the identifier in: {{context}}"
+  },
+  {
+    id: 'duplicate-identifier',
+    message: /identifier "(?<identifier>[^"]+)" is already in use/i,
+    issue: 'The identifier "{{identifier}}" is defined more than once',
+    explanation: 'Identifiers must be unique across the workspace (or within their parent when using !identifiers hierarchical).',
+    fix: "Rename one of the definitions, e.g. '{{identifier}}2 = ...', and update the references to it"
+  },
+  {
+    id: 'invalid-identifier',
+    message: /Identifiers can only contain/,
+    issue: 'The identifier contains characters that are not allowed',
+    explanation: 'Identifiers may only use letters, digits, underscores and dashes.',
+    fix: "Rename the identifier using only a-zA-Z0-9_- in: {{context}}"
+  },
+  {
+    id: 'include-not-found',
+    message: /(file|directory).*does not exist/i,
+    context: /!include/,
+    issue: 'An !include points to a file or directory that cannot be found',
+    explanation: '!include paths are resolved relative to the file that contains the !include statement.',
+    fix: "Check the path in: {{context}}"
+  },
+  {
+    id: 'unknown-element',
+    message: /(element|software system|container|component)[^"]*"(?<identifier>[^"]+)"[^"]*(does not exist|could not be found)/i,
+    issue: 'The identifier "{{identifier}}" does not refer to an element in the model',
+    explanation: 'Views and deployment instances can only reference elements defined in the model block.',
+    fix: "Use the identifier of an existing element (check spelling and case) in: {{context}}"
+  },
+  {
+    id: 'relationship-exists',
+    message: /relationship.*already exists/i,
+    issue: 'A relationship with the same source, destination and description already exists',
+    explanation: 'Structurizr does not allow two identical relationships between the same elements.',
+    fix: 'Remove the duplicate or give it a different description: {{context}}'
+  },
+  {
+    id: 'relationship-not-allowed',
+    message: /Unexpected tokens/,
+    context: /->/,
+    issue: "There's a relationship defined in a block that doesn't allow relationships",
+    explanation: 'Relationships can be defined in the model, inside element blocks and as steps in dynamic views.',
+    fix: "Move the relationship into the model block: '<source> -> <destination> \"description\"'"
+  },
+  {
+    id: 'wrong-arguments',
+    message: /^Expected: (?<usage>.+)$/,
+    issue: 'The statement has a missing or extra argument',
+    explanation: 'Arguments are positional; wrap values that contain spaces in double quotes.',
+    fix: 'Use: {{usage}}'
+  },
+  {
+    id: 'unexpected-closing-brace',
+    message: /Unexpected "\}"/,
+    issue: 'There is a closing brace without a matching opening brace',
+    explanation: 'Each "{" must be the last token of the line that opens the block and each "}" must be on its own line.',
+    fix: 'Remove the extra "}" or add the missing "{" to the statement that opens the block'
+  },
+  {
+    id: 'missing-closing-brace',
+    message: /Missing closing/,
+    issue: 'A block is never closed',
+    explanation: 'Every "{" needs a matching "}" on its own line.',
+    fix: 'Add "}" at the end of the {{context}} block'
+  },
+  {
+    id: 'unterminated-string',
+    message: /Unterminated (string|text block)/,
+    issue: 'A quoted string is not closed',
+    explanation: 'Strings must start and end on the same line (use """ for multi-line text). Escape quotes inside strings as \\".',
+    fix: 'Add the closing quote in: {{context}}'
+  },
+  {
+    id: 'workspace-empty',
+    message: /must contain at least one/i,
+    issue: 'The workspace is missing something Structurizr requires',
+    explanation: 'Structurizr needs at least one element in the model (and a view to render it).',
+    fix: "Add an element to the model, e.g. 'user = person \"User\"', and a view such as 'systemLandscape { include * autolayout }'"
+  },
+  {
+    id: 'unexpected-tokens',
+    message: /Unexpected tokens/,
+    issue: 'This statement is not allowed at this position',
+    explanation: 'Each block only accepts specific keywords. The statement is misspelled, misplaced or missing quotes.',
+    fix: 'Allowed here: {{expected}}. Check the line: {{context}}'
+  },
+  {
+    id: 'relationship',
+    message: /relationship/i,
+    issue: "There's a relationship defined between components that doesn't exist or has incorrect syntax",
+    explanation: 'Relationships are written as: <source> -> <destination> [description] [technology] [tags]',
+    fix: "Check the relationship syntax and ensure both components exist: '<source> -> <destination> \"description\"'"
+  }
+];
+
+const GENERIC_SUGGESTION = {
+  rule: 'generic',
+  issue: 'Syntax error in the DSL file',
+  explanation: 'No specific rule matched this error.',
+  fix: `Check the documentation at ${DOCS_URL} for correct syntax`
+};
+
+// Extract the token list from "Unexpected tokens (expected: a, b, c)"
+function parseExpectedTokens(message) {
+  const match = (message || '').match(/\(expected: ([^)]*)\)/);
+  return match ? match[1].split(',').map(token => token.trim()).filter(Boolean) : [];
+}
+
+function toRegExp(pattern) {
+  if (!pattern || pattern instanceof RegExp) {
+    return pattern || null;
+  }
+  return new RegExp(pattern, 'i');
+}
+
+// Normalise a rule definition, converting JSON string patterns to regular expressions
+function normalizeRule(rule, source) {
+  if (!rule || !rule.id) {
+    throw new Error('Suggestion rules need an "id"');
+  }
+  if (!rule.issue || !rule.fix) {
+    throw new Error(`Suggestion rule "${rule.id}" needs an "issue" and a "fix"`);
+  }
+  return {
+    ...rule,
+    message: toRegExp(rule.message),
+    context: toRegExp(rule.context),
+    expected: rule.expected || [],
+    source
+  };
+}
+
+function fillTemplate(template, vars) {
+  if (typeof template === 'function') {
+    return template(vars);
+  }
+  return template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => (
+    vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : placeholder
+  ));
+}
+
+// Returns template variables when the rule matches the error, null otherwise
+function matchRule(rule, error) {
+  const vars = {
+    message: error.message,
+    context: error.context,
+    code: error.code,
+    line: error.line,
+    file: error.file,
+    expected: error.expected.join(', ')
+  };
+
+  if (rule.code && rule.code !== error.code) {
+    return null;
+  }
+  if (rule.message) {
+    const match = error.message.match(rule.message);
+    if (!match) {
+      return null;
+    }
+    Object.assign(vars, match.groups);
+  }
+  if (rule.context) {
+    const match = error.context.match(rule.context);
+    if (!match) {
+      return null;
+    }
+    Object.assign(vars, match.groups);
+  }
+  if (rule.expected.some(token => !error.expected.some(expected => expected.toLowerCase() === token.toLowerCase()))) {
+    return null;
+  }
+  if (rule.test && !rule.test(error)) {
+    return null;
+  }
+  return vars;
+}
+
+// Locate the project-local rules file
+function findRulesFile(workspaceDir, env = process.env) {
+  if (env.STRUCTURIZR_SUGGESTION_RULES) {
+    return path.resolve(workspaceDir || process.cwd(), env.STRUCTURIZR_SUGGESTION_RULES);
+  }
+  for (const name of RULES_FILE_NAMES) {
+    const candidate = path.join(workspaceDir || process.cwd(), name);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+function loadRulesFile(file) {
+  if (file.endsWith('.json')) {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  }
+  delete require.cache[require.resolve(file)];
+  const loaded = require(file);
+  return Array.isArray(loaded) ? loaded : loaded.rules;
+}
+
+/**
+ * Create a suggestion rule registry with the built-in rules and, when present,
+ * the project-local rules file from `workspaceDir`.
+ */
+function createSuggestionRegistry({ workspaceDir, rulesFile } = {}) {
+  const registry = {
+    rules: [],
+    rulesFile: null,
+    errors: [],
+
+    // (Re)load the built-in and project rules
+    reload() {
+      registry.errors = [];
+      const projectRules = [];
+      registry.rulesFile = rulesFile ? path.resolve(rulesFile) : findRulesFile(workspaceDir);
+
+      if (registry.rulesFile) {
+        try {
+          if (!fs.existsSync(registry.rulesFile)) {
+            throw new Error('file not found');
+          }
+          for (const rule of loadRulesFile(registry.rulesFile) || []) {
+            projectRules.push(normalizeRule(rule, registry.rulesFile));
+          }
+        } catch (error) {
+          console.error(`Error loading suggestion rules from ${registry.rulesFile}:`, error.message);
+          registry.errors.push(`${registry.rulesFile}: ${error.message}`);
+        }
+      }
+
+      registry.rules = [...projectRules, ...BUILTIN_RULES.map(rule => normalizeRule(rule, 'builtin'))];
+      return registry;
+    },
+
+    // Register an additional rule ahead of the built-in ones
+    addRule(rule, source = 'runtime') {
+      registry.rules.unshift(normalizeRule(rule, source));
+    },
+
+    // Find the first matching rule and build its suggestion
+    suggest({ message = '', context = '', code, line, file } = {}) {
+      const error = {
+        message,
+        context: context.replace(/^Context:\s*/, ''),
+        code,
+        line,
+        file,
+        expected: parseExpectedTokens(message)
+      };
+
+      for (const rule of registry.rules) {
+        let vars;
+        try {
+          vars = matchRule(rule, error);
+        } catch (e) {
+          console.error(`Error evaluating suggestion rule ${rule.id}:`, e);
+          continue;
+        }
+        if (vars) {
+          return {
+            rule: rule.id,
+            issue: fillTemplate(rule.issue, vars),
+            explanation: rule.explanation ? fillTemplate(rule.explanation, vars) : '',
+            fix: fillTemplate(rule.fix, vars)
+          };
+        }
+      }
+      return { ...GENERIC_SUGGESTION };
+    },
+
+    // Summaries of the loaded rules, in evaluation order
+    list() {
+      return registry.rules.map(rule => ({
+        id: rule.id,
+        source: rule.source,
+        message: rule.message ? rule.message.toString() : null,
+        context: rule.context ? rule.context.toString() : null,
+        expected: rule.expected,
+        code: rule.code || null,
+        issue: typeof rule.issue === 'function' ? '[function]' : rule.issue
+      }));
+    }
+  };
+
+  return registry.reload();
+}
+
+module.exports = {
+  BUILTIN_RULES,
+  DOCS_URL,
+  createSuggestionRegistry,
+  parseExpectedTokens
+};
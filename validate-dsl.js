@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Structurizr DSL validator
+ *
+ * Parses a workspace.dsl file (and everything it !includes) without a browser
+ * or Structurizr Lite and prints the errors found. Exits with code 1 when the
+ * workspace has errors, so it can be used in CI.
+ *
+ * Usage:
+ *   node validate-dsl.js [path/to/workspace.dsl] [--json]
+ */
+
+const path = require('path');
+const { parseDslFile } = require('./dsl-parser');
+
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const file = args.find(arg => !arg.startsWith('--')) ||
+  path.join(process.env.STRUCTURIZR_WORKSPACE_DIR || process.cwd(), 'workspace.dsl');
+
+try {
+  const result = parseDslFile(file);
+
+  if (json) {
+    console.log(JSON.stringify(result.diagnostics, null, 2));
+  } else if (result.diagnostics.length === 0) {
+    console.log(`No DSL errors found in ${result.file} (${result.files.length} file(s) parsed)`);
+  } else {
+    console.log(`\n=== ${result.diagnostics.length} Structurizr DSL Error(s) ===`);
+    for (const error of result.diagnostics) {
+      console.log(`\n--- ${path.relative(process.cwd(), error.file)}:${error.line}:${error.column} ---`);
+      console.log(`Message: ${error.message}`);
+      console.log(`${error.relatedInformation[0].message}`);
+    }
+  }
+
+  process.exit(result.diagnostics.length === 0 ? 0 : 1);
+} catch (error) {
+  console.error('Error validating DSL:', error.message);
+  process.exit(2);
+}
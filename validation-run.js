@@ -0,0 +1,115 @@
+/**
+ * Structurizr validation runs
+ *
+ * A validation run reloads the Structurizr Lite page and collects the DSL
+ * errors produced by that reload only. Errors captured while a run is active
+ * are tagged with its ID; the run is finished once no new errors have arrived
+ * for a short settle period (or the timeout is reached). Reloads done in the
+ * browser by the user are observed the same way, as passive runs.
+ */
+
+const crypto = require('crypto');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createValidationRun() {
+  return {
+    id: `run-${Date.now().toString(36)}-${crypto.randomBytes(2).toString('hex')}`,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    lastEventAt: Date.now(),
+    timedOut: false,
+    diagnostics: []
+  };
+}
+
+// Add diagnostics captured during the run, keeping one entry per distinct error
+function recordRunDiagnostics(run, diagnostics) {
+  for (const diagnostic of diagnostics) {
+    const duplicate = run.diagnostics.some(existing =>
+      existing.message === diagnostic.message &&
+      existing.file === diagnostic.file &&
+      existing.line === diagnostic.line
+    );
+    if (!duplicate) {
+      run.diagnostics.push(diagnostic);
+    }
+  }
+  run.lastEventAt = Date.now();
+}
+
+// Wait until no errors arrived for `settleTime` ms or the deadline passed
+async function settle(run, deadline, settleTime) {
+  run.lastEventAt = Math.max(run.lastEventAt, Date.now());
+
+  while (!run.timedOut && Date.now() - run.lastEventAt < settleTime) {
+    if (Date.now() >= deadline) {
+      run.timedOut = true;
+      break;
+    }
+    await sleep(100);
+  }
+
+  run.finishedAt = new Date().toISOString();
+  return run;
+}
+
+/**
+ * Reload the page and wait until Structurizr has finished parsing: the page
+ * has loaded and no errors arrived for `settleTime` ms. Gives up after `timeout` ms.
+ */
+async function reloadAndSettle(page, run, { timeout = 30000, settleTime = 1500 } = {}) {
+  const deadline = Date.now() + timeout;
+
+  try {
+    await page.reload({ waitUntil: 'networkidle2', timeout });
+  } catch (error) {
+    if (error.name !== 'TimeoutError') {
+      throw error;
+    }
+    run.timedOut = true;
+  }
+  return settle(run, deadline, settleTime);
+}
+
+// Same as reloadAndSettle for a navigation that is already under way (a reload done by the user)
+async function awaitRenderAndSettle(page, run, { timeout = 30000, settleTime = 1500 } = {}) {
+  const deadline = Date.now() + timeout;
+
+  try {
+    await page.waitForNetworkIdle({ idleTime: 500, timeout });
+  } catch (error) {
+    if (error.name !== 'TimeoutError') {
+      throw error;
+    }
+    run.timedOut = true;
+  }
+  return settle(run, deadline, settleTime);
+}
+
+/**
+ * Observe renders the validation tools didn't trigger: each main frame
+ * navigation of `page` calls `onNavigation()`, unless `isBusy()` says a run is
+ * already collecting errors.
+ */
+function observePageRenders(page, { isBusy, onNavigation }) {
+  page.on('framenavigated', frame => {
+    if (frame !== page.mainFrame() || isBusy()) {
+      return;
+    }
+    Promise.resolve(onNavigation()).catch(error => {
+      console.error('Error observing Structurizr render:', error);
+    });
+  });
+}
+
+module.exports = {
+  awaitRenderAndSettle,
+  createValidationRun,
+  observePageRenders,
+  recordRunDiagnostics,
+  reloadAndSettle,
+  settle
+};
@@ -0,0 +1,164 @@
+/**
+ * Structurizr view export
+ *
+ * Renders the views of a workspace to images with Structurizr Lite's own
+ * scripting API (structurizr.scripting, the API used by Structurizr's
+ * puppeteer export script). Views are rendered in a separate tab of the
+ * connected browser, so the monitored Structurizr page is left alone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FORMATS = {
+  png: { mimeType: 'image/png', extension: 'png' },
+  svg: { mimeType: 'image/svg+xml', extension: 'svg' }
+};
+
+// URL of the diagrams page of the Structurizr instance `pageUrl` belongs to
+function getDiagramsUrl(pageUrl) {
+  const url = new URL(pageUrl);
+  const match = url.pathname.match(/^(.*\/workspace(?:\/\d+)?)\//);
+  return `${url.origin}${match ? match[1] : '/workspace'}/diagrams`;
+}
+
+// File name for an exported view, keys may contain characters that aren't safe in file names
+function getExportFileName(key, format) {
+  return `structurizr-${key.replace(/[^\w.-]+/g, '_')}.${FORMATS[format].extension}`;
+}
+
+async function waitForRender(page, timeout) {
+  await page.waitForFunction(
+    () => window.structurizr && structurizr.scripting && structurizr.scripting.isDiagramRendered() === true,
+    { timeout }
+  );
+}
+
+/**
+ * Open a diagrams tab next to `page` and run `fn(tab)` once the first
+ * diagram is rendered. The tab is closed afterwards.
+ */
+async function withDiagramsTab(page, fn, { timeout = 30000 } = {}) {
+  const tab = await page.browser().newPage();
+  try {
+    await tab.goto(getDiagramsUrl(page.url()), { waitUntil: 'domcontentloaded', timeout });
+    await waitForRender(tab, timeout);
+    return await fn(tab);
+  } finally {
+    await tab.close();
+  }
+}
+
+// Views of the workspace shown in `tab`: [{ key, type, title }]
+async function getViews(tab) {
+  return tab.evaluate(() => structurizr.scripting.getViews().map(view => ({
+    key: view.key,
+    type: view.type,
+    title: view.title || view.name || ''
+  })));
+}
+
+// Find a view by key, or by title when no key matches (case-insensitive)
+function findView(views, name) {
+  const lower = name.toLowerCase();
+  return views.find(view => view.key === name) ||
+    views.find(view => view.key.toLowerCase() === lower) ||
+    views.find(view => view.title && view.title.toLowerCase() === lower) ||
+    null;
+}
+
+/**
+ * Render one view of the diagrams tab. Returns { key, format, mimeType, data },
+ * data being base64 for PNG and the SVG markup for SVG.
+ */
+async function renderView(tab, key, { format = 'png', includeMetadata = true, timeout = 30000 } = {}) {
+  if (!FORMATS[format]) {
+    throw new Error(`Unsupported export format "${format}", expected png or svg`);
+  }
+  await tab.evaluate(viewKey => structurizr.scripting.changeView(viewKey), key);
+  await waitForRender(tab, timeout);
+
+  if (format === 'svg') {
+    const svg = await tab.evaluate(metadata => {
+      if (typeof structurizr.scripting.exportCurrentDiagramToSVG !== 'function') {
+        return null;
+      }
+      return structurizr.scripting.exportCurrentDiagramToSVG({ includeMetadata: metadata });
+    }, includeMetadata);
+    if (!svg) {
+      throw new Error(`Structurizr can't export view "${key}" as SVG, use png`);
+    }
+    return { key, format, mimeType: FORMATS.svg.mimeType, data: svg };
+  }
+
+  const dataUri = await tab.evaluate(metadata => new Promise(resolve => {
+    structurizr.scripting.exportCurrentDiagramToPNG({ includeMetadata: metadata, crop: false }, resolve);
+  }), includeMetadata);
+  return { key, format, mimeType: FORMATS.png.mimeType, data: dataUri.replace(/^data:image\/png;base64,/, '') };
+}
+
+// Write an exported view to `outputDir`, returns the file path
+function writeExport(outputDir, exported) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  const file = path.join(outputDir, getExportFileName(exported.key, exported.format));
+  if (exported.format === 'svg') {
+    fs.writeFileSync(file, exported.data, 'utf-8');
+  } else {
+    fs.writeFileSync(file, Buffer.from(exported.data, 'base64'));
+  }
+  return file;
+}
+
+// MCP image content for an exported view
+function toImageContent(exported) {
+  return {
+    type: 'image',
+    mimeType: exported.mimeType,
+    data: exported.format === 'svg' ? Buffer.from(exported.data, 'utf-8').toString('base64') : exported.data
+  };
+}
+
+/**
+ * Export the view named `name` (key or title) using the browser of `page`.
+ * Returns { view, exported, file }, file being null without `outputDir`.
+ */
+async function exportView(page, name, { format = 'png', includeMetadata = true, outputDir = null, timeout = 30000 } = {}) {
+  return withDiagramsTab(page, async tab => {
+    const views = await getViews(tab);
+    const view = findView(views, name);
+    if (!view) {
+      throw new Error(`View "${name}" not found, available views: ${views.map(candidate => candidate.key).join(', ') || 'none'}`);
+    }
+    const exported = await renderView(tab, view.key, { format, includeMetadata, timeout });
+    return { view, exported, file: outputDir ? writeExport(outputDir, exported) : null };
+  }, { timeout });
+}
+
+/**
+ * Export every view of the workspace to `outputDir`. A view that fails to
+ * render is reported and the others are still exported.
+ * Returns [{ view, file, error }].
+ */
+async function exportAllViews(page, { format = 'png', includeMetadata = true, outputDir, timeout = 30000 }) {
+  return withDiagramsTab(page, async tab => {
+    const results = [];
+    for (const view of await getViews(tab)) {
+      try {
+        const exported = await renderView(tab, view.key, { format, includeMetadata, timeout });
+        results.push({ view, file: writeExport(outputDir, exported), error: null });
+      } catch (error) {
+        results.push({ view, file: null, error: error.message });
+      }
+    }
+    return results;
+  }, { timeout });
+}
+
+module.exports = {
+  FORMATS,
+  exportAllViews,
+  exportView,
+  getDiagramsUrl,
+  getExportFileName,
+  toImageContent
+};
@@ -0,0 +1,218 @@
+/**
+ * Structurizr workspace model
+ *
+ * Loads the workspace JSON (the workspace.json Structurizr Lite writes next
+ * to workspace.dsl, or the workspace loaded in the Structurizr page) and
+ * indexes it: elements flattened with their parent, relationships with both
+ * ends and views with their scope. Elements and relationships carry the DSL
+ * identifier Structurizr records in the "structurizr.dsl.identifier" property.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DSL_IDENTIFIER_PROPERTY = 'structurizr.dsl.identifier';
+
+// Child collections of each element type, with the type of their elements
+const CHILD_COLLECTIONS = {
+  SoftwareSystem: [['containers', 'Container']],
+  Container: [['components', 'Component']],
+  DeploymentNode: [
+    ['children', 'DeploymentNode'],
+    ['infrastructureNodes', 'InfrastructureNode'],
+    ['softwareSystemInstances', 'SoftwareSystemInstance'],
+    ['containerInstances', 'ContainerInstance']
+  ]
+};
+
+const MODEL_COLLECTIONS = [
+  ['people', 'Person'],
+  ['softwareSystems', 'SoftwareSystem'],
+  ['customElements', 'CustomElement'],
+  ['deploymentNodes', 'DeploymentNode']
+];
+
+function splitTags(tags) {
+  return (tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+// Read workspace.json from the workspace directory
+function loadWorkspaceFile(workspaceDir) {
+  const file = path.join(workspaceDir, 'workspace.json');
+  if (!fs.existsSync(file)) {
+    throw new Error(`${file} not found. Structurizr Lite writes it next to workspace.dsl once the workspace is rendered`);
+  }
+  return { json: JSON.parse(fs.readFileSync(file, 'utf-8')), source: file };
+}
+
+// Read the workspace loaded in a Structurizr page
+async function loadWorkspaceFromPage(page) {
+  const text = await page.evaluate(() => {
+    const workspace = window.structurizr && structurizr.workspace;
+    if (!workspace) {
+      return null;
+    }
+    return JSON.stringify(typeof workspace.getJson === 'function' ? workspace.getJson() : workspace);
+  });
+  if (!text) {
+    throw new Error(`No workspace loaded in ${page.url()}`);
+  }
+  return { json: JSON.parse(text), source: page.url() };
+}
+
+/**
+ * Index a workspace JSON. Returns { name, description, elements,
+ * relationships, views, byId }; elements are in model order, parents before
+ * their children.
+ */
+function indexWorkspace(json) {
+  const model = json.model || {};
+  const elements = [];
+  const relationships = [];
+  const byId = new Map();
+
+  const addElement = (raw, type, parent) => {
+    const element = {
+      id: raw.id,
+      type,
+      name: raw.name,
+      identifier: (raw.properties || {})[DSL_IDENTIFIER_PROPERTY] || null,
+      description: raw.description || '',
+      technology: raw.technology || '',
+      tags: splitTags(raw.tags),
+      parentId: parent ? parent.id : null,
+      environment: raw.environment || (parent && parent.environment) || null,
+      url: raw.url || null,
+      properties: raw.properties || {}
+    };
+    if (type === 'SoftwareSystemInstance') {
+      element.instanceOf = raw.softwareSystemId;
+    } else if (type === 'ContainerInstance') {
+      element.instanceOf = raw.containerId;
+    }
+    elements.push(element);
+    byId.set(element.id, element);
+    (raw.relationships || []).forEach(relationship => relationships.push(relationship));
+    for (const [collection, childType] of CHILD_COLLECTIONS[type] || []) {
+      (raw[collection] || []).forEach(child => addElement(child, childType, element));
+    }
+  };
+
+  for (const [collection, type] of MODEL_COLLECTIONS) {
+    (model[collection] || []).forEach(raw => addElement(raw, type, null));
+  }
+  // Relationships between custom elements, or added with the model-level syntax
+  (model.relationships || []).forEach(relationship => relationships.push(relationship));
+
+  const views = Object.entries(json.views || {})
+    .filter(([collection, list]) => collection.endsWith('Views') && Array.isArray(list))
+    .flatMap(([collection, list]) => list.map(view => ({
+      key: view.key,
+      // systemContextViews -> SystemContext
+      type: collection.charAt(0).toUpperCase() + collection.slice(1).replace(/Views$/, ''),
+      title: view.title || '',
+      description: view.description || '',
+      scopeId: view.softwareSystemId || view.containerId || view.elementId || null,
+      environment: view.environment || null,
+      baseViewKey: view.baseViewKey || null,
+      elementCount: (view.elements || []).length,
+      relationshipCount: (view.relationships || []).length
+    })));
+
+  return {
+    name: json.name || '',
+    description: json.description || '',
+    elements,
+    relationships: relationships.map(relationship => ({
+      id: relationship.id,
+      identifier: (relationship.properties || {})[DSL_IDENTIFIER_PROPERTY] || null,
+      sourceId: relationship.sourceId,
+      destinationId: relationship.destinationId,
+      description: relationship.description || '',
+      technology: relationship.technology || '',
+      tags: splitTags(relationship.tags),
+      // Implied relationships (e.g. system to system from container relationships) point at the one they come from
+      implied: Boolean(relationship.linkedRelationshipId)
+    })),
+    views,
+    byId
+  };
+}
+
+// Find an element by ID, DSL identifier or name (case-insensitive), in that order
+function findElement(index, reference) {
+  if (index.byId.has(reference)) {
+    return index.byId.get(reference);
+  }
+  const lower = String(reference).toLowerCase();
+  return index.elements.find(element => element.identifier === reference) ||
+    index.elements.find(element => element.identifier && element.identifier.toLowerCase() === lower) ||
+    index.elements.find(element => element.name && element.name.toLowerCase() === lower) ||
+    null;
+}
+
+// Resolve an element reference for a filter, failing with a clear message
+function requireElement(index, reference) {
+  const element = findElement(index, reference);
+  if (!element) {
+    throw new Error(`Element "${reference}" not found (use an ID, a DSL identifier or a name)`);
+  }
+  return element;
+}
+
+// Elements matching { type, tag, parent }; parent is an element reference and matches direct children
+function filterElements(index, { type, tag, parent } = {}) {
+  const parentId = parent ? requireElement(index, parent).id : null;
+  return index.elements.filter(element =>
+    (!type || element.type.toLowerCase() === type.toLowerCase()) &&
+    (!tag || element.tags.some(candidate => candidate.toLowerCase() === tag.toLowerCase())) &&
+    (!parentId || element.parentId === parentId));
+}
+
+// Relationships matching { source, destination, includeImplied }
+function filterRelationships(index, { source, destination, includeImplied = false } = {}) {
+  const sourceId = source ? requireElement(index, source).id : null;
+  const destinationId = destination ? requireElement(index, destination).id : null;
+  return index.relationships.filter(relationship =>
+    (includeImplied || !relationship.implied) &&
+    (!sourceId || relationship.sourceId === sourceId) &&
+    (!destinationId || relationship.destinationId === destinationId));
+}
+
+// "Name [identifier]" for an element ID
+function describeElement(index, id) {
+  const element = index.byId.get(id);
+  if (!element) {
+    return id;
+  }
+  return element.identifier ? `${element.name} [${element.identifier}]` : element.name;
+}
+
+/**
+ * An element with its context: parent, children and the relationships it is
+ * the source or destination of (implied ones excluded).
+ */
+function getElementDetails(index, reference) {
+  const element = requireElement(index, reference);
+  const explicit = index.relationships.filter(relationship => !relationship.implied);
+  return {
+    ...element,
+    parent: element.parentId ? index.byId.get(element.parentId) : null,
+    children: index.elements.filter(candidate => candidate.parentId === element.id),
+    outgoing: explicit.filter(relationship => relationship.sourceId === element.id),
+    incoming: explicit.filter(relationship => relationship.destinationId === element.id),
+    views: index.views.filter(view => view.scopeId === element.id).map(view => view.key)
+  };
+}
+
+module.exports = {
+  DSL_IDENTIFIER_PROPERTY,
+  describeElement,
+  filterElements,
+  filterRelationships,
+  findElement,
+  getElementDetails,
+  indexWorkspace,
+  loadWorkspaceFile,
+  loadWorkspaceFromPage
+};
@@ -0,0 +1,125 @@
+/**
+ * Structurizr DSL workspace watcher
+ *
+ * Watches workspace.dsl and every file it !includes, debounces saves and
+ * reports the changed files. Parent directories are watched rather than the
+ * files themselves, so editors that save by renaming a temp file are handled.
+ * The watched file set is refreshed after every change, picking up new or
+ * removed !include statements.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLogStore } = require('./log-store');
+const { parseDslFile } = require('./dsl-parser');
+
+// Workspace file plus all files it includes, falls back to the file alone
+function collectWorkspaceFiles(workspaceFile) {
+  try {
+    return parseDslFile(workspaceFile).files;
+  } catch (error) {
+    console.error('Error collecting included DSL files:', error.message);
+    return [path.resolve(workspaceFile)];
+  }
+}
+
+// One store per events log, shared by everything in this process
+const eventStores = new Map();
+
+// Append a watcher event (clean render, errors, ...) to a JSON lines log, rotated like the error logs
+function logWatchEvent(eventsFile, event) {
+  try {
+    if (!eventStores.has(eventsFile)) {
+      eventStores.set(eventsFile, createLogStore(eventsFile));
+    }
+    eventStores.get(eventsFile).append([{ timestamp: new Date().toISOString(), ...event }]);
+  } catch (error) {
+    console.error('Error writing watch event:', error);
+  }
+}
+
+/**
+ * Create a watcher for `workspaceFile`. `onChange(changedFiles)` is called once
+ * the files have been quiet for `debounce` ms. Returns { start, stop, files, isWatching }.
+ */
+function createWorkspaceWatcher({ workspaceFile, debounce = 500, onChange }) {
+  const rootFile = path.resolve(workspaceFile);
+  const dirWatchers = new Map();
+  let files = new Set();
+  let changed = new Set();
+  let timer = null;
+  let watching = false;
+
+  const handleEvent = (dir, filename) => {
+    if (!filename) {
+      return;
+    }
+    const file = path.join(dir, filename.toString());
+    if (!files.has(file)) {
+      return;
+    }
+    changed.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounce);
+  };
+
+  const flush = async () => {
+    timer = null;
+    const changedFiles = [...changed];
+    changed = new Set();
+    refresh();
+    try {
+      await onChange(changedFiles);
+    } catch (error) {
+      console.error('Error handling workspace change:', error);
+    }
+  };
+
+  // Sync directory watchers with the current set of workspace files
+  const refresh = () => {
+    files = new Set(collectWorkspaceFiles(rootFile));
+    const dirs = new Set([...files].map(file => path.dirname(file)));
+
+    for (const [dir, watcher] of dirWatchers) {
+      if (!dirs.has(dir)) {
+        watcher.close();
+        dirWatchers.delete(dir);
+      }
+    }
+    for (const dir of dirs) {
+      if (dirWatchers.has(dir) || !fs.existsSync(dir)) {
+        continue;
+      }
+      const watcher = fs.watch(dir, (eventType, filename) => handleEvent(dir, filename));
+      watcher.on('error', error => console.error(`Error watching ${dir}:`, error.message));
+      dirWatchers.set(dir, watcher);
+    }
+  };
+
+  return {
+    start() {
+      if (!fs.existsSync(rootFile)) {
+        throw new Error(`Workspace file not found: ${rootFile}`);
+      }
+      refresh();
+      watching = true;
+    },
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+      for (const watcher of dirWatchers.values()) {
+        watcher.close();
+      }
+      dirWatchers.clear();
+      watching = false;
+    },
+    files: () => [...files],
+    isWatching: () => watching
+  };
+}
+
+module.exports = {
+  collectWorkspaceFiles,
+  createWorkspaceWatcher,
+  logWatchEvent
+};